@@ -8,6 +8,13 @@ const morgan = require('morgan');
 
 const notesRoutes = require('../routes/notes');
 const authRoutes = require('../routes/auth');
+const usersRoutes = require('../routes/users');
+const notebooksRoutes = require('../routes/notebooks');
+const categoriesRoutes = require('../routes/categories');
+const tagsRoutes = require('../routes/tags');
+const scriptureRoutes = require('../routes/scripture');
+const seriesRoutes = require('../routes/series');
+const prayerRoutes = require('../routes/prayers');
 const { connectToDatabase } = require('../config/database');
 const { corsOptions, helmetOptions } = require('../config/middleware');
 const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
@@ -26,13 +33,21 @@ if (process.env.NODE_ENV !== 'production') {
 app.use(cors(corsOptions));
 
 // Body parsing middleware with size limits
-app.use(express.json({ limit: '10mb' }));
+// Also parses JSON Merge Patch and JSON Patch bodies (application/*+json)
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/*+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
 // Routes (no /api prefix needed in serverless function)
 app.use('/notes', notesRoutes);
 app.use('/auth', authRoutes);
+app.use('/users', usersRoutes);
+app.use('/notebooks', notebooksRoutes);
+app.use('/categories', categoriesRoutes);
+app.use('/tags', tagsRoutes);
+app.use('/scripture', scriptureRoutes);
+app.use('/series', seriesRoutes);
+app.use('/prayers', prayerRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -64,6 +79,13 @@ app.get('/', (req, res) => {
       health: '/api/health',
       notes: '/api/notes',
       auth: '/api/auth',
+      users: '/api/users',
+      notebooks: '/api/notebooks',
+      categories: '/api/categories',
+      tags: '/api/tags',
+      scripture: '/api/scripture',
+      series: '/api/series',
+      prayers: '/api/prayers',
       documentation: 'https://github.com/colemanmatey/jd-notes-backend'
     },
     environment: process.env.NODE_ENV || 'development'
@@ -77,7 +99,7 @@ app.use('*', (req, res) => {
   const errorResponse = {
     error: API_MESSAGES.ROUTE_NOT_FOUND,
     message: `${req.method} ${req.originalUrl} is not a valid endpoint`,
-    availableEndpoints: ['/api/health', '/api/notes', '/api/auth'],
+    availableEndpoints: ['/api/health', '/api/notes', '/api/auth', '/api/users', '/api/notebooks', '/api/categories', '/api/tags', '/api/scripture', '/api/series', '/api/prayers'],
     timestamp: new Date().toISOString()
   };
   
@@ -41,9 +41,12 @@ const corsOptions = {
     'Content-Type',
     'Accept',
     'Authorization',
+    'X-API-Key',
+    'If-Match',
+    'If-None-Match',
     'Cache-Control'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'ETag'],
   maxAge: 86400 // 24 hours
 };
 
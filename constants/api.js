@@ -6,12 +6,16 @@
 const HTTP_STATUS = Object.freeze({
   OK: 200,
   CREATED: 201,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 });
@@ -32,6 +36,12 @@ const API_MESSAGES = Object.freeze({
   ROUTE_NOT_FOUND: 'Route not found',
   INTERNAL_SERVER_ERROR: 'Internal server error',
   VALIDATION_ERROR: 'Validation error',
+
+  // Authentication; why a credential was rejected is only logged on the server
+  TOKEN_MISSING: 'No token provided',
+  TOKEN_INVALID: 'Invalid or expired token',
+  REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+  API_KEY_INVALID: 'Invalid or revoked API key',
   
   // Notes
   NOTE_CREATED: 'Note created successfully',
@@ -40,7 +50,77 @@ const API_MESSAGES = Object.freeze({
   NOTE_ARCHIVED: 'Note archived successfully',
   NOTE_UNARCHIVED: 'Note unarchived successfully',
   NOTE_NOT_FOUND: 'Note not found',
-  NOTES_FETCHED: 'Notes fetched successfully'
+  NOTE_VERSION_CONFLICT: 'Note has been modified since it was retrieved',
+  NOTE_PATCH_UNSUPPORTED: 'Use application/merge-patch+json or application/json-patch+json',
+  NOTES_FETCHED: 'Notes fetched successfully',
+  NOTES_BULK_COMPLETED: 'Bulk action completed',
+
+  // Trash
+  NOTE_TRASHED: 'Note moved to trash',
+  NOTE_RESTORED: 'Note restored from trash',
+  NOTE_PERMANENTLY_DELETED: 'Note permanently deleted',
+  NOTE_NOT_IN_TRASH: 'Note not found in trash',
+  TRASH_FETCHED: 'Trash retrieved successfully',
+
+  // Note revisions
+  NOTE_REVISIONS_FETCHED: 'Note revisions retrieved successfully',
+  NOTE_REVISION_FETCHED: 'Note revision retrieved successfully',
+  NOTE_REVISION_NOT_FOUND: 'Note revision not found',
+  NOTE_REVISION_RESTORED: 'Note revision restored successfully',
+
+  // Notebooks
+  NOTEBOOKS_FETCHED: 'Notebooks retrieved successfully',
+  NOTEBOOK_FETCHED: 'Notebook retrieved successfully',
+  NOTEBOOK_CREATED: 'Notebook created successfully',
+  NOTEBOOK_UPDATED: 'Notebook updated successfully',
+  NOTEBOOK_DELETED: 'Notebook deleted successfully',
+  NOTEBOOK_NOT_FOUND: 'Notebook not found',
+  NOTEBOOK_INVALID_PARENT: 'A notebook cannot be moved into itself or one of its own notebooks',
+  NOTE_MOVED: 'Note moved successfully',
+
+  // Pins and favorites
+  NOTE_PINNED: 'Note pinned successfully',
+  NOTE_UNPINNED: 'Note unpinned successfully',
+  NOTE_FAVORITED: 'Note added to favorites',
+  NOTE_UNFAVORITED: 'Note removed from favorites',
+  NOTE_PINS_REORDERED: 'Pinned notes reordered successfully',
+
+  // Categories and types
+  CATEGORIES_FETCHED: 'Categories retrieved successfully',
+  CATEGORY_CREATED: 'Category created successfully',
+  CATEGORY_RENAMED: 'Category renamed successfully',
+  CATEGORY_MERGED: 'Categories merged successfully',
+  CATEGORY_DELETED: 'Category deleted successfully',
+  CATEGORY_NOT_FOUND: 'Category not found',
+  CATEGORY_EXISTS: 'A category or type with this name already exists',
+  CATEGORY_IN_USE: 'Category is still used by notes; merge it into another one instead',
+  CATEGORY_LAST_OF_KIND: 'At least one category and one type must remain',
+
+  // Tags
+  TAGS_FETCHED: 'Tags retrieved successfully',
+  TAG_RENAMED: 'Tag renamed successfully',
+  TAGS_MERGED: 'Tags merged successfully',
+  TAG_DELETED: 'Tag deleted successfully',
+  TAG_NOT_FOUND: 'Tag not found',
+
+  // Scripture index
+  SCRIPTURE_INDEX_FETCHED: 'Scripture index retrieved successfully',
+
+  // Sermon series
+  SERIES_LIST_FETCHED: 'Sermon series retrieved successfully',
+  SERIES_FETCHED: 'Sermon series retrieved successfully',
+  SERIES_CREATED: 'Sermon series created successfully',
+  SERIES_UPDATED: 'Sermon series updated successfully',
+  SERIES_DELETED: 'Sermon series deleted successfully',
+  SERIES_NOT_FOUND: 'Sermon series not found',
+  SERIES_NOTES_FETCHED: 'Series sermons retrieved successfully',
+
+  // Prayer requests
+  PRAYERS_FETCHED: 'Prayer requests retrieved successfully',
+  PRAYER_STATUS_CHANGED: 'Prayer request status updated successfully',
+
+  // Due dates and reminders
+  DUE_NOTES_FETCHED: 'Due notes retrieved successfully'
 });
 
 /**
@@ -67,17 +147,42 @@ const VALIDATION = Object.freeze({
     TITLE_MIN_LENGTH: 1,
     CONTENT_MIN_LENGTH: 1,
     MAX_TAGS: 10,
-    TAG_MAX_LENGTH: 50
+    TAG_MAX_LENGTH: 50,
+    MAX_SCRIPTURE_REFERENCES: 100,
+    MAX_REMINDERS: 10
   },
   PAGINATION: {
     DEFAULT_PAGE: 1,
     DEFAULT_LIMIT: 10,
     MAX_LIMIT: 100
+  },
+  BULK: {
+    MAX_NOTES: 500
+  },
+  NOTEBOOK: {
+    NAME_MAX_LENGTH: 100,
+    DESCRIPTION_MAX_LENGTH: 500
+  },
+  CATEGORY: {
+    NAME_MAX_LENGTH: 50
+  },
+  SERIES: {
+    TITLE_MAX_LENGTH: 200,
+    DESCRIPTION_MAX_LENGTH: 1000
+  },
+  SERMON: {
+    TEXT_MAX_LENGTH: 100
+  },
+  PRAYER: {
+    REQUESTER_MAX_LENGTH: 100,
+    TESTIMONY_MAX_LENGTH: 2000
   }
 });
 
 /**
- * Note Categories and Types
+ * Default Note Categories and Types
+ * Every user starts with these and can then add, rename, merge or delete
+ * their own through /api/categories
  */
 const NOTE_CATEGORIES = Object.freeze([
   'Sermons',
@@ -97,12 +202,176 @@ const NOTE_TYPES = Object.freeze([
   'personal'
 ]);
 
+// Kinds of user-defined labels; each kind is stored in the note field of the same name
+const CATEGORY_KINDS = Object.freeze([
+  'category',
+  'type'
+]);
+
 const PRIORITY_LEVELS = Object.freeze([
   'low',
   'medium',
   'high'
 ]);
 
+/**
+ * Writable Note Fields
+ * PUT replaces all of them, PATCH edits any of them; omitted optional fields
+ * fall back to their defaults
+ */
+const NOTE_EDITABLE_FIELDS = Object.freeze([
+  'title',
+  'content',
+  'category',
+  'type',
+  'tags',
+  'priority',
+  'isArchived',
+  'dueAt',
+  'reminders',
+  'sermon',
+  'prayer'
+]);
+
+const NOTE_REQUIRED_FIELDS = Object.freeze([
+  'title',
+  'content',
+  'category',
+  'type'
+]);
+
+const NOTE_FIELD_DEFAULTS = Object.freeze({
+  tags: Object.freeze([]),
+  priority: 'medium',
+  isArchived: false,
+  dueAt: null,
+  reminders: Object.freeze([]),
+  sermon: null,
+  prayer: null
+});
+
+/**
+ * Sermon metadata fields a note can have under sermon
+ */
+const SERMON_FIELDS = Object.freeze([
+  'series',
+  'part',
+  'preachedAt',
+  'service',
+  'preacher',
+  'passage'
+]);
+
+/**
+ * Prayer Requests
+ * A request starts open and may stay ongoing until it is answered or closed
+ */
+const PRAYER_STATUSES = Object.freeze([
+  'open',
+  'ongoing',
+  'answered',
+  'closed'
+]);
+
+// Prayer request fields a note can have under prayer; closedAt follows status
+const PRAYER_FIELDS = Object.freeze([
+  'requester',
+  'status',
+  'openedAt',
+  'answeredAt',
+  'testimony',
+  'followUpAt'
+]);
+
+/**
+ * Note Revisions
+ * Fields copied into each revision and written back when one is restored
+ */
+const NOTE_REVISION_FIELDS = Object.freeze([
+  'title',
+  'content',
+  'category',
+  'type',
+  'tags',
+  'priority',
+  'isArchived',
+  'dueAt',
+  'reminders',
+  'sermon',
+  'prayer'
+]);
+
+const NOTE_REVISION_REASONS = Object.freeze([
+  'update',
+  'restore',
+  'bulk'
+]);
+
+/**
+ * Bulk Note Actions
+ * Actions accepted by POST /api/notes/bulk
+ */
+const BULK_ACTIONS = Object.freeze([
+  'archive',
+  'unarchive',
+  'delete',
+  'setPriority',
+  'setCategory',
+  'addTags',
+  'removeTags',
+  'setNotebook'
+]);
+
+/**
+ * Bulk Note Filter Keys
+ * Query parameters of GET /api/notes that a bulk filter may use
+ */
+const BULK_FILTER_KEYS = Object.freeze([
+  'category',
+  'type',
+  'priority',
+  'archived',
+  'favorite',
+  'pinned',
+  'tags',
+  'search',
+  'scripture',
+  'overdue',
+  'notebook',
+  'recursive'
+]);
+
+/**
+ * User Roles
+ */
+const USER_ROLES = Object.freeze([
+  'admin',
+  'editor',
+  'viewer'
+]);
+
+const DEFAULT_USER_ROLE = 'editor';
+
+/**
+ * API Key Scopes
+ */
+const API_KEY_SCOPES = Object.freeze([
+  'notes:read',
+  'notes:write'
+]);
+
+/**
+ * Email Verification Policies
+ * none: unverified users have full access
+ * login: unverified users cannot log in
+ * notes: unverified users can log in but cannot create notes
+ */
+const EMAIL_VERIFICATION_POLICIES = Object.freeze([
+  'none',
+  'login',
+  'notes'
+]);
+
 module.exports = {
   HTTP_STATUS,
   API_MESSAGES,
@@ -110,5 +379,20 @@ module.exports = {
   VALIDATION,
   NOTE_CATEGORIES,
   NOTE_TYPES,
-  PRIORITY_LEVELS
+  CATEGORY_KINDS,
+  PRIORITY_LEVELS,
+  NOTE_EDITABLE_FIELDS,
+  NOTE_REQUIRED_FIELDS,
+  NOTE_FIELD_DEFAULTS,
+  SERMON_FIELDS,
+  PRAYER_STATUSES,
+  PRAYER_FIELDS,
+  NOTE_REVISION_FIELDS,
+  NOTE_REVISION_REASONS,
+  BULK_ACTIONS,
+  BULK_FILTER_KEYS,
+  USER_ROLES,
+  DEFAULT_USER_ROLE,
+  EMAIL_VERIFICATION_POLICIES,
+  API_KEY_SCOPES
 };
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Books of the Bible in canonical (Protestant) order
+ * Each book has its number of chapters and the abbreviations recognized in
+ * notes, besides the full name. Case, periods and the spacing after a
+ * leading number do not matter, and the number may also be written as
+ * I, II, III, First, Second or Third ("1 Cor", "1Cor." and "I Cor" all
+ * name 1 Corinthians).
+ */
+const BIBLE_BOOKS = Object.freeze([
+  { name: 'Genesis', chapters: 50, abbreviations: ['Gen', 'Ge', 'Gn'] },
+  { name: 'Exodus', chapters: 40, abbreviations: ['Exod', 'Exo', 'Ex'] },
+  { name: 'Leviticus', chapters: 27, abbreviations: ['Lev', 'Le', 'Lv'] },
+  { name: 'Numbers', chapters: 36, abbreviations: ['Num', 'Nu', 'Nm'] },
+  { name: 'Deuteronomy', chapters: 34, abbreviations: ['Deut', 'Deu', 'Dt'] },
+  { name: 'Joshua', chapters: 24, abbreviations: ['Josh', 'Jos'] },
+  { name: 'Judges', chapters: 21, abbreviations: ['Judg', 'Jdg'] },
+  { name: 'Ruth', chapters: 4, abbreviations: ['Rut', 'Ru'] },
+  { name: '1 Samuel', chapters: 31, abbreviations: ['1 Sam', '1 Sa'] },
+  { name: '2 Samuel', chapters: 24, abbreviations: ['2 Sam', '2 Sa'] },
+  { name: '1 Kings', chapters: 22, abbreviations: ['1 Kgs', '1 Ki'] },
+  { name: '2 Kings', chapters: 25, abbreviations: ['2 Kgs', '2 Ki'] },
+  { name: '1 Chronicles', chapters: 29, abbreviations: ['1 Chron', '1 Chr', '1 Ch'] },
+  { name: '2 Chronicles', chapters: 36, abbreviations: ['2 Chron', '2 Chr', '2 Ch'] },
+  { name: 'Ezra', chapters: 10, abbreviations: ['Ezr'] },
+  { name: 'Nehemiah', chapters: 13, abbreviations: ['Neh', 'Ne'] },
+  { name: 'Esther', chapters: 10, abbreviations: ['Esth', 'Est'] },
+  { name: 'Job', chapters: 42, abbreviations: ['Jb'] },
+  { name: 'Psalms', chapters: 150, abbreviations: ['Psalm', 'Psa', 'Ps', 'Pss'] },
+  { name: 'Proverbs', chapters: 31, abbreviations: ['Prov', 'Pro', 'Prv', 'Pr'] },
+  { name: 'Ecclesiastes', chapters: 12, abbreviations: ['Eccles', 'Eccl', 'Ecc', 'Qoh'] },
+  { name: 'Song of Songs', chapters: 8, abbreviations: ['Song of Solomon'] },
+  { name: 'Isaiah', chapters: 66, abbreviations: ['Isa'] },
+  { name: 'Jeremiah', chapters: 52, abbreviations: ['Jer', 'Je'] },
+  { name: 'Lamentations', chapters: 5, abbreviations: ['Lam', 'La'] },
+  { name: 'Ezekiel', chapters: 48, abbreviations: ['Ezek', 'Eze', 'Ezk'] },
+  { name: 'Daniel', chapters: 12, abbreviations: ['Dan', 'Da', 'Dn'] },
+  { name: 'Hosea', chapters: 14, abbreviations: ['Hos', 'Ho'] },
+  { name: 'Joel', chapters: 3, abbreviations: ['Jl'] },
+  { name: 'Amos', chapters: 9, abbreviations: [] },
+  { name: 'Obadiah', chapters: 1, abbreviations: ['Obad', 'Ob'] },
+  { name: 'Jonah', chapters: 4, abbreviations: ['Jon'] },
+  { name: 'Micah', chapters: 7, abbreviations: ['Mic'] },
+  { name: 'Nahum', chapters: 3, abbreviations: ['Nah', 'Na'] },
+  { name: 'Habakkuk', chapters: 3, abbreviations: ['Hab'] },
+  { name: 'Zephaniah', chapters: 3, abbreviations: ['Zeph', 'Zep'] },
+  { name: 'Haggai', chapters: 2, abbreviations: ['Hag', 'Hg'] },
+  { name: 'Zechariah', chapters: 14, abbreviations: ['Zech', 'Zec'] },
+  { name: 'Malachi', chapters: 4, abbreviations: ['Mal'] },
+  { name: 'Matthew', chapters: 28, abbreviations: ['Matt', 'Mat', 'Mt'] },
+  { name: 'Mark', chapters: 16, abbreviations: ['Mrk', 'Mk'] },
+  { name: 'Luke', chapters: 24, abbreviations: ['Luk', 'Lk'] },
+  { name: 'John', chapters: 21, abbreviations: ['Jhn', 'Jn'] },
+  { name: 'Acts', chapters: 28, abbreviations: [] },
+  { name: 'Romans', chapters: 16, abbreviations: ['Rom', 'Ro', 'Rm'] },
+  { name: '1 Corinthians', chapters: 16, abbreviations: ['1 Cor', '1 Co'] },
+  { name: '2 Corinthians', chapters: 13, abbreviations: ['2 Cor', '2 Co'] },
+  { name: 'Galatians', chapters: 6, abbreviations: ['Gal', 'Ga'] },
+  { name: 'Ephesians', chapters: 6, abbreviations: ['Eph'] },
+  { name: 'Philippians', chapters: 4, abbreviations: ['Phil', 'Php'] },
+  { name: 'Colossians', chapters: 4, abbreviations: ['Col'] },
+  { name: '1 Thessalonians', chapters: 5, abbreviations: ['1 Thess', '1 Thes', '1 Th'] },
+  { name: '2 Thessalonians', chapters: 3, abbreviations: ['2 Thess', '2 Thes', '2 Th'] },
+  { name: '1 Timothy', chapters: 6, abbreviations: ['1 Tim', '1 Ti'] },
+  { name: '2 Timothy', chapters: 4, abbreviations: ['2 Tim', '2 Ti'] },
+  { name: 'Titus', chapters: 3, abbreviations: ['Tit'] },
+  { name: 'Philemon', chapters: 1, abbreviations: ['Philem', 'Phlm', 'Phm'] },
+  { name: 'Hebrews', chapters: 13, abbreviations: ['Heb'] },
+  { name: 'James', chapters: 5, abbreviations: ['Jas', 'Jm'] },
+  { name: '1 Peter', chapters: 5, abbreviations: ['1 Pet', '1 Pe', '1 Pt'] },
+  { name: '2 Peter', chapters: 3, abbreviations: ['2 Pet', '2 Pe', '2 Pt'] },
+  { name: '1 John', chapters: 5, abbreviations: ['1 Jhn', '1 Jn'] },
+  { name: '2 John', chapters: 1, abbreviations: ['2 Jhn', '2 Jn'] },
+  { name: '3 John', chapters: 1, abbreviations: ['3 Jhn', '3 Jn'] },
+  { name: 'Jude', chapters: 1, abbreviations: ['Jud'] },
+  { name: 'Revelation', chapters: 22, abbreviations: ['Revelations', 'Rev', 'Re', 'Rv'] }
+]);
+
+module.exports = {
+  BIBLE_BOOKS
+};
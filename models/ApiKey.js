@@ -0,0 +1,140 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { generateRandomString, hashToken } = require('../utils/helpers');
+const { API_KEY_SCOPES } = require('../constants/api');
+
+// Keys look like jdn_<40 random characters>; the prefix makes leaked keys easy to spot
+const API_KEY_PREFIX = 'jdn_';
+
+// Record activity at most this often so scripted requests rarely write
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API Key Schema Definition
+ *
+ * Personal API keys let scripts act as their owner without a password or
+ * refresh token. Only a SHA-256 hash of the key is stored; the plain key is
+ * shown once when it is created.
+ */
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Key prefix is required']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Generate a new plain API key
+ * @returns {String} API key
+ */
+apiKeySchema.statics.generateKey = function() {
+  return `${API_KEY_PREFIX}${generateRandomString(40)}`;
+};
+
+/**
+ * Create a key for a user
+ * @param {String} userId - Owner of the key
+ * @param {String} label - Human readable label
+ * @param {Array<String>} scopes - Granted scopes
+ * @returns {Promise<Object>} The stored key document and the plain key
+ */
+apiKeySchema.statics.createForUser = async function(userId, label, scopes) {
+  const key = this.generateKey();
+
+  const apiKey = await this.create({
+    user: userId,
+    label,
+    scopes,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8)
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active key and record that it was used
+ * @param {String} key - Plain API key
+ * @returns {Promise<Object|null>} Key with its owner populated, or null if unknown, revoked or the owner is inactive
+ */
+apiKeySchema.statics.authenticate = async function(key) {
+  if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ keyHash: hashToken(key), revokedAt: null })
+    .populate('user', 'username email role isActive');
+
+  if (!apiKey || !apiKey.user || !apiKey.user.isActive) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await this.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return apiKey;
+};
+
+/**
+ * Revoke one of a user's keys
+ * @param {String} keyId - API key ID
+ * @param {String} userId - Owner of the key
+ * @returns {Promise<Object>} MongoDB update result
+ */
+apiKeySchema.statics.revokeForUser = function(keyId, userId) {
+  return this.updateOne(
+    { _id: keyId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
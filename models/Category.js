@@ -0,0 +1,108 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { CATEGORY_KINDS, NOTE_CATEGORIES, NOTE_TYPES, VALIDATION } = require('../constants/api');
+
+// Names every user starts with, by kind
+const DEFAULT_NAMES = Object.freeze({
+  category: NOTE_CATEGORIES,
+  type: NOTE_TYPES
+});
+
+/**
+ * Category Schema Definition
+ *
+ * Each user has their own list of note categories and note types; a note's
+ * category and type must name one of them. Both kinds share this model and
+ * are told apart by `kind`. Type names are lowercase, like note types.
+ */
+const categorySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  kind: {
+    type: String,
+    required: [true, 'Kind is required'],
+    enum: {
+      values: CATEGORY_KINDS,
+      message: `Kind must be one of: ${CATEGORY_KINDS.join(', ')}`
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [VALIDATION.CATEGORY.NAME_MAX_LENGTH, `Name cannot exceed ${VALIDATION.CATEGORY.NAME_MAX_LENGTH} characters`]
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Names are unique per user and kind, ignoring case
+categorySchema.index(
+  { owner: 1, kind: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+categorySchema.pre('validate', function(next) {
+  if (this.kind === 'type' && typeof this.name === 'string') {
+    this.name = this.name.toLowerCase();
+  }
+
+  next();
+});
+
+/**
+ * Give a user the default categories and types if they have none yet
+ * Users are seeded lazily, the first time their categories are needed
+ * @param {String} ownerId - User ID
+ * @returns {Promise<void>}
+ */
+categorySchema.statics.ensureDefaults = async function(ownerId) {
+  if (await this.exists({ owner: ownerId })) {
+    return;
+  }
+
+  const defaults = CATEGORY_KINDS.flatMap(kind => (
+    DEFAULT_NAMES[kind].map(name => ({ owner: ownerId, kind, name }))
+  ));
+
+  try {
+    await this.insertMany(defaults, { ordered: false });
+  } catch (error) {
+    // Another request seeded the same user first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Check that a user has a category or type with exactly this name
+ * @param {String} ownerId - User ID
+ * @param {String} kind - 'category' or 'type'
+ * @param {String} name - Name to look up
+ * @returns {Promise<boolean>} True if the name is defined
+ */
+categorySchema.statics.isDefined = async function(ownerId, kind, name) {
+  if (!ownerId || typeof name !== 'string') {
+    return false;
+  }
+
+  await this.ensureDefaults(ownerId);
+  return Boolean(await this.exists({ owner: ownerId, kind, name }));
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -1,17 +1,237 @@
 'use strict';
 
 const mongoose = require('mongoose');
+const NoteRevision = require('./NoteRevision');
+const Category = require('./Category');
+const SermonSeries = require('./SermonSeries');
+const { normalizeTagPath } = require('../utils/tags');
+const {
+  parseScriptureReferences,
+  parsePassages,
+  mergeScriptureRanges,
+  normalizePassage
+} = require('../utils/scripture');
 const { 
-  NOTE_CATEGORIES, 
-  NOTE_TYPES, 
   PRIORITY_LEVELS, 
+  PRAYER_STATUSES,
+  NOTE_FIELD_DEFAULTS,
   VALIDATION 
 } = require('../constants/api');
 
+/**
+ * Build a validator that only accepts one of the owner's categories or types
+ * @param {string} kind - 'category' or 'type'
+ * @returns {Function} Async Mongoose validator
+ */
+const isOwnersOwn = kind => async function(value) {
+  return Category.isDefined(this.owner, kind, value);
+};
+
+/**
+ * A range of scripture referenced by a note, such as Romans 5:3-4
+ * start and end encode chapter and verse as chapter * 1000 + verse for overlap
+ * queries; verse and endVerse are null when whole chapters are referenced.
+ */
+const scriptureReferenceSchema = new mongoose.Schema({
+  book: { type: String, required: true },
+  bookNumber: { type: Number, required: true }, // Canonical order, 1 for Genesis
+  chapter: { type: Number, required: true },
+  verse: { type: Number, default: null },
+  endChapter: { type: Number, required: true },
+  endVerse: { type: Number, default: null },
+  start: { type: Number, required: true },
+  end: { type: Number, required: true },
+  reference: { type: String, required: true }
+}, { _id: false });
+
+/**
+ * Structured metadata of a sermon note
+ * A note in a series is one of its parts; part orders the series.
+ */
+const sermonSchema = new mongoose.Schema({
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SermonSeries',
+    default: null,
+    validate: {
+      validator: async function(value) {
+        return value === null || Boolean(await SermonSeries.exists({ _id: value, owner: this.ownerDocument().owner }));
+      },
+      message: 'Sermon series not found'
+    }
+  },
+  part: {
+    type: Number,
+    default: null,
+    min: [1, 'Part must be at least 1'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'Part must be a whole number'
+    }
+  },
+  preachedAt: {
+    type: Date,
+    default: null
+  },
+  service: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [VALIDATION.SERMON.TEXT_MAX_LENGTH, `Service cannot exceed ${VALIDATION.SERMON.TEXT_MAX_LENGTH} characters`]
+  },
+  preacher: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [VALIDATION.SERMON.TEXT_MAX_LENGTH, `Preacher cannot exceed ${VALIDATION.SERMON.TEXT_MAX_LENGTH} characters`]
+  },
+  // Primary passage, stored as a normalized reference such as "Romans 8:28"
+  passage: {
+    type: String,
+    default: null,
+    set: value => (value ? normalizePassage(value) || value : null),
+    validate: {
+      validator: value => value === null || normalizePassage(value) === value,
+      message: props => `Passage "${props.value}" is not a valid scripture reference`
+    }
+  }
+}, { _id: false });
+
+/**
+ * A time at which the note's owner is reminded of it
+ * firedAt is set once the reminder has been sent.
+ */
+const reminderSchema = new mongoose.Schema({
+  remindAt: {
+    type: Date,
+    required: [true, 'Reminder time is required']
+  },
+  firedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Normalize reminders as they are set
+ * Plain times become { remindAt }, reminders are sorted and deduplicated by time,
+ * and a reminder that already fired keeps its firedAt, so editing a note never
+ * sends its reminders again.
+ * @param {Array} value - New reminders, as times or { remindAt, firedAt } objects
+ * @param {Array} priorValue - Current reminders
+ * @returns {Array} Reminders to store
+ */
+const setReminders = (value, priorValue) => {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+
+  const timeOf = reminder => new Date(reminder.remindAt).getTime();
+  const fired = new Map((priorValue || [])
+    .filter(reminder => reminder && reminder.firedAt)
+    .map(reminder => [timeOf(reminder), reminder.firedAt]));
+  const seen = new Set();
+
+  return value
+    .map(item => (item && typeof item === 'object' && !(item instanceof Date) ? item : { remindAt: item }))
+    .map(item => ({ remindAt: item.remindAt, firedAt: item.firedAt || fired.get(timeOf(item)) || null }))
+    .filter(reminder => {
+      const time = timeOf(reminder);
+      if (Number.isNaN(time)) {
+        return true; // Left for validation to reject
+      }
+      if (seen.has(time)) {
+        return false;
+      }
+      seen.add(time);
+      return true;
+    })
+    .sort((a, b) => timeOf(a) - timeOf(b));
+};
+
+/**
+ * A prayer request tracked on a note
+ * answeredAt and closedAt follow status: they are set when the request is
+ * answered or closed and cleared when it is opened again.
+ */
+const prayerSchema = new mongoose.Schema({
+  requester: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [VALIDATION.PRAYER.REQUESTER_MAX_LENGTH, `Requester cannot exceed ${VALIDATION.PRAYER.REQUESTER_MAX_LENGTH} characters`]
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PRAYER_STATUSES,
+      message: `Status must be one of: ${PRAYER_STATUSES.join(', ')}`
+    },
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return value === null || !this.openedAt || value >= this.openedAt;
+      },
+      message: 'Answered date cannot be before the opened date'
+    }
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  // What happened when the prayer was answered
+  testimony: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [VALIDATION.PRAYER.TESTIMONY_MAX_LENGTH, `Testimony cannot exceed ${VALIDATION.PRAYER.TESTIMONY_MAX_LENGTH} characters`]
+  },
+  followUpAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Set or clear the answered and closed dates of a prayer request to match its status
+ * A date already set is kept, so answering a request on a past date is possible.
+ * @param {Object} prayer - Prayer request sub-document
+ * @param {Date} now - Date for a request answered or closed just now
+ */
+const settlePrayerDates = (prayer, now = new Date()) => {
+  prayer.answeredAt = prayer.status === 'answered' ? prayer.answeredAt || now : null;
+  prayer.closedAt = prayer.status === 'closed' ? prayer.closedAt || now : null;
+};
+
+/**
+ * Collect the scripture references a note keeps
+ * The sermon passage is parsed on its own, so a whole book such as "Jude" counts.
+ * @param {Object} note - Note document or plain object
+ * @returns {Array<Object>} References in the title, content and sermon passage
+ */
+const scriptureOf = note => mergeScriptureRanges(
+  parseScriptureReferences([note.title, note.content].filter(Boolean).join('\n')),
+  parsePassages(note.sermon && note.sermon.passage)
+);
+
 /**
  * Note Schema Definition
  */
 const noteSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
   title: {
     type: String,
     required: [true, 'Title is required'],
@@ -30,9 +250,9 @@ const noteSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Category is required'],
     trim: true,
-    enum: {
-      values: NOTE_CATEGORIES,
-      message: `Category must be one of: ${NOTE_CATEGORIES.join(', ')}`
+    validate: {
+      validator: isOwnersOwn('category'),
+      message: props => `Category "${props.value}" is not one of your categories`
     },
     index: true
   },
@@ -41,16 +261,18 @@ const noteSchema = new mongoose.Schema({
     required: [true, 'Type is required'],
     trim: true,
     lowercase: true,
-    enum: {
-      values: NOTE_TYPES,
-      message: `Type must be one of: ${NOTE_TYPES.join(', ')}`
+    validate: {
+      validator: isOwnersOwn('type'),
+      message: props => `Type "${props.value}" is not one of your types`
     },
     index: true
   },
+  // Tags can be /-separated paths such as books/romans
   tags: [{
     type: String,
     trim: true,
     lowercase: true,
+    set: normalizeTagPath,
     maxlength: [VALIDATION.NOTE.TAG_MAX_LENGTH, `Tag cannot exceed ${VALIDATION.NOTE.TAG_MAX_LENGTH} characters`],
     validate: {
       validator: function() {
@@ -70,15 +292,70 @@ const noteSchema = new mongoose.Schema({
       values: PRIORITY_LEVELS,
       message: `Priority must be one of: ${PRIORITY_LEVELS.join(', ')}`
     },
-    default: 'medium',
+    default: NOTE_FIELD_DEFAULTS.priority,
     lowercase: true,
     index: true
+  },
+  // When the note needs to be ready, such as the Sunday a sermon is preached
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: [],
+    set: setReminders,
+    validate: {
+      validator: value => value.length <= VALIDATION.NOTE.MAX_REMINDERS,
+      message: `Cannot have more than ${VALIDATION.NOTE.MAX_REMINDERS} reminders`
+    }
+  },
+  isFavorite: {
+    type: Boolean,
+    default: false
+  },
+  // Pinned notes are listed first, ordered by pinPosition (1 for the first pin)
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinPosition: {
+    type: Number,
+    default: null,
+    min: [1, 'Pin position must be at least 1']
+  },
+  // Only for sermon notes; null otherwise
+  sermon: {
+    type: sermonSchema,
+    default: null
+  },
+  // Only for prayer requests; null otherwise
+  prayer: {
+    type: prayerSchema,
+    default: null
+  },
+  // Parsed from the title, content and sermon passage whenever one changes; never set directly
+  scripture: {
+    type: [scriptureReferenceSchema],
+    default: []
+  },
+  notebook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null // Notes without a notebook are unfiled
+  },
+  deletedAt: {
+    type: Date,
+    default: null // Set while the note is in the trash
   }
 }, {
   timestamps: true,
+  // Every save increments __v and fails with a VersionError if another write got there first
+  optimisticConcurrency: true,
   toJSON: { 
     transform: function(doc, ret) {
       ret.id = ret._id;
+      ret.version = ret.__v;
       delete ret._id;
       delete ret.__v;
       return ret;
@@ -87,6 +364,7 @@ const noteSchema = new mongoose.Schema({
   toObject: {
     transform: function(doc, ret) {
       ret.id = ret._id;
+      ret.version = ret.__v;
       delete ret._id;
       delete ret.__v;
       return ret;
@@ -95,6 +373,21 @@ const noteSchema = new mongoose.Schema({
 });
 
 // Compound indexes for better query performance
+noteSchema.index({ owner: 1, isArchived: 1, createdAt: -1 });
+noteSchema.index({ owner: 1, deletedAt: -1 });
+noteSchema.index({ owner: 1, notebook: 1 });
+noteSchema.index({ owner: 1, isPinned: -1, pinPosition: 1 });
+noteSchema.index({ owner: 1, isFavorite: 1 });
+noteSchema.index({ owner: 1, 'scripture.book': 1, 'scripture.start': 1 });
+noteSchema.index({ owner: 1, 'sermon.series': 1, 'sermon.part': 1 });
+noteSchema.index({ owner: 1, 'prayer.status': 1 });
+noteSchema.index({ owner: 1, dueAt: 1 });
+// Used by the reminder job to find reminders that are due and not yet sent
+noteSchema.index({ 'reminders.firedAt': 1, 'reminders.remindAt': 1 });
+noteSchema.index(
+  { deletedAt: 1 },
+  { partialFilterExpression: { deletedAt: { $type: 'date' } } }
+);
 noteSchema.index({ category: 1, type: 1 });
 noteSchema.index({ tags: 1 });
 noteSchema.index({ createdAt: -1 });
@@ -113,6 +406,19 @@ noteSchema.index({
   name: 'note_text_index'
 });
 
+// Keep the scripture references in step with the text; validation also runs for insertMany
+noteSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('content') || this.isModified('sermon')) {
+    this.scripture = scriptureOf(this);
+  }
+
+  if (this.prayer && this.isModified('prayer')) {
+    settlePrayerDates(this.prayer);
+  }
+
+  next();
+});
+
 // Pre-save middleware for data validation and sanitization
 noteSchema.pre('save', function(next) {
   // Remove duplicate tags
@@ -134,6 +440,37 @@ noteSchema.methods.unarchive = function() {
   return this.save();
 };
 
+// Pinning puts the note after the notes pinned so far
+noteSchema.methods.pin = async function() {
+  if (!this.isPinned) {
+    const lastPinned = await this.constructor.findOne({ owner: this.owner, isPinned: true, deletedAt: null })
+      .sort({ pinPosition: -1 })
+      .select('pinPosition')
+      .lean();
+
+    this.isPinned = true;
+    this.pinPosition = (lastPinned ? lastPinned.pinPosition : 0) + 1;
+  }
+
+  return this.save();
+};
+
+noteSchema.methods.unpin = function() {
+  this.isPinned = false;
+  this.pinPosition = null;
+  return this.save();
+};
+
+noteSchema.methods.favorite = function() {
+  this.isFavorite = true;
+  return this.save();
+};
+
+noteSchema.methods.unfavorite = function() {
+  this.isFavorite = false;
+  return this.save();
+};
+
 noteSchema.methods.addTag = function(tag) {
   if (!tag || typeof tag !== 'string') {
     throw new Error('Tag must be a non-empty string');
@@ -203,8 +540,11 @@ noteSchema.statics.searchNotes = function(searchTerm, includeArchived = false) {
   return this.find(filter).sort({ createdAt: -1 });
 };
 
-noteSchema.statics.getStats = async function() {
+noteSchema.statics.getStats = async function(ownerId) {
   const stats = await this.aggregate([
+    {
+      $match: { owner: new mongoose.Types.ObjectId(ownerId), deletedAt: null }
+    },
     {
       $group: {
         _id: null,
@@ -233,6 +573,130 @@ noteSchema.statics.getStats = async function() {
   };
 };
 
+/**
+ * Count a user's notes (excluding the trash) per notebook
+ * @param {string} ownerId - Owner of the notes
+ * @returns {Promise<Map<string, number>>} Counts keyed by notebook ID, with unfiled notes under ''
+ */
+noteSchema.statics.countByNotebook = async function(ownerId) {
+  const counts = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId), deletedAt: null } },
+    { $group: { _id: '$notebook', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id ? String(_id) : '', count]));
+};
+
+/**
+ * Count a user's notes (excluding the trash) per value of a field
+ * @param {string} ownerId - Owner of the notes
+ * @param {string} field - Note field to group by, such as 'category' or 'type'
+ * @returns {Promise<Map<string, number>>} Counts keyed by field value
+ */
+noteSchema.statics.countByField = async function(ownerId, field) {
+  const counts = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId), deletedAt: null } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+/**
+ * Count how many of a user's notes (excluding the trash) carry each tag
+ * @param {string} ownerId - Owner of the notes
+ * @returns {Promise<Array<Object>>} { tag, count, lastUsed } per tag, most used first;
+ *   lastUsed is the latest update of a note carrying the tag
+ */
+noteSchema.statics.getTagUsage = function(ownerId) {
+  return this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId), deletedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$updatedAt' } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', count: 1, lastUsed: 1 } }
+  ]);
+};
+
+/**
+ * Parse the scripture references of every note again, for notes saved before
+ * references were parsed or after the parser has changed
+ * Notes keep their updatedAt and version, since their text does not change.
+ * @param {number} batchSize - Number of notes written per round trip
+ * @returns {Promise<number>} Number of notes indexed
+ */
+noteSchema.statics.reindexScripture = async function(batchSize = 500) {
+  let indexed = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      await this.bulkWrite(batch);
+      indexed += batch.length;
+      batch = [];
+    }
+  };
+
+  for await (const note of this.find().select('title content sermon.passage').lean().cursor({ batchSize })) {
+    batch.push({
+      updateOne: {
+        filter: { _id: note._id },
+        update: { $set: { scripture: scriptureOf(note) } },
+        timestamps: false
+      }
+    });
+
+    if (batch.length === batchSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return indexed;
+};
+
+/**
+ * Assign every note without an owner to the given user
+ * Used to migrate notes created before per-user ownership existed
+ * @param {string} ownerId - ID of the user who should own the notes
+ * @returns {Promise<Object>} MongoDB update result
+ */
+noteSchema.statics.assignOrphansTo = function(ownerId) {
+  return this.updateMany(
+    { $or: [{ owner: { $exists: false } }, { owner: null }] },
+    { $set: { owner: ownerId } }
+  );
+};
+
+/**
+ * Permanently delete notes that have been in the trash since before a date
+ * Their revisions are deleted with them
+ * @param {Date} deletedBefore - Notes trashed before this date are purged
+ * @param {number} batchSize - Number of notes deleted per round trip
+ * @returns {Promise<number>} Number of notes purged
+ */
+noteSchema.statics.purgeTrashed = async function(deletedBefore, batchSize = 500) {
+  let purged = 0;
+  let batch;
+
+  do {
+    batch = await this.find({ deletedAt: { $lt: deletedBefore } })
+      .select('_id')
+      .limit(batchSize)
+      .lean();
+
+    if (batch.length > 0) {
+      const ids = batch.map(note => note._id);
+      const { deletedCount } = await this.deleteMany({ _id: { $in: ids } });
+      await NoteRevision.deleteMany({ note: { $in: ids } });
+
+      purged += deletedCount;
+    }
+  } while (batch.length === batchSize);
+
+  return purged;
+};
+
 // Create and export the model
 const Note = mongoose.model('Note', noteSchema);
 
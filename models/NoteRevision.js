@@ -0,0 +1,133 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { NOTE_REVISION_FIELDS, NOTE_REVISION_REASONS } = require('../constants/api');
+const { copyFieldValue } = require('../utils/helpers');
+
+/**
+ * Note Revision Schema Definition
+ *
+ * A revision is a copy of a note as it was before a change. Revisions are
+ * numbered per note starting at 1 and are never modified once written, except
+ * that renaming or merging a category or type renames it in revisions too, so
+ * they can still be restored.
+ */
+const noteRevisionSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note is required']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision number must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: NOTE_REVISION_REASONS,
+      message: `Reason must be one of: ${NOTE_REVISION_REASONS.join(', ')}`
+    },
+    default: 'update'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copies of the note fields; not validated again so old revisions stay readable
+  title: String,
+  content: String,
+  category: String,
+  type: { type: String },
+  tags: [String],
+  priority: String,
+  isArchived: Boolean,
+  dueAt: Date,
+  reminders: mongoose.Schema.Types.Mixed,
+  sermon: mongoose.Schema.Types.Mixed,
+  prayer: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+noteRevisionSchema.index({ note: 1, revision: -1 }, { unique: true });
+
+/**
+ * Copy the revisioned fields of a note
+ * @param {Object} note - Note document or plain object
+ * @returns {Object} Plain object with the revisioned fields
+ */
+noteRevisionSchema.statics.snapshotOf = function(note) {
+  return NOTE_REVISION_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = copyFieldValue(note[field]);
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Store a snapshot as the next revision of a note
+ * @param {Object} note - Note the snapshot belongs to
+ * @param {Object} snapshot - Fields returned by snapshotOf
+ * @param {Object} options - Revision metadata
+ * @param {String} options.createdBy - User making the change
+ * @param {String} options.reason - Why the snapshot was taken
+ * @returns {Promise<Object>} Created revision
+ */
+noteRevisionSchema.statics.record = async function(note, snapshot, { createdBy = null, reason = 'update' } = {}) {
+  const latest = await this.findOne({ note: note._id })
+    .sort({ revision: -1 })
+    .select('revision')
+    .lean();
+
+  return this.create({
+    ...snapshot,
+    note: note._id,
+    owner: note.owner,
+    revision: latest ? latest.revision + 1 : 1,
+    createdBy,
+    reason
+  });
+};
+
+/**
+ * Store snapshots of several notes as their next revisions in one write
+ * @param {Array<Object>} notes - Notes as they were before the change
+ * @param {Object} options - Revision metadata, as for record
+ * @returns {Promise<Array<Object>>} Created revisions
+ */
+noteRevisionSchema.statics.recordMany = async function(notes, { createdBy = null, reason = 'update' } = {}) {
+  const latest = await this.aggregate([
+    { $match: { note: { $in: notes.map(note => note._id) } } },
+    { $group: { _id: '$note', revision: { $max: '$revision' } } }
+  ]);
+  const latestByNote = new Map(latest.map(({ _id, revision }) => [String(_id), revision]));
+
+  return this.insertMany(notes.map(note => ({
+    ...this.snapshotOf(note),
+    note: note._id,
+    owner: note.owner,
+    revision: (latestByNote.get(String(note._id)) || 0) + 1,
+    createdBy,
+    reason
+  })));
+};
+
+const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
+
+module.exports = NoteRevision;
@@ -0,0 +1,67 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { collectDescendantIds } = require('../utils/notebooks');
+const { VALIDATION } = require('../constants/api');
+
+/**
+ * Notebook Schema Definition
+ *
+ * Notebooks are user-owned folders for notes. A notebook with a parent is
+ * nested inside it; top-level notebooks have no parent.
+ */
+const notebookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [VALIDATION.NOTEBOOK.NAME_MAX_LENGTH, `Name cannot exceed ${VALIDATION.NOTEBOOK.NAME_MAX_LENGTH} characters`]
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [
+      VALIDATION.NOTEBOOK.DESCRIPTION_MAX_LENGTH,
+      `Description cannot exceed ${VALIDATION.NOTEBOOK.DESCRIPTION_MAX_LENGTH} characters`
+    ]
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notebookSchema.index({ owner: 1, parent: 1, name: 1 });
+
+/**
+ * Find a notebook and every notebook nested inside it
+ * @param {String} ownerId - Owner of the notebooks
+ * @param {String} notebookId - Notebook at the top of the subtree
+ * @returns {Promise<Array|null>} IDs with the notebook itself first, or null if the user has no such notebook
+ */
+notebookSchema.statics.findDescendantIds = async function(ownerId, notebookId) {
+  const notebooks = await this.find({ owner: ownerId }).select('_id parent').lean();
+  return collectDescendantIds(notebooks, notebookId);
+};
+
+const Notebook = mongoose.model('Notebook', notebookSchema);
+
+module.exports = Notebook;
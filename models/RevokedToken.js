@@ -0,0 +1,114 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * Revoked Token Schema Definition
+ *
+ * Two kinds of entries share this denylist:
+ * - single tokens, identified by their `jti` claim
+ * - user-wide revocations ("log out everywhere"), which reject every token
+ *   issued to `user` before `revokedBefore`, kept in whole seconds like the
+ *   `iat` claim it is compared with
+ *
+ * Entries expire through a TTL index once the tokens they cover would have
+ * expired anyway, so the collection never grows unbounded.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  revokedBefore: {
+    type: Number,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Single-token entries are unique by jti; user-wide entries have no jti
+revokedTokenSchema.index(
+  { jti: 1 },
+  { unique: true, partialFilterExpression: { jti: { $type: 'string' } } }
+);
+
+// Let MongoDB purge entries once the covered tokens have expired
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke a single token
+ * @param {Object} decoded - Decoded token payload (jti, userId, exp)
+ * @returns {Promise<Object>} MongoDB update result
+ */
+revokedTokenSchema.statics.revokeToken = function(decoded) {
+  return this.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.userId,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Revoke every token issued to a user up to now
+ * @param {String} userId - User whose tokens are revoked
+ * @param {Number} lifetimeMs - Longest lifetime of any token that may still be valid
+ * @returns {Promise<Object>} Created revocation entry
+ */
+revokedTokenSchema.statics.revokeAllForUser = function(userId, lifetimeMs) {
+  const now = Date.now();
+
+  // A token signed later in the same second has the same iat and stays valid
+  return this.create({
+    user: userId,
+    revokedBefore: Math.floor(now / 1000),
+    expiresAt: new Date(now + lifetimeMs)
+  });
+};
+
+/**
+ * Check whether a decoded token has been revoked
+ * @param {Object} decoded - Decoded token payload (jti, userId, iat)
+ * @returns {Promise<Boolean>} True if the token must be rejected
+ */
+revokedTokenSchema.statics.isRevoked = async function(decoded) {
+  const conditions = [];
+
+  if (decoded.jti) {
+    conditions.push({ jti: decoded.jti });
+  }
+
+  if (decoded.userId && decoded.iat) {
+    conditions.push({
+      user: decoded.userId,
+      revokedBefore: { $gt: decoded.iat }
+    });
+  }
+
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  const entry = await this.exists({ $or: conditions });
+  return !!entry;
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
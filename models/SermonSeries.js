@@ -0,0 +1,64 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { VALIDATION } = require('../constants/api');
+
+/**
+ * Sermon Series Schema Definition
+ *
+ * A series groups sermon notes preached as parts of one theme, such as a
+ * study through a book. Notes join a series through their sermon metadata.
+ */
+const sermonSeriesSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [VALIDATION.SERIES.TITLE_MAX_LENGTH, `Title cannot exceed ${VALIDATION.SERIES.TITLE_MAX_LENGTH} characters`]
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [
+      VALIDATION.SERIES.DESCRIPTION_MAX_LENGTH,
+      `Description cannot exceed ${VALIDATION.SERIES.DESCRIPTION_MAX_LENGTH} characters`
+    ]
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+sermonSeriesSchema.index({ owner: 1, startDate: -1 });
+
+const SermonSeries = mongoose.model('SermonSeries', sermonSeriesSchema);
+
+module.exports = SermonSeries;
@@ -0,0 +1,162 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema Definition
+ *
+ * A session is one login on one device. It owns a family of refresh tokens:
+ * only the most recently issued one (`refreshTokenId`) may be exchanged, and
+ * every exchange rotates it. Presenting an older token from the same family
+ * means it was copied, so the whole session is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  refreshTokenId: {
+    type: String,
+    required: [true, 'Refresh token ID is required']
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: 512
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse-detected', 'revoked-by-user'],
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge sessions once their last refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Record activity at most this often so authenticated requests rarely write
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Replace the session's current refresh token with the next one
+ * Only succeeds if `currentTokenId` is still the current token
+ * @param {String} sessionId - Session ID
+ * @param {String} currentTokenId - jti of the refresh token being exchanged
+ * @param {String} nextTokenId - jti of the newly issued refresh token
+ * @param {Date} expiresAt - Expiry of the newly issued refresh token
+ * @param {Object} context - Client the refresh came from ({ userAgent, ip })
+ * @returns {Promise<Object|null>} Updated session or null if the token was not current
+ */
+sessionSchema.statics.rotate = function(sessionId, currentTokenId, nextTokenId, expiresAt, context = {}) {
+  const now = new Date();
+  const update = { refreshTokenId: nextTokenId, expiresAt, lastRotatedAt: now, lastUsedAt: now };
+
+  if (context.userAgent) update.userAgent = context.userAgent;
+  if (context.ip) update.ip = context.ip;
+
+  return this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenId: currentTokenId, revokedAt: null },
+    { $set: update },
+    { new: true }
+  );
+};
+
+/**
+ * Check that a session is still active and record that it was used
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object|null>} The session, or null if it was revoked or has expired
+ */
+sessionSchema.statics.touch = async function(sessionId) {
+  const session = await this.findById(sessionId).select('revokedAt lastUsedAt expiresAt').lean();
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await this.updateOne({ _id: sessionId }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return session;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Active sessions
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt lastRotatedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+/**
+ * Revoke a session so none of its refresh tokens can be exchanged again
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why the session was revoked
+ * @returns {Promise<Object>} MongoDB update result
+ */
+sessionSchema.statics.revoke = function(sessionId, reason) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke one of a user's sessions, ignoring sessions owned by other users
+ * @param {String} sessionId - Session ID
+ * @param {String} userId - Owner of the session
+ * @param {String} reason - Why the session was revoked
+ * @returns {Promise<Object>} MongoDB update result
+ */
+sessionSchema.statics.revokeForUser = function(sessionId, userId, reason) {
+  return this.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Why the sessions were revoked
+ * @returns {Promise<Object>} MongoDB update result
+ */
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -3,6 +3,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { generateRandomString, hashToken } = require('../utils/helpers');
+const { verifyCode } = require('../utils/totp');
+const { USER_ROLES, DEFAULT_USER_ROLE } = require('../constants/api');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -40,10 +43,52 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  role: {
+    type: String,
+    enum: {
+      values: USER_ROLES,
+      message: `Role must be one of: ${USER_ROLES.join(', ')}`
+    },
+    default: DEFAULT_USER_ROLE,
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null,
+    select: false // Only the SHA-256 hash is stored
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false // Needed in plain form to compute codes, so never returned
+  },
+  twoFactorBackupCodes: {
+    type: [String], // SHA-256 hashes of unused recovery codes
+    default: undefined,
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false // Prevents replaying a code within its validity window
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -55,6 +100,16 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date,
     default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false // Only the SHA-256 hash is stored
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true,
@@ -64,6 +119,13 @@ const userSchema = new mongoose.Schema({
       delete ret.__v;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorBackupCodes;
+      delete ret.twoFactorLastUsedStep;
       return ret;
     }
   }
@@ -71,6 +133,14 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for performance (email and username indexes are created by unique: true)
 userSchema.index({ createdAt: -1 });
+userSchema.index(
+  { passwordResetToken: 1 },
+  { partialFilterExpression: { passwordResetToken: { $type: 'string' } } }
+);
+userSchema.index(
+  { emailVerificationToken: 1 },
+  { partialFilterExpression: { emailVerificationToken: { $type: 'string' } } }
+);
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -132,6 +202,63 @@ userSchema.methods.updateLastLogin = function() {
   });
 };
 
+// Instance method to issue a password reset token
+// Returns the plain token to email; only its hash is kept on the user
+userSchema.methods.createPasswordResetToken = function(expiresInMs) {
+  const token = generateRandomString(48);
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMs);
+
+  return token;
+};
+
+// Instance method to issue an email verification token
+// Returns the plain token to email; only its hash is kept on the user
+userSchema.methods.createEmailVerificationToken = function(expiresInMs) {
+  const token = generateRandomString(48);
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInMs);
+
+  return token;
+};
+
+// Instance method to replace the recovery codes
+// Returns the plain codes to show once; only their hashes are kept on the user
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => generateRandomString(10).toLowerCase());
+
+  this.twoFactorBackupCodes = codes.map(hashToken);
+
+  return codes;
+};
+
+// Instance method to check a second factor: a current TOTP code or an unused recovery code
+// Requires the two-factor fields to be selected; the caller saves the user afterwards
+userSchema.methods.consumeTwoFactorCode = function(code) {
+  const candidate = String(code || '').trim();
+
+  const step = this.twoFactorSecret ? verifyCode(this.twoFactorSecret, candidate) : null;
+  if (step !== null) {
+    if (this.twoFactorLastUsedStep !== null && step <= this.twoFactorLastUsedStep) {
+      return false;
+    }
+
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const hashed = hashToken(candidate.toLowerCase());
+  const backupCodes = this.twoFactorBackupCodes || [];
+  if (backupCodes.includes(hashed)) {
+    this.twoFactorBackupCodes = backupCodes.filter(stored => stored !== hashed);
+    return true;
+  }
+
+  return false;
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -154,6 +281,38 @@ userSchema.statics.usernameExists = async function(username) {
   return !!user;
 };
 
+// Static method to redeem a password reset token
+// Clears the token atomically so it can only be used once
+userSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $set: { passwordResetToken: null, passwordResetExpires: null } },
+    { new: true }
+  );
+};
+
+// Static method to redeem an email verification token
+// Marks the email verified and clears the token in one atomic update
+userSchema.statics.consumeEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: {
+        emailVerified: true,
+        emailVerificationToken: null,
+        emailVerificationExpires: null
+      }
+    },
+    { new: true }
+  );
+};
+
 // Static method for user stats
 userSchema.statics.getUserStats = async function() {
   const totalUsers = await this.countDocuments();
@@ -161,12 +320,19 @@ userSchema.statics.getUserStats = async function() {
   const recentUsers = await this.countDocuments({
     createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
   });
+  const roleCounts = await this.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
   
   return {
     totalUsers,
     activeUsers,
     recentUsers,
-    inactiveUsers: totalUsers - activeUsers
+    inactiveUsers: totalUsers - activeUsers,
+    usersByRole: roleCounts.reduce((counts, { _id, count }) => {
+      counts[_id || DEFAULT_USER_ROLE] = count;
+      return counts;
+    }, {})
   };
 };
 
@@ -1,18 +1,75 @@
 'use strict';
 
 const express = require('express');
+const ms = require('ms');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const Notebook = require('../models/Notebook');
+const Category = require('../models/Category');
+const SermonSeries = require('../models/SermonSeries');
+const ApiKey = require('../models/ApiKey');
 const { 
   generateTokenPair, 
+  rotateTokenPair,
   validatePassword, 
   authenticateToken,
-  checkRateLimit 
+  checkRateLimit,
+  verifyToken,
+  revokeSession,
+  revokeAllUserTokens,
+  rejectApiKeys,
+  getClientContext,
+  TOKEN_TYPES,
+  generateMfaChallenge,
+  revokeToken,
+  getEmailVerificationPolicy,
+  PASSWORD_RESET_EXPIRES_IN,
+  EMAIL_VERIFICATION_EXPIRES_IN,
+  MFA_CHALLENGE_EXPIRES_IN
 } = require('../utils/auth');
-const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
-const { sanitizeInput, validateEmail } = require('../utils/helpers');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { sendMail } = require('../utils/mailer');
+const { HTTP_STATUS, API_MESSAGES, API_KEY_SCOPES } = require('../constants/api');
+const { sanitizeInput, validateEmail, isValidObjectId } = require('../utils/helpers');
 
 const router = express.Router();
 
+// Account and security endpoints are only reachable with a password-based session
+router.use(rejectApiKeys);
+
+/**
+ * Email a verification link to a user
+ * The link targets this router's GET /verify-email so it works without a frontend
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @param {String} token - Plain verification token
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (req, user, token) => {
+  const verifyUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your JD Notes email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        '',
+        verifyUrl,
+        '',
+        `The link expires in ${EMAIL_VERIFICATION_EXPIRES_IN}. You can request a new one from the app at any time.`
+      ].join('\n')
+    });
+  } catch (mailError) {
+    // The account is usable regardless; the user can ask for another link
+    console.error('Verification email error:', mailError);
+  }
+};
+
 /**
  * @route POST /api/auth/register
  * @desc Register a new user
@@ -81,13 +138,18 @@ router.post('/register', async (req, res) => {
       password
     });
 
+    const verificationToken = newUser.createEmailVerificationToken(ms(EMAIL_VERIFICATION_EXPIRES_IN));
     await newUser.save();
+    await sendVerificationEmail(req, newUser, verificationToken);
 
-    // Generate tokens
-    const tokens = generateTokenPair(newUser);
+    // Unverified users may not log in under the 'login' policy, so no session is started
+    const mustVerifyFirst = getEmailVerificationPolicy() === 'login';
 
-    // Update last login
-    await newUser.updateLastLogin();
+    let tokens;
+    if (!mustVerifyFirst) {
+      tokens = await generateTokenPair(newUser, getClientContext(req));
+      await newUser.updateLastLogin();
+    }
 
     // Response data
     const userData = {
@@ -96,13 +158,17 @@ router.post('/register', async (req, res) => {
       email: newUser.email,
       firstName: newUser.firstName,
       lastName: newUser.lastName,
+      role: newUser.role,
+      emailVerified: newUser.emailVerified,
       createdAt: newUser.createdAt,
       lastLogin: newUser.lastLogin
     };
 
     return res.status(HTTP_STATUS.CREATED).json({
       success: true,
-      message: 'Account created successfully',
+      message: mustVerifyFirst
+        ? 'Account created successfully. Please verify your email address before logging in'
+        : 'Account created successfully',
       user: userData,
       tokens,
       timestamp: new Date().toISOString()
@@ -137,6 +203,47 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Finish a successful login: reset lockout state, start a session and respond with tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document
+ * @returns {Promise<Object>} Express response
+ */
+const completeLogin = async (req, res, user) => {
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Generate tokens
+  const tokens = await generateTokenPair(user, getClientContext(req));
+
+  // Response data
+  const userData = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    lastLogin: new Date().toISOString()
+  };
+
+  return res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: 'Login successful',
+    user: userData,
+    tokens,
+    timestamp: new Date().toISOString()
+  });
+};
+
 /**
  * @route POST /api/auth/login
  * @desc Authenticate user and return token
@@ -203,34 +310,26 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.resetLoginAttempts();
+    if (getEmailVerificationPolicy() === 'login' && !user.emailVerified) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: 'Email Not Verified',
+        message: 'Please verify your email address before logging in'
+      });
     }
 
-    // Update last login
-    await user.updateLastLogin();
-
-    // Generate tokens
-    const tokens = generateTokenPair(user);
-
-    // Response data
-    const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      lastLogin: new Date().toISOString()
-    };
+    // The password alone is not enough: hand out a challenge for the second factor
+    if (user.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateMfaChallenge(user),
+        expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    return res.status(HTTP_STATUS.OK).json({
-      success: true,
-      message: 'Login successful',
-      user: userData,
-      tokens,
-      timestamp: new Date().toISOString()
-    });
+    return await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -242,16 +341,93 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/auth/login/2fa
+ * @desc Complete a two-factor login with an authenticator or recovery code
+ * @access Public (requires challenge token from POST /api/auth/login)
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!challengeToken || !code) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    if (!checkRateLimit(`login-2fa:${clientIP}`)) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        error: 'Too Many Attempts',
+        message: 'Too many login attempts. Please try again later.',
+        retryAfter: '15 minutes'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyToken(challengeToken, TOKEN_TYPES.MFA_CHALLENGE);
+    } catch (error) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Invalid Token',
+        message: 'Two-factor challenge is invalid or has expired. Please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Invalid Token',
+        message: 'Two-factor challenge is invalid or has expired. Please log in again'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Account Locked',
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    if (!user.consumeTwoFactorCode(code)) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.incLoginAttempts();
+
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Authentication Failed',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    // A challenge completes exactly one login
+    await revokeToken(decoded);
+
+    return await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Login failed'
+    });
+  }
+});
+
 /**
  * @route POST /api/auth/logout
- * @desc Logout user (invalidate token - client-side handling)
+ * @desc Logout the current session by revoking its access and refresh tokens
  * @access Private
  */
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a stateless JWT system, logout is primarily handled client-side
-    // The client should remove the token from storage
-    // For enhanced security, you could maintain a blacklist of tokens
+    await revokeSession(req.user);
     
     return res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -270,161 +446,1074 @@ router.post('/logout', authenticateToken, async (req, res) => {
 });
 
 /**
- * @route GET /api/auth/me
- * @desc Get current user profile
+ * @route POST /api/auth/logout-all
+ * @desc Logout from every device by revoking all tokens issued to the user
  * @access Private
  */
-router.get('/me', authenticateToken, async (req, res) => {
+router.post('/logout-all', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    
-    if (!user) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        error: 'User Not Found',
-        message: 'User account not found'
-      });
-    }
-
-    const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      isActive: user.isActive,
-      lastLogin: user.lastLogin,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    };
+    await revokeAllUserTokens(req.user.userId);
 
     return res.status(HTTP_STATUS.OK).json({
       success: true,
-      user: userData,
+      message: 'Logged out from all devices successfully',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Get profile error:', error);
-    
+    console.error('Logout all error:', error);
+
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       error: API_MESSAGES.INTERNAL_SERVER_ERROR,
-      message: 'Failed to retrieve user profile'
+      message: 'Logout from all devices failed'
     });
   }
 });
 
 /**
- * @route POST /api/auth/refresh
- * @desc Refresh access token
- * @access Public
+ * @route GET /api/auth/sessions
+ * @desc List the devices the user is signed in on
+ * @access Private
  */
-router.post('/refresh', async (req, res) => {
+router.get('/sessions', authenticateToken, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const sessions = await Session.findActiveForUser(req.user.userId);
 
-    if (!refreshToken) {
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sid)
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to retrieve sessions'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Sign out one device; its access and refresh tokens stop working immediately
+ * @access Private
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         error: 'Validation Error',
-        message: 'Refresh token is required'
+        message: 'Invalid session ID format'
       });
     }
 
-    // Verify refresh token
-    const { verifyToken } = require('../utils/auth');
-    const decoded = verifyToken(refreshToken);
+    const result = await Session.revokeForUser(req.params.id, req.user.userId, 'revoked-by-user');
 
-    // Find user
-    const user = await User.findById(decoded.userId);
-    
-    if (!user || !user.isActive) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        error: 'Invalid Token',
-        message: 'User not found or inactive'
+    if (!result.matchedCount) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'Session Not Found',
+        message: 'Session not found or already revoked'
       });
     }
 
-    // Generate new tokens
-    const tokens = generateTokenPair(user);
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Session revoked successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * Build the representation of an API key returned to its owner
+ * @param {Object} apiKey - API key document
+ * @returns {Object} API key data without the hash
+ */
+const toApiKeyData = (apiKey) => ({
+  id: apiKey._id,
+  label: apiKey.label,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * @route GET /api/auth/api-keys
+ * @desc List the user's active API keys
+ * @access Private
+ */
+router.get('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.userId, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
 
     return res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Token refreshed successfully',
-      tokens,
+      apiKeys: apiKeys.map(toApiKeyData),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Token refresh error:', error);
-    
-    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-      error: 'Invalid Token',
-      message: 'Invalid or expired refresh token'
+    console.error('List API keys error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to retrieve API keys'
     });
   }
 });
 
 /**
- * @route POST /api/auth/change-password
- * @desc Change user password
+ * @route POST /api/auth/api-keys
+ * @desc Create an API key; the key itself is only returned in this response
  * @access Private
  */
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/api-keys', authenticateToken, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const label = sanitizeInput(req.body.label).trim();
+    const { scopes } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if (!label) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         error: 'Validation Error',
-        message: 'Current password and new password are required'
+        message: 'Label is required'
       });
     }
 
-    // Find user with password
-    const user = await User.findById(req.user.userId).select('+password');
-    
-    if (!user) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        error: 'User Not Found',
-        message: 'User account not found'
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
       });
     }
 
-    // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    
-    if (!isCurrentPasswordValid) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        error: 'Authentication Failed',
-        message: 'Current password is incorrect'
+    const { apiKey, key } = await ApiKey.createForUser(req.user.userId, label, [...new Set(scopes)]);
+
+    return res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again',
+      apiKey: { ...toApiKeyData(apiKey), key },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Invalid input data',
+        details: errors
       });
     }
 
-    // Validate new password
-    const passwordValidation = validatePassword(newPassword);
-    if (!passwordValidation.isValid) {
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/auth/api-keys/:id
+ * @desc Revoke an API key
+ * @access Private
+ */
+router.delete('/api-keys/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         error: 'Validation Error',
-        message: 'New password does not meet requirements',
-        requirements: passwordValidation.errors
+        message: 'Invalid API key ID format'
       });
     }
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+    const result = await ApiKey.revokeForUser(req.params.id, req.user.userId);
+
+    if (!result.matchedCount) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'API Key Not Found',
+        message: 'API key not found or already revoked'
+      });
+    }
 
     return res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Password changed successfully',
+      message: 'API key revoked successfully',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Change password error:', error);
-    
+    console.error('Revoke API key error:', error);
+
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       error: API_MESSAGES.INTERNAL_SERVER_ERROR,
-      message: 'Failed to change password'
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+/**
+ * Build the profile returned to the account owner
+ * @param {Object} user - User document
+ * @returns {Object} Profile data
+ */
+const toProfileData = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+/**
+ * @route GET /api/auth/me
+ * @desc Get current user profile
+ * @access Private
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      user: toProfileData(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to retrieve user profile'
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/auth/me
+ * @desc Update the current user's name, username or email
+ * @access Private
+ */
+router.patch('/me', authenticateToken, async (req, res) => {
+  try {
+    const editableFields = ['username', 'email', 'firstName', 'lastName'];
+    const updates = {};
+
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) {
+        updates[field] = sanitizeInput(req.body[field]).trim();
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Provide at least one field to update',
+        allowed: editableFields
+      });
+    }
+
+    const emptyField = Object.keys(updates).find(field => !updates[field]);
+    if (emptyField) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: `${emptyField} cannot be empty`
+      });
+    }
+
+    if (updates.email !== undefined) {
+      updates.email = updates.email.toLowerCase();
+
+      if (!validateEmail(updates.email)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Please provide a valid email address'
+        });
+      }
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    const emailChanged = updates.email !== undefined && updates.email !== user.email;
+    const usernameChanged = updates.username !== undefined && updates.username !== user.username;
+
+    if (emailChanged && await User.emailExists(updates.email)) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'User Already Exists',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    if (usernameChanged && await User.usernameExists(updates.username)) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'User Already Exists',
+        message: 'This username is already taken'
+      });
+    }
+
+    Object.assign(user, updates);
+
+    // A new address has to be proven before it counts as verified
+    let verificationToken;
+    if (emailChanged) {
+      user.emailVerified = false;
+      verificationToken = user.createEmailVerificationToken(ms(EMAIL_VERIFICATION_EXPIRES_IN));
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      await sendVerificationEmail(req, user, verificationToken);
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address'
+        : 'Profile updated successfully',
+      user: toProfileData(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Invalid input data',
+        details: errors
+      });
+    }
+
+    // Lost a race with another account claiming the same email or username
+    if (error.code === 11000) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'User Already Exists',
+        message: 'Email or username is already taken'
+      });
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/auth/me
+ * @desc Permanently delete the current user's account and all of their notes
+ * @access Private
+ */
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Current password is required to delete your account'
+      });
+    }
+
+    const user = await User.findById(req.user.userId)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Authentication Failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (user.twoFactorEnabled && !user.consumeTwoFactorCode(code)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Authentication Failed',
+        message: 'A valid two-factor code is required to delete your account'
+      });
+    }
+
+    // Never leave the system without an administrator
+    if (user.role === 'admin') {
+      const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+
+      if (otherAdmins === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Promote another admin before deleting the last admin account'
+        });
+      }
+    }
+
+    await revokeAllUserTokens(user._id);
+    const { deletedCount: deletedNotes } = await Note.deleteMany({ owner: user._id });
+    await NoteRevision.deleteMany({ owner: user._id });
+    await Notebook.deleteMany({ owner: user._id });
+    await Category.deleteMany({ owner: user._id });
+    await SermonSeries.deleteMany({ owner: user._id });
+    await Session.deleteMany({ user: user._id });
+    await ApiKey.deleteMany({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Account deleted successfully',
+      deletedNotes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to delete account'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new token pair (rotating the refresh token)
+ * @access Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Verify refresh token
+    const decoded = await verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+
+    // Find user
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Invalid Token',
+        message: 'User not found or inactive'
+      });
+    }
+
+    // Rotate: the presented refresh token can never be used again
+    const tokens = await rotateTokenPair(user, decoded, getClientContext(req));
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      tokens,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    // A reused token has already revoked its session; the client is not told why
+    console.error('Token refresh error:', error.name === 'TokenReuseError' ? error.message : error);
+
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: 'Invalid Token',
+      message: API_MESSAGES.REFRESH_TOKEN_INVALID
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/change-password
+ * @desc Change user password
+ * @access Private
+ */
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Current password and new password are required'
+      });
+    }
+
+    // Find user with password
+    const user = await User.findById(req.user.userId).select('+password');
+    
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    // Verify current password
+    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    
+    if (!isCurrentPasswordValid) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Authentication Failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Validate new password
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'New password does not meet requirements',
+        requirements: passwordValidation.errors
+      });
+    }
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Password changed successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+/**
+ * Email a password reset link to a user
+ * @param {Object} user - User document
+ * @param {String} token - Plain reset token
+ * @returns {Promise<Object>} The message that was sent
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const resetUrl = `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your JD Notes password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your JD Notes password. Use the link below to choose a new one:',
+      '',
+      resetUrl,
+      '',
+      `The link expires in ${PASSWORD_RESET_EXPIRES_IN} and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a single-use password reset link
+ * @access Public
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = sanitizeInput(req.body.email).toLowerCase();
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    if (!checkRateLimit(`forgot-password:${clientIP}`)) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        error: 'Too Many Attempts',
+        message: 'Too many password reset requests. Please try again later.',
+        retryAfter: '15 minutes'
+      });
+    }
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken(ms(PASSWORD_RESET_EXPIRES_IN));
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        // Still answer generically so the response does not reveal the account exists
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    // Same response whether or not the account exists
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password using a password reset token
+ * @access Public
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    // Check the password before redeeming the single-use token
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'New password does not meet requirements',
+        requirements: passwordValidation.errors
+      });
+    }
+
+    const user = await User.consumePasswordResetToken(String(token));
+
+    if (!user) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Invalid Token',
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    // Redeeming a link sent to the address proves the user controls it
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await revokeAllUserTokens(user._id);
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * Redeem an email verification token from the query string or body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+    if (!token) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.consumeEmailVerificationToken(String(token));
+
+    if (!user) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Invalid Token',
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Email address verified successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to verify email address'
+    });
+  }
+};
+
+/**
+ * @route GET /api/auth/verify-email?token=
+ * @desc Verify an email address from the emailed link
+ * @access Public
+ */
+router.get('/verify-email', verifyEmail);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verify an email address with a token submitted by the frontend
+ * @access Public
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @route POST /api/auth/resend-verification
+ * @desc Email a new verification link, replacing any earlier one
+ * @access Public
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const email = sanitizeInput(req.body.email).toLowerCase();
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    if (!checkRateLimit(`resend-verification:${clientIP}`)) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        error: 'Too Many Attempts',
+        message: 'Too many verification requests. Please try again later.',
+        retryAfter: '15 minutes'
+      });
+    }
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive && !user.emailVerified) {
+      const token = user.createEmailVerificationToken(ms(EMAIL_VERIFICATION_EXPIRES_IN));
+      await user.save({ validateBeforeSave: false });
+      await sendVerificationEmail(req, user, token);
+    }
+
+    // Same response whether or not the account exists or is already verified
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'If an unverified account with that email exists, a verification link has been sent',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to resend verification email'
+    });
+  }
+});
+
+/**
+ * Load the authenticated user with the two-factor fields selected
+ * @param {Object} req - Express request object
+ * @param {String} extraFields - Additional hidden fields to select
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserWithTwoFactor = (req, extraFields = '') => {
+  return User.findById(req.user.userId)
+    .select(`+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep ${extraFields}`.trim());
+};
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Generate a new TOTP secret to enroll in an authenticator app
+ * @access Private
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Two-Factor Already Enabled',
+        message: 'Disable two-factor authentication before enrolling a new device'
+      });
+    }
+
+    // Not active until confirmed with a first code
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    user.twoFactorLastUsedStep = null;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @desc Enable two-factor authentication with a first code and receive recovery codes
+ * @access Private
+ */
+router.post('/2fa/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Code is required'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Two-Factor Already Enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Start two-factor setup before confirming it'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorSecret, code);
+
+    if (step === null) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Invalid Code',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastUsedStep = step;
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once',
+      backupCodes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/2fa/backup-codes
+ * @desc Replace all recovery codes (requires a current code)
+ * @access Private
+ */
+router.post('/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.consumeTwoFactorCode(req.body.code)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Authentication Failed',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      backupCodes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Turn off two-factor authentication (requires password and a current code)
+ * @access Private
+ */
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Password and code are required'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req, '+password');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid || !user.consumeTwoFactorCode(code)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Authentication Failed',
+        message: 'Password or two-factor code is incorrect'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorBackupCodes = undefined;
+    user.twoFactorLastUsedStep = null;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to disable two-factor authentication'
     });
   }
 });
@@ -0,0 +1,279 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Category = require('../models/Category');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { authenticateToken, authorize, requireScopeFor } = require('../utils/auth');
+const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
+const {
+  createApiResponse,
+  createErrorResponse,
+  sendValidationError,
+  sendInvalidId,
+  sendNotFound,
+  isValidObjectId
+} = require('../utils/helpers');
+
+/**
+ * Build the public representation of a category or type
+ * @param {Object} category - Category document or plain object
+ * @param {number} [noteCount] - Number of notes using it
+ * @returns {Object} Category data
+ */
+const toCategoryData = (category, noteCount) => ({
+  id: category._id,
+  kind: category.kind,
+  name: category.name,
+  ...(noteCount !== undefined && { noteCount }),
+  createdAt: category.createdAt,
+  updatedAt: category.updatedAt
+});
+
+/**
+ * Rename a category or type on every note of a user, including the trash,
+ * and in their revisions so old versions can still be restored
+ * @param {String} ownerId - User ID
+ * @param {String} kind - 'category' or 'type'; also the note field to update
+ * @param {String} from - Current name
+ * @param {String} to - New name
+ * @returns {Promise<number>} Number of notes changed
+ */
+const renameInNotes = async (ownerId, kind, from, to) => {
+  const [{ modifiedCount }] = await Promise.all([
+    Note.updateMany({ owner: ownerId, [kind]: from }, { $set: { [kind]: to }, $inc: { __v: 1 } }),
+    NoteRevision.updateMany({ owner: ownerId, [kind]: from }, { $set: { [kind]: to } })
+  ]);
+
+  return modifiedCount;
+};
+
+/**
+ * Send 409 when a name is already taken (names are unique per kind, ignoring case)
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendExists = (res) => res.status(HTTP_STATUS.CONFLICT).json(
+  createErrorResponse(API_MESSAGES.CATEGORY_EXISTS, HTTP_STATUS.CONFLICT)
+);
+
+// Every category endpoint requires an authenticated user
+router.use(authenticateToken);
+
+router.use(requireScopeFor('notes:read', 'notes:write'));
+
+// Viewers have read-only access to their categories
+const canEdit = authorize('admin', 'editor');
+
+/**
+ * @route   GET /api/categories
+ * @desc    List the user's categories and types with note counts
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ownerId = req.user.userId;
+    await Category.ensureDefaults(ownerId);
+
+    const [categories, noteCounts, typeCounts] = await Promise.all([
+      Category.find({ owner: ownerId }).sort({ name: 1 }).lean(),
+      Note.countByField(ownerId, 'category'),
+      Note.countByField(ownerId, 'type')
+    ]);
+
+    const countsByKind = { category: noteCounts, type: typeCounts };
+    const listOf = kind => categories
+      .filter(category => category.kind === kind)
+      .map(category => toCategoryData(category, countsByKind[kind].get(category.name) || 0));
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ categories: listOf('category'), types: listOf('type') }, API_MESSAGES.CATEGORIES_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch categories', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category or type
+ * @access  Private (admin, editor)
+ */
+router.post('/', canEdit, async (req, res) => {
+  try {
+    const { kind, name } = req.body;
+
+    // Seed the defaults first, or creating a first category would skip them
+    await Category.ensureDefaults(req.user.userId);
+
+    const category = await Category.create({ owner: req.user.userId, kind, name });
+
+    return res.status(HTTP_STATUS.CREATED).json(
+      createApiResponse(toCategoryData(category, 0), API_MESSAGES.CATEGORY_CREATED)
+    );
+  } catch (error) {
+    console.error('Error creating category:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return sendExists(res);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to create category', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   PATCH /api/categories/:id
+ * @desc    Rename a category or type, renaming it on every note that uses it
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id', canEdit, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'category');
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, owner: req.user.userId });
+
+    if (!category) {
+      return sendNotFound(res, API_MESSAGES.CATEGORY_NOT_FOUND);
+    }
+
+    const previousName = category.name;
+    category.name = req.body.name;
+    const renamed = await category.save();
+
+    const renamedNotes = renamed.name === previousName
+      ? 0
+      : await renameInNotes(req.user.userId, renamed.kind, previousName, renamed.name);
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ ...toCategoryData(renamed), renamedNotes }, API_MESSAGES.CATEGORY_RENAMED)
+    );
+  } catch (error) {
+    console.error('Error renaming category:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return sendExists(res);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to rename category', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   POST /api/categories/:id/merge
+ * @desc    Merge a category or type into another of the same kind, moving its notes, then delete it
+ * @access  Private (admin, editor)
+ */
+router.post('/:id/merge', canEdit, async (req, res) => {
+  try {
+    const { into } = req.body;
+
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'category');
+    }
+
+    if (!isValidObjectId(into)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('into must be the ID of the category to merge into', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (String(into) === String(req.params.id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('A category cannot be merged into itself', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const [source, target] = await Promise.all([
+      Category.findOne({ _id: req.params.id, owner: req.user.userId }),
+      Category.findOne({ _id: into, owner: req.user.userId })
+    ]);
+
+    if (!source || !target) {
+      return sendNotFound(res, API_MESSAGES.CATEGORY_NOT_FOUND);
+    }
+
+    if (source.kind !== target.kind) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('A category can only be merged into another of the same kind', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const movedNotes = await renameInNotes(req.user.userId, source.kind, source.name, target.name);
+    await source.deleteOne();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ ...toCategoryData(target), merged: source._id, movedNotes }, API_MESSAGES.CATEGORY_MERGED)
+    );
+  } catch (error) {
+    console.error('Error merging categories:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to merge categories', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category or type that no note uses (notes in the trash count)
+ * @access  Private (admin, editor)
+ */
+router.delete('/:id', canEdit, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'category');
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, owner: req.user.userId });
+
+    if (!category) {
+      return sendNotFound(res, API_MESSAGES.CATEGORY_NOT_FOUND);
+    }
+
+    // Trashed notes count too, or restoring them would fail validation
+    if (await Note.exists({ owner: req.user.userId, [category.kind]: category.name })) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        createErrorResponse(API_MESSAGES.CATEGORY_IN_USE, HTTP_STATUS.CONFLICT)
+      );
+    }
+
+    // Every note needs a category and a type, so neither list may become empty
+    if (await Category.countDocuments({ owner: req.user.userId, kind: category.kind }) <= 1) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(API_MESSAGES.CATEGORY_LAST_OF_KIND, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    await category.deleteOne();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ id: category._id, kind: category.kind, name: category.name }, API_MESSAGES.CATEGORY_DELETED)
+    );
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to delete category', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+module.exports = router;
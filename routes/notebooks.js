@@ -0,0 +1,293 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/Note');
+const Notebook = require('../models/Notebook');
+const { authenticateToken, authorize, requireScopeFor } = require('../utils/auth');
+const { collectDescendantIds, buildNotebookTree } = require('../utils/notebooks');
+const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
+const {
+  createApiResponse,
+  createErrorResponse,
+  sendValidationError,
+  sendInvalidId,
+  sendNotFound,
+  isValidObjectId
+} = require('../utils/helpers');
+
+/**
+ * Build the public representation of a notebook
+ * @param {Object} notebook - Notebook document or plain object
+ * @returns {Object} Notebook data
+ */
+const toNotebookData = (notebook) => ({
+  id: notebook._id,
+  name: notebook.name,
+  description: notebook.description || '',
+  parent: notebook.parent || null,
+  createdAt: notebook.createdAt,
+  updatedAt: notebook.updatedAt
+});
+
+/**
+ * Convert a notebook tree node, keeping its counts and nested notebooks
+ * @param {Object} node - Node built by buildNotebookTree
+ * @returns {Object} Notebook data with counts and children
+ */
+const toNodeData = (node) => ({
+  ...toNotebookData(node),
+  noteCount: node.noteCount,
+  totalNoteCount: node.totalNoteCount,
+  ...(node.children && { children: node.children.map(toNodeData) })
+});
+
+/**
+ * Check that a parent notebook from a request body belongs to the user
+ * @param {Object} req - Express request object
+ * @param {*} parentId - Parent notebook ID, or null/empty for a top-level notebook
+ * @returns {Promise<boolean>} True if the parent is usable
+ */
+const isValidParent = async (req, parentId) => {
+  if (parentId === null || parentId === '') {
+    return true;
+  }
+
+  return isValidObjectId(parentId) && Boolean(await Notebook.exists({ _id: parentId, owner: req.user.userId }));
+};
+
+/**
+ * Send 400 for a parent notebook the user does not have
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendInvalidParent = (res) => res.status(HTTP_STATUS.BAD_REQUEST).json(
+  createErrorResponse('Parent notebook not found', HTTP_STATUS.BAD_REQUEST)
+);
+
+/**
+ * Load a user's notebooks with their note counts
+ * @param {String} ownerId - Owner of the notebooks
+ * @returns {Promise<Object>} Notebook tree, flat list and the number of unfiled notes
+ */
+const loadNotebookTree = async (ownerId) => {
+  const [notebooks, noteCounts] = await Promise.all([
+    Notebook.find({ owner: ownerId }).sort({ name: 1 }).lean(),
+    Note.countByNotebook(ownerId)
+  ]);
+
+  return { ...buildNotebookTree(notebooks, noteCounts), unfiledNotes: noteCounts.get('') || 0 };
+};
+
+// Every notebook endpoint requires an authenticated user
+router.use(authenticateToken);
+
+router.use(requireScopeFor('notes:read', 'notes:write'));
+
+// Viewers have read-only access to their notebooks
+const canEdit = authorize('admin', 'editor');
+
+/**
+ * @route   GET /api/notebooks
+ * @desc    List notebooks with note counts, as a flat list or as a tree (?format=tree)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { notebooks, tree, unfiledNotes } = await loadNotebookTree(req.user.userId);
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({
+        notebooks: req.query.format === 'tree' ? tree.map(toNodeData) : notebooks.map(toNodeData),
+        unfiledNotes
+      }, API_MESSAGES.NOTEBOOKS_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching notebooks:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch notebooks', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   GET /api/notebooks/:id
+ * @desc    Get a notebook with its note counts, nested notebooks and path from the top level
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'notebook');
+    }
+
+    const { notebooks, tree } = await loadNotebookTree(req.user.userId);
+
+    const findNode = nodes => nodes.reduce((found, node) => (
+      found || (String(node._id) === String(req.params.id) ? node : findNode(node.children))
+    ), null);
+    const node = findNode(tree);
+
+    if (!node) {
+      return sendNotFound(res, API_MESSAGES.NOTEBOOK_NOT_FOUND);
+    }
+
+    // Ancestors from the top level down to the parent
+    const byId = new Map(notebooks.map(notebook => [String(notebook._id), notebook]));
+    const path = [];
+    for (let parent = byId.get(String(node.parent)); parent; parent = byId.get(String(parent.parent))) {
+      path.unshift({ id: parent._id, name: parent.name });
+    }
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ ...toNodeData(node), path }, API_MESSAGES.NOTEBOOK_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching notebook:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch notebook', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   POST /api/notebooks
+ * @desc    Create a notebook, optionally inside another notebook
+ * @access  Private (admin, editor)
+ */
+router.post('/', canEdit, async (req, res) => {
+  try {
+    const { name, description, parent = null } = req.body;
+
+    if (!(await isValidParent(req, parent))) {
+      return sendInvalidParent(res);
+    }
+
+    const notebook = await Notebook.create({
+      owner: req.user.userId,
+      name,
+      description,
+      parent: parent || null
+    });
+
+    return res.status(HTTP_STATUS.CREATED).json(
+      createApiResponse(toNotebookData(notebook), API_MESSAGES.NOTEBOOK_CREATED)
+    );
+  } catch (error) {
+    console.error('Error creating notebook:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to create notebook', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   PATCH /api/notebooks/:id
+ * @desc    Rename, describe or move a notebook (parent: null moves it to the top level)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id', canEdit, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'notebook');
+    }
+
+    const notebook = await Notebook.findOne({ _id: req.params.id, owner: req.user.userId });
+
+    if (!notebook) {
+      return sendNotFound(res, API_MESSAGES.NOTEBOOK_NOT_FOUND);
+    }
+
+    const { name, description, parent } = req.body;
+
+    if (parent !== undefined) {
+      if (!(await isValidParent(req, parent))) {
+        return sendInvalidParent(res);
+      }
+
+      // A notebook cannot end up inside itself
+      if (parent) {
+        const notebooks = await Notebook.find({ owner: req.user.userId }).select('_id parent').lean();
+        const subtree = collectDescendantIds(notebooks, notebook._id) || [];
+
+        if (subtree.some(id => String(id) === String(parent))) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json(
+            createErrorResponse(API_MESSAGES.NOTEBOOK_INVALID_PARENT, HTTP_STATUS.BAD_REQUEST)
+          );
+        }
+      }
+
+      notebook.parent = parent || null;
+    }
+
+    if (name !== undefined) {
+      notebook.name = name;
+    }
+
+    if (description !== undefined) {
+      notebook.description = description;
+    }
+
+    const updatedNotebook = await notebook.save();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(toNotebookData(updatedNotebook), API_MESSAGES.NOTEBOOK_UPDATED)
+    );
+  } catch (error) {
+    console.error('Error updating notebook:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to update notebook', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   DELETE /api/notebooks/:id
+ * @desc    Delete a notebook; its notes and nested notebooks move up to its parent
+ * @access  Private (admin, editor)
+ */
+router.delete('/:id', canEdit, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'notebook');
+    }
+
+    const notebook = await Notebook.findOne({ _id: req.params.id, owner: req.user.userId });
+
+    if (!notebook) {
+      return sendNotFound(res, API_MESSAGES.NOTEBOOK_NOT_FOUND);
+    }
+
+    const parent = notebook.parent || null;
+
+    // Notes in the trash move too, so restoring them never points at a deleted notebook
+    const [{ modifiedCount: movedNotebooks }, { modifiedCount: movedNotes }] = await Promise.all([
+      Notebook.updateMany({ owner: req.user.userId, parent: notebook._id }, { $set: { parent } }),
+      Note.updateMany({ owner: req.user.userId, notebook: notebook._id }, { $set: { notebook: parent }, $inc: { __v: 1 } })
+    ]);
+
+    await notebook.deleteOne();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ id: notebook._id, parent, movedNotebooks, movedNotes }, API_MESSAGES.NOTEBOOK_DELETED)
+    );
+  } catch (error) {
+    console.error('Error deleting notebook:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to delete notebook', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,30 @@
 'use strict';
 
 const express = require('express');
+const ms = require('ms');
 const router = express.Router();
 
 const Note = require('../models/Note');
-const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
+const NoteRevision = require('../models/NoteRevision');
+const Notebook = require('../models/Notebook');
+const Category = require('../models/Category');
+const { authenticateToken, authorize, requireScopeFor, requireVerifiedEmail } = require('../utils/auth');
+const { diffLines } = require('../utils/diff');
+const { applyMergePatch, applyJsonPatch, validateJsonPatch, parsePointer } = require('../utils/patch');
+const { planBulkAction, parseBulkTarget } = require('../utils/bulk');
+const { createNotebookError } = require('../utils/notebooks');
+const { buildTagTree } = require('../utils/tags');
+const { getPurgeDate, getTrashRetentionDays } = require('../utils/trash');
+const {
+  HTTP_STATUS,
+  API_MESSAGES,
+  NOTE_EDITABLE_FIELDS,
+  NOTE_REQUIRED_FIELDS,
+  NOTE_FIELD_DEFAULTS,
+  NOTE_REVISION_FIELDS,
+  PRAYER_STATUSES,
+  VALIDATION
+} = require('../constants/api');
 const {
   getPaginationParams,
   getSortParams,
@@ -12,20 +32,237 @@ const {
   createApiResponse,
   createErrorResponse,
   validateNoteData,
-  isValidObjectId
+  copyFieldValue,
+  isValidObjectId,
+  createNoteETag,
+  etagMatches
 } = require('../utils/helpers');
 
+/**
+ * Scope a query filter to the notes owned by the authenticated user
+ * Trashed notes are excluded unless the filter sets deletedAt itself
+ * @param {Object} req - Express request object
+ * @param {Object} filter - Additional filter conditions
+ * @returns {Object} MongoDB filter object
+ */
+const ownedBy = (req, filter = {}) => ({ deletedAt: null, ...filter, owner: req.user.userId });
+
+/**
+ * Scope a query filter to the authenticated user's trashed notes
+ * @param {Object} req - Express request object
+ * @param {Object} filter - Additional filter conditions
+ * @returns {Object} MongoDB filter object
+ */
+const trashedBy = (req, filter = {}) => ownedBy(req, { ...filter, deletedAt: { $ne: null } });
+
+/**
+ * Carry the settled dates of a prayer request through changes that keep its status
+ * Clients cannot send closedAt and may leave out answeredAt, so without them the
+ * request would be settled again as of now.
+ * @param {Object} note - Note document
+ * @param {Object} changes - Fields to set
+ * @returns {Object} Changes with the stored dates filled in
+ */
+const keepPrayerDates = (note, changes) => {
+  const { prayer } = changes;
+
+  if (!prayer || !note.prayer || prayer.status !== note.prayer.status) {
+    return changes;
+  }
+
+  return {
+    ...changes,
+    prayer: {
+      ...prayer,
+      answeredAt: prayer.answeredAt || note.prayer.answeredAt,
+      closedAt: prayer.closedAt || note.prayer.closedAt
+    }
+  };
+};
+
+/**
+ * Apply changes to a note, keeping its previous state as a revision
+ * Nothing is recorded when the changes leave the note as it was
+ * @param {Object} note - Note document
+ * @param {Object} changes - Fields to set
+ * @param {Object} req - Express request object
+ * @param {String} reason - Why the note changed ('update' or 'restore')
+ * @returns {Promise<Object>} Saved note
+ */
+const saveWithRevision = async (note, changes, req, reason) => {
+  const snapshot = NoteRevision.snapshotOf(note);
+
+  note.set(keepPrayerDates(note, changes));
+
+  if (!note.isModified()) {
+    return note;
+  }
+
+  // Validate first so a rejected update leaves no revision behind
+  await note.validate();
+  await NoteRevision.record(note, snapshot, { createdBy: req.user.userId, reason });
+
+  return note.save();
+};
+
+/**
+ * Copy the fields a client can write from a note
+ * @param {Object} note - Note document
+ * @returns {Object} Plain object with the editable fields that are set
+ */
+const toEditableDocument = (note) => NOTE_EDITABLE_FIELDS.reduce((document, field) => {
+  if (note[field] !== undefined && note[field] !== null) {
+    document[field] = copyFieldValue(note[field]);
+  }
+  return document;
+}, {});
+
+/**
+ * Turn a complete note representation into changes that replace every editable field
+ * Omitted optional fields fall back to their defaults; omitted required fields
+ * are cleared so that validation rejects them
+ * @param {Object} document - Note representation from the client
+ * @returns {Object} Fields to set
+ */
+const toReplacement = (document) => {
+  const validatedData = validateNoteData(document);
+
+  return NOTE_EDITABLE_FIELDS.reduce((changes, field) => {
+    const fallback = NOTE_FIELD_DEFAULTS[field];
+    changes[field] = validatedData[field] !== undefined
+      ? validatedData[field]
+      : (Array.isArray(fallback) ? [] : fallback);
+    return changes;
+  }, {});
+};
+
+/**
+ * Make sure every JSON Patch operation targets an editable note field
+ * @param {Array<Object>} operations - JSON Patch operations, already validated
+ * @returns {string|null} The first path outside the editable fields, if any
+ */
+const findUneditablePath = (operations) => {
+  const pointers = operations.flatMap(operation => [operation.path, operation.from].filter(Boolean));
+  return pointers.find(pointer => !NOTE_EDITABLE_FIELDS.includes(parsePointer(pointer)[0])) || null;
+};
+
+/**
+ * Check a notebook reference from a request body
+ * @param {Object} req - Express request object
+ * @param {*} notebookId - Notebook ID, or null/empty for no notebook
+ * @returns {Promise<string|null>} The notebook ID, or null for unfiled notes
+ * @throws {Error} NotebookError if the user has no such notebook
+ */
+const resolveNotebook = async (req, notebookId) => {
+  if (notebookId === undefined || notebookId === null || notebookId === '') {
+    return null;
+  }
+
+  if (!isValidObjectId(notebookId) || !(await Notebook.exists({ _id: notebookId, owner: req.user.userId }))) {
+    throw createNotebookError(API_MESSAGES.NOTEBOOK_NOT_FOUND);
+  }
+
+  return notebookId;
+};
+
+/**
+ * Turn the notebook and recursive list parameters into a condition on Note.notebook
+ * notebook=none selects unfiled notes; recursive=true includes nested notebooks
+ * @param {Object} req - Express request object
+ * @param {Object} query - List parameters
+ * @returns {Promise<*>} Condition, or undefined when not filtering by notebook
+ * @throws {Error} NotebookError (404) if the user has no such notebook
+ */
+const resolveNotebookFilter = async (req, query) => {
+  if (!query.notebook) {
+    return undefined;
+  }
+
+  if (query.notebook === 'none') {
+    return null;
+  }
+
+  if (!isValidObjectId(query.notebook)) {
+    throw createNotebookError('Invalid notebook ID format');
+  }
+
+  if (query.recursive === 'true') {
+    const notebookIds = await Notebook.findDescendantIds(req.user.userId, query.notebook);
+    if (!notebookIds) {
+      throw createNotebookError(API_MESSAGES.NOTEBOOK_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    return { $in: notebookIds };
+  }
+
+  if (!(await Notebook.exists({ _id: query.notebook, owner: req.user.userId }))) {
+    throw createNotebookError(API_MESSAGES.NOTEBOOK_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return query.notebook;
+};
+
+/**
+ * Check whether an If-Match header names a different version of the note
+ * Requests without If-Match are never stale
+ * @param {Object} req - Express request object
+ * @param {Object} note - Current note
+ * @returns {boolean} True if the client edited an outdated version
+ */
+const isStaleVersion = (req, note) => {
+  const ifMatch = req.get('If-Match');
+  return Boolean(ifMatch) && !etagMatches(ifMatch, createNoteETag(note));
+};
+
+/**
+ * Send 412 Precondition Failed for a write based on an outdated version
+ * @param {Object} res - Express response object
+ * @param {Object} note - Current note, if known, to return its ETag
+ * @returns {Object} Express response
+ */
+const sendVersionConflict = (res, note = null) => {
+  if (note) {
+    res.set('ETag', createNoteETag(note));
+  }
+
+  return res.status(HTTP_STATUS.PRECONDITION_FAILED).json(
+    createErrorResponse(API_MESSAGES.NOTE_VERSION_CONFLICT, HTTP_STATUS.PRECONDITION_FAILED)
+  );
+};
+
+/**
+ * Parse a revision number route parameter
+ * @param {String} value - Route parameter
+ * @returns {Number|null} Revision number, or null if it is not a positive integer
+ */
+const parseRevisionNumber = (value) => (/^[1-9]\d*$/.test(value) ? Number(value) : null);
+
+// Every notes endpoint requires an authenticated user
+router.use(authenticateToken);
+
+// API keys need notes:read for reads and notes:write for everything else
+router.use(requireScopeFor('notes:read', 'notes:write'));
+
+// Viewers have read-only access to their notes
+const canEdit = authorize('admin', 'editor');
+
 /**
  * @route   GET /api/notes
- * @desc    Get all notes with optional filtering, pagination, and search
- * @access  Public
+ * @desc    Get all notes with optional filtering (including by notebook and scripture reference),
+ *          pagination, and search
+ * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
     // Extract and validate query parameters
     const { page, limit, skip } = getPaginationParams(req.query);
-    const sort = getSortParams(req.query.sortBy, req.query.sortOrder);
-    const filter = getFilterParams(req.query);
+    // Pinned notes always come first, in their pin order, whatever sortBy says
+    const sort = { isPinned: -1, pinPosition: 1, ...getSortParams(req.query.sortBy, req.query.sortOrder) };
+    const filter = ownedBy(req, getFilterParams(req.query));
+
+    const notebook = await resolveNotebookFilter(req, req.query);
+    if (notebook !== undefined) {
+      filter.notebook = notebook;
+    }
 
     // Execute query with pagination
     const [notes, total] = await Promise.all([
@@ -57,16 +294,109 @@ router.get('/', async (req, res) => {
     );
   } catch (error) {
     console.error('Error fetching notes:', error);
+
+    if (error.name === 'NotebookError' || error.name === 'ScriptureError') {
+      return res.status(error.statusCode).json(
+        createErrorResponse(error.message, error.statusCode)
+      );
+    }
+
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       createErrorResponse('Failed to fetch notes', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
     );
   }
 });
 
+/**
+ * @route   GET /api/notes/trash
+ * @desc    List notes in the trash, most recently deleted first
+ * @access  Private
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const filter = trashedBy(req);
+
+    const [notes, total] = await Promise.all([
+      Note.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Note.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalNotes: total,
+      notesPerPage: limit,
+      hasNextPage: page < Math.ceil(total / limit),
+      hasPrevPage: page > 1
+    };
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({
+        notes: notes.map(note => ({ ...note, purgeAt: getPurgeDate(note.deletedAt) })),
+        retentionDays: getTrashRetentionDays(),
+        pagination
+      }, API_MESSAGES.TRASH_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch trash', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+// Longest window GET /api/notes/due looks ahead
+const MAX_DUE_WITHIN = ms('365d');
+
+/**
+ * @route   GET /api/notes/due
+ * @desc    List notes due within a period (?within=7d by default), with the overdue ones first;
+ *          archived notes are left out
+ * @access  Private
+ */
+router.get('/due', async (req, res) => {
+  try {
+    const within = req.query.within || '7d';
+    const period = typeof within === 'string' ? ms(within) : undefined;
+
+    if (!Number.isFinite(period) || period <= 0 || period > MAX_DUE_WITHIN) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('within must be a duration of up to 365 days, such as 12h or 7d', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const now = new Date();
+    const until = new Date(now.getTime() + period);
+
+    const notes = await Note.find(ownedBy(req, { isArchived: false, dueAt: { $ne: null, $lte: until } }))
+      .sort({ dueAt: 1 })
+      .lean();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({
+        within,
+        until,
+        overdue: notes.filter(note => new Date(note.dueAt) < now),
+        upcoming: notes.filter(note => new Date(note.dueAt) >= now)
+      }, API_MESSAGES.DUE_NOTES_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching due notes:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch due notes', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
 /**
  * @route   GET /api/notes/:id
- * @desc    Get a specific note by ID
- * @access  Public
+ * @desc    Get a specific note by ID, with its version as an ETag (honors If-None-Match)
+ * @access  Private
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -79,7 +409,7 @@ router.get('/:id', async (req, res) => {
       );
     }
 
-    const note = await Note.findById(id).lean();
+    const note = await Note.findOne(ownedBy(req, { _id: id })).lean();
     
     if (!note) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -87,8 +417,16 @@ router.get('/:id', async (req, res) => {
       );
     }
 
+    const etag = createNoteETag(note);
+    res.set('ETag', etag);
+
+    // The client already has this version
+    if (etagMatches(req.get('If-None-Match'), etag)) {
+      return res.status(HTTP_STATUS.NOT_MODIFIED).end();
+    }
+
     return res.status(HTTP_STATUS.OK).json(
-      createApiResponse(note, 'Note retrieved successfully')
+      createApiResponse({ ...note, version: note.__v || 0 }, 'Note retrieved successfully')
     );
   } catch (error) {
     console.error('Error fetching note:', error);
@@ -101,15 +439,16 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/notes
  * @desc    Create a new note
- * @access  Public
+ * @access  Private (admin, editor; verified email when EMAIL_VERIFICATION_POLICY is set)
  */
-router.post('/', async (req, res) => {
+router.post('/', canEdit, requireVerifiedEmail, async (req, res) => {
   try {
     // Validate and sanitize input data
     const validatedData = validateNoteData(req.body);
+    const notebook = await resolveNotebook(req, req.body.notebook);
     
     // Create new note
-    const note = new Note(validatedData);
+    const note = new Note({ ...validatedData, notebook, owner: req.user.userId });
     const savedNote = await note.save();
 
     return res.status(HTTP_STATUS.CREATED).json(
@@ -117,6 +456,12 @@ router.post('/', async (req, res) => {
     );
   } catch (error) {
     console.error('Error creating note:', error);
+
+    if (error.name === 'NotebookError') {
+      return res.status(error.statusCode).json(
+        createErrorResponse(error.message, error.statusCode)
+      );
+    }
     
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
@@ -132,100 +477,160 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * @route   PUT /api/notes/:id
- * @desc    Update an existing note
- * @access  Public
+ * @route   POST /api/notes/bulk
+ * @desc    Apply one action to many notes, chosen by ID or by filter
+ * @access  Private (admin, editor)
  */
-router.put('/:id', async (req, res) => {
+router.post('/bulk', canEdit, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { action, value, ids, filter } = req.body;
 
-    // Validate ObjectId format
-    if (!isValidObjectId(id)) {
+    const plan = planBulkAction(action, value);
+    const target = parseBulkTarget(ids, filter);
+
+    if (plan.notebookId) {
+      await resolveNotebook(req, plan.notebookId);
+    }
+
+    // Bulk writes skip schema validation, so check the category here
+    if (plan.category && !(await Category.isDefined(req.user.userId, 'category', plan.category))) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+        createErrorResponse(`Category "${plan.category}" is not one of your categories`, HTTP_STATUS.BAD_REQUEST)
       );
     }
 
-    // Validate and sanitize input data
-    const validatedData = validateNoteData(req.body);
-    
-    const updatedNote = await Note.findByIdAndUpdate(
-      id,
-      validatedData,
-      { 
-        new: true, // Return the updated document
-        runValidators: true, // Run schema validations
-        lean: false // Return mongoose document for toJSON transform
+    const match = target.ids
+      ? ownedBy(req, { _id: { $in: target.ids.filter(isValidObjectId) } })
+      : ownedBy(req, getFilterParams(target.filter));
+
+    if (target.filter) {
+      const notebook = await resolveNotebookFilter(req, target.filter);
+      if (notebook !== undefined) {
+        match.notebook = notebook;
       }
-    );
+    }
 
-    if (!updatedNote) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(
-        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+    const notes = await Note.find(match)
+      .sort({ createdAt: -1 })
+      .limit(VALIDATION.BULK.MAX_NOTES + 1)
+      .lean();
+
+    if (notes.length > VALIDATION.BULK.MAX_NOTES) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(
+          `Filter matches more than ${VALIDATION.BULK.MAX_NOTES} notes; narrow it down`,
+          HTTP_STATUS.BAD_REQUEST
+        )
+      );
+    }
+
+    const changedNotes = [];
+    const resultsById = new Map(notes.map(note => {
+      const id = String(note._id);
+
+      try {
+        const changes = plan.apply(note);
+        if (changes) {
+          changedNotes.push(note);
+        }
+        return [id, { id, status: changes ? 'updated' : 'unchanged' }];
+      } catch (error) {
+        if (error.name !== 'BulkActionError') {
+          throw error;
+        }
+        return [id, { id, status: 'failed', error: error.message }];
+      }
+    }));
+
+    // Requested IDs keep their order; IDs that matched nothing are reported too
+    const results = target.ids
+      ? target.ids.map(id => resultsById.get(id) || { id, status: isValidObjectId(id) ? 'notFound' : 'invalid' })
+      : [...resultsById.values()];
+
+    if (changedNotes.length > 0) {
+      if (plan.recordsRevision) {
+        await NoteRevision.recordMany(changedNotes, { createdBy: req.user.userId, reason: 'bulk' });
+      }
+
+      // One write for the whole batch; each note still moves to its next version
+      await Note.updateMany(
+        ownedBy(req, { _id: { $in: changedNotes.map(note => note._id) } }),
+        { ...plan.update, $inc: { __v: 1 } }
       );
     }
 
+    const counts = results.reduce((totals, { status }) => {
+      totals[status] += 1;
+      return totals;
+    }, { matched: notes.length, updated: 0, unchanged: 0, failed: 0, notFound: 0, invalid: 0 });
+
     return res.status(HTTP_STATUS.OK).json(
-      createApiResponse(updatedNote.toJSON(), API_MESSAGES.NOTE_UPDATED)
+      createApiResponse({ action, results, counts }, API_MESSAGES.NOTES_BULK_COMPLETED)
     );
   } catch (error) {
-    console.error('Error updating note:', error);
-    
-    if (error.name === 'ValidationError') {
-      const validationErrors = Object.values(error.errors).map(err => err.message);
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createErrorResponse(API_MESSAGES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST, validationErrors)
+    console.error('Error applying bulk action:', error);
+
+    if (['BulkActionError', 'NotebookError', 'ScriptureError'].includes(error.name)) {
+      return res.status(error.statusCode).json(
+        createErrorResponse(error.message, error.statusCode)
       );
     }
 
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createErrorResponse('Failed to update note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+      createErrorResponse('Failed to apply bulk action', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
     );
   }
 });
 
 /**
- * @route   DELETE /api/notes/:id
- * @desc    Delete a note
- * @access  Public
+ * @route   PUT /api/notes/pins
+ * @desc    Reorder the pinned notes; ids lists every pinned note, first to last
+ * @access  Private (admin, editor)
  */
-router.delete('/:id', async (req, res) => {
+router.put('/pins', canEdit, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { ids } = req.body;
+    const pinned = await Note.find(ownedBy(req, { isPinned: true })).select('_id pinPosition').lean();
+    const positions = new Map(pinned.map(note => [String(note._id), note.pinPosition]));
+    const order = Array.isArray(ids) ? ids.map(String) : [];
 
-    // Validate ObjectId format
-    if (!isValidObjectId(id)) {
+    if (order.length !== positions.size || new Set(order).size !== order.length || !order.every(id => positions.has(id))) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+        createErrorResponse('ids must list every pinned note exactly once', HTTP_STATUS.BAD_REQUEST)
       );
     }
 
-    const deletedNote = await Note.findByIdAndDelete(id).lean();
+    const moved = order.filter((id, index) => positions.get(id) !== index + 1);
 
-    if (!deletedNote) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(
-        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
-      );
+    if (moved.length > 0) {
+      await Note.bulkWrite(moved.map(id => ({
+        updateOne: {
+          filter: ownedBy(req, { _id: id }),
+          update: { $set: { pinPosition: order.indexOf(id) + 1 }, $inc: { __v: 1 } }
+        }
+      })));
     }
 
     return res.status(HTTP_STATUS.OK).json(
-      createApiResponse(deletedNote, API_MESSAGES.NOTE_DELETED)
+      createApiResponse(
+        { pins: order.map((id, index) => ({ id, pinPosition: index + 1 })) },
+        API_MESSAGES.NOTE_PINS_REORDERED
+      )
     );
   } catch (error) {
-    console.error('Error deleting note:', error);
+    console.error('Error reordering pinned notes:', error);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createErrorResponse('Failed to delete note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+      createErrorResponse('Failed to reorder pinned notes', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
     );
   }
 });
 
 /**
- * @route   PATCH /api/notes/:id/archive
- * @desc    Archive a note
- * @access  Public
+ * @route   PUT /api/notes/:id
+ * @desc    Replace an existing note, keeping the previous version as a revision (honors If-Match)
+ * @access  Private (admin, editor)
  */
-router.patch('/:id/archive', async (req, res) => {
+router.put('/:id', canEdit, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -236,33 +641,63 @@ router.patch('/:id/archive', async (req, res) => {
       );
     }
 
-    const note = await Note.findById(id);
+    // PUT replaces the note, so every required field must be present
+    const missingFields = NOTE_REQUIRED_FIELDS.filter(field => (
+      req.body[field] === undefined || req.body[field] === null || String(req.body[field]).trim() === ''
+    ));
+
+    if (missingFields.length > 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(`Missing required fields: ${missingFields.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    // Validate and sanitize input data
+    const replacement = toReplacement(req.body);
     
+    const note = await Note.findOne(ownedBy(req, { _id: id }));
+
     if (!note) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
       );
     }
 
-    const archivedNote = await note.archive();
-    
-    return res.status(HTTP_STATUS.OK).json(
-      createApiResponse(archivedNote.toJSON(), API_MESSAGES.NOTE_ARCHIVED)
+    if (isStaleVersion(req, note)) {
+      return sendVersionConflict(res, note);
+    }
+
+    const updatedNote = await saveWithRevision(note, replacement, req, 'update');
+
+    return res.status(HTTP_STATUS.OK).set('ETag', createNoteETag(updatedNote)).json(
+      createApiResponse(updatedNote.toJSON(), API_MESSAGES.NOTE_UPDATED)
     );
   } catch (error) {
-    console.error('Error archiving note:', error);
+    console.error('Error updating note:', error);
+
+    if (error.name === 'VersionError') {
+      return sendVersionConflict(res);
+    }
+    
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(API_MESSAGES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST, validationErrors)
+      );
+    }
+
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createErrorResponse('Failed to archive note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+      createErrorResponse('Failed to update note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
     );
   }
 });
 
 /**
- * @route   PATCH /api/notes/:id/unarchive
- * @desc    Unarchive a note
- * @access  Public
+ * @route   PATCH /api/notes/:id
+ * @desc    Partially update a note with a JSON Merge Patch or JSON Patch (honors If-Match)
+ * @access  Private (admin, editor)
  */
-router.patch('/:id/unarchive', async (req, res) => {
+router.patch('/:id', canEdit, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -273,23 +708,622 @@ router.patch('/:id/unarchive', async (req, res) => {
       );
     }
 
-    const note = await Note.findById(id);
-    
+    const isJsonPatch = Boolean(req.is('application/json-patch+json'));
+    const isMergePatch = Boolean(req.is(['application/merge-patch+json', 'application/json']));
+
+    if (!isJsonPatch && !isMergePatch) {
+      return res.status(HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE).json(
+        createErrorResponse(API_MESSAGES.NOTE_PATCH_UNSUPPORTED, HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE)
+      );
+    }
+
+    if (isJsonPatch) {
+      // Malformed operations fail with a PatchError before their paths are read
+      validateJsonPatch(req.body);
+
+      const uneditablePath = findUneditablePath(req.body);
+
+      if (uneditablePath !== null) {
+        return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(
+          createErrorResponse(`Path ${uneditablePath} cannot be patched`, HTTP_STATUS.UNPROCESSABLE_ENTITY)
+        );
+      }
+    }
+
+    const note = await Note.findOne(ownedBy(req, { _id: id }));
+
     if (!note) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
       );
     }
 
-    const unarchivedNote = await note.unarchive();
-    
-    return res.status(HTTP_STATUS.OK).json(
-      createApiResponse(unarchivedNote.toJSON(), API_MESSAGES.NOTE_UNARCHIVED)
+    if (isStaleVersion(req, note)) {
+      return sendVersionConflict(res, note);
+    }
+
+    const current = toEditableDocument(note);
+    const patched = isJsonPatch
+      ? applyJsonPatch(current, req.body)
+      : applyMergePatch(current, req.body);
+
+    const updatedNote = await saveWithRevision(note, toReplacement(patched), req, 'update');
+
+    return res.status(HTTP_STATUS.OK).set('ETag', createNoteETag(updatedNote)).json(
+      createApiResponse(updatedNote.toJSON(), API_MESSAGES.NOTE_UPDATED)
     );
   } catch (error) {
-    console.error('Error unarchiving note:', error);
+    console.error('Error patching note:', error);
+
+    if (error.name === 'PatchError') {
+      return res.status(error.statusCode).json(
+        createErrorResponse(error.message, error.statusCode)
+      );
+    }
+
+    if (error.name === 'VersionError') {
+      return sendVersionConflict(res);
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(API_MESSAGES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST, validationErrors)
+      );
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to update note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id
+ * @desc    Move a note to the trash (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.delete('/:id', canEdit, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const filter = ownedBy(req, { _id: id });
+
+    // With If-Match, only trash the version the client has seen
+    if (req.get('If-Match')) {
+      const current = await Note.findOne(filter).select('__v').lean();
+
+      if (!current) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(
+          createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+        );
+      }
+
+      if (isStaleVersion(req, current)) {
+        return sendVersionConflict(res, current);
+      }
+
+      filter.__v = current.__v;
+    }
+
+    const trashedNote = await Note.findOneAndUpdate(
+      filter,
+      { $set: { deletedAt: new Date() }, $inc: { __v: 1 } },
+      { new: true }
+    ).lean();
+
+    if (!trashedNote) {
+      // The note changed between the version check and the update
+      if (filter.__v !== undefined) {
+        return sendVersionConflict(res);
+      }
+
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(
+        { ...trashedNote, purgeAt: getPurgeDate(trashedNote.deletedAt) },
+        API_MESSAGES.NOTE_TRASHED
+      )
+    );
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to delete note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/restore
+ * @desc    Restore a note from the trash
+ * @access  Private (admin, editor)
+ */
+router.post('/:id/restore', canEdit, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const restoredNote = await Note.findOneAndUpdate(
+      trashedBy(req, { _id: id }),
+      { $set: { deletedAt: null }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!restoredNote) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_IN_TRASH, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(restoredNote.toJSON(), API_MESSAGES.NOTE_RESTORED)
+    );
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to restore note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/trash/:id
+ * @desc    Permanently delete a note from the trash, with its revisions
+ * @access  Private (admin, editor)
+ */
+router.delete('/trash/:id', canEdit, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const deletedNote = await Note.findOneAndDelete(trashedBy(req, { _id: id })).lean();
+
+    if (!deletedNote) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_IN_TRASH, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    await NoteRevision.deleteMany({ note: id });
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(deletedNote, API_MESSAGES.NOTE_PERMANENTLY_DELETED)
+    );
+  } catch (error) {
+    console.error('Error permanently deleting note:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to permanently delete note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * Build a handler that loads a note, calls one of its state methods (archive,
+ * pin, favorite, ...) and responds with the saved note and its ETag
+ * The handler honors If-Match.
+ * @param {string} method - Note instance method to call
+ * @param {string} message - Success message
+ * @param {string} action - What the handler does, for error messages ('archive note')
+ * @returns {Function} Express route handler
+ */
+const changeNoteState = (method, message, action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const note = await Note.findOne(ownedBy(req, { _id: id }));
+    
+    if (!note) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    if (isStaleVersion(req, note)) {
+      return sendVersionConflict(res, note);
+    }
+
+    const updatedNote = await note[method]();
+    
+    return res.status(HTTP_STATUS.OK).set('ETag', createNoteETag(updatedNote)).json(
+      createApiResponse(updatedNote.toJSON(), message)
+    );
+  } catch (error) {
+    console.error(`Failed to ${action}:`, error);
+
+    if (error.name === 'VersionError') {
+      return sendVersionConflict(res);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse(`Failed to ${action}`, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+};
+
+/**
+ * @route   PATCH /api/notes/:id/archive
+ * @desc    Archive a note (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/archive', canEdit, changeNoteState('archive', API_MESSAGES.NOTE_ARCHIVED, 'archive note'));
+
+/**
+ * @route   PATCH /api/notes/:id/unarchive
+ * @desc    Unarchive a note (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/unarchive', canEdit, changeNoteState('unarchive', API_MESSAGES.NOTE_UNARCHIVED, 'unarchive note'));
+
+/**
+ * @route   PATCH /api/notes/:id/pin
+ * @desc    Pin a note after the notes pinned so far; pinned notes are listed first (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/pin', canEdit, changeNoteState('pin', API_MESSAGES.NOTE_PINNED, 'pin note'));
+
+/**
+ * @route   PATCH /api/notes/:id/unpin
+ * @desc    Unpin a note (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/unpin', canEdit, changeNoteState('unpin', API_MESSAGES.NOTE_UNPINNED, 'unpin note'));
+
+/**
+ * @route   PATCH /api/notes/:id/favorite
+ * @desc    Mark a note as a favorite (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/favorite', canEdit, changeNoteState('favorite', API_MESSAGES.NOTE_FAVORITED, 'favorite note'));
+
+/**
+ * @route   PATCH /api/notes/:id/unfavorite
+ * @desc    Remove a note from the favorites (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/unfavorite', canEdit, changeNoteState('unfavorite', API_MESSAGES.NOTE_UNFAVORITED, 'unfavorite note'));
+
+/**
+ * @route   PATCH /api/notes/:id/prayer/status
+ * @desc    Move a prayer request to another status, optionally with its testimony, answered
+ *          or follow-up date; a note without one becomes a prayer request (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/prayer/status', canEdit, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const { status, testimony, answeredAt, followUpAt } = req.body;
+
+    if (!PRAYER_STATUSES.includes(status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(`status must be one of: ${PRAYER_STATUSES.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const note = await Note.findOne(ownedBy(req, { _id: id }));
+
+    if (!note) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    if (isStaleVersion(req, note)) {
+      return sendVersionConflict(res, note);
+    }
+
+    // The answered and closed dates follow the status when the note is validated
+    const prayer = { ...copyFieldValue(note.prayer), status };
+    Object.entries({ testimony, answeredAt, followUpAt }).forEach(([field, value]) => {
+      if (value !== undefined) {
+        prayer[field] = value;
+      }
+    });
+
+    const updatedNote = await saveWithRevision(note, { prayer }, req, 'update');
+
+    return res.status(HTTP_STATUS.OK).set('ETag', createNoteETag(updatedNote)).json(
+      createApiResponse(updatedNote.toJSON(), API_MESSAGES.PRAYER_STATUS_CHANGED)
+    );
+  } catch (error) {
+    console.error('Error changing prayer status:', error);
+
+    if (error.name === 'VersionError') {
+      return sendVersionConflict(res);
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(API_MESSAGES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST, validationErrors)
+      );
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to change prayer status', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   PATCH /api/notes/:id/notebook
+ * @desc    Move a note to another notebook, or out of any notebook with null (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id/notebook', canEdit, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(req.body, 'notebook')) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('notebook is required (null for no notebook)', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const notebook = await resolveNotebook(req, req.body.notebook);
+    const note = await Note.findOne(ownedBy(req, { _id: id }));
+
+    if (!note) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    if (isStaleVersion(req, note)) {
+      return sendVersionConflict(res, note);
+    }
+
+    note.notebook = notebook;
+    const movedNote = await note.save();
+
+    return res.status(HTTP_STATUS.OK).set('ETag', createNoteETag(movedNote)).json(
+      createApiResponse(movedNote.toJSON(), API_MESSAGES.NOTE_MOVED)
+    );
+  } catch (error) {
+    console.error('Error moving note:', error);
+
+    if (error.name === 'NotebookError') {
+      return res.status(error.statusCode).json(
+        createErrorResponse(error.message, error.statusCode)
+      );
+    }
+
+    if (error.name === 'VersionError') {
+      return sendVersionConflict(res);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to move note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/revisions
+ * @desc    List the saved revisions of a note, newest first
+ * @access  Private
+ */
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const note = await Note.exists(ownedBy(req, { _id: id }));
+
+    if (!note) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const filter = { note: id, owner: req.user.userId };
+
+    const [revisions, total] = await Promise.all([
+      NoteRevision.find(filter)
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('revision reason title createdBy createdAt')
+        .lean(),
+      NoteRevision.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalRevisions: total,
+      revisionsPerPage: limit,
+      hasNextPage: page < Math.ceil(total / limit),
+      hasPrevPage: page > 1
+    };
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ revisions, pagination }, API_MESSAGES.NOTE_REVISIONS_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching note revisions:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch note revisions', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/revisions/:rev
+ * @desc    Get a revision with a line diff of its content against the current note
+ * @access  Private
+ */
+router.get('/:id/revisions/:rev', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseRevisionNumber(req.params.rev);
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!revisionNumber) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Revision must be a positive integer', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const [note, revision] = await Promise.all([
+      Note.findOne(ownedBy(req, { _id: id })).lean(),
+      NoteRevision.findOne({ note: id, owner: req.user.userId, revision: revisionNumber }).lean()
+    ]);
+
+    if (!note) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    if (!revision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_REVISION_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    const changedFields = NOTE_REVISION_FIELDS.filter(
+      field => JSON.stringify(revision[field]) !== JSON.stringify(note[field])
+    );
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({
+        revision,
+        diff: {
+          changedFields,
+          content: diffLines(revision.content, note.content)
+        }
+      }, API_MESSAGES.NOTE_REVISION_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching note revision:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch note revision', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/revisions/:rev/restore
+ * @desc    Restore a note to a revision; the current version is kept as a new revision (honors If-Match)
+ * @access  Private (admin, editor)
+ */
+router.post('/:id/revisions/:rev/restore', canEdit, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseRevisionNumber(req.params.rev);
+
+    // Validate ObjectId format
+    if (!isValidObjectId(id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Invalid note ID format', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    if (!revisionNumber) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse('Revision must be a positive integer', HTTP_STATUS.BAD_REQUEST)
+      );
+    }
+
+    const note = await Note.findOne(ownedBy(req, { _id: id }));
+
+    if (!note) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    const revision = await NoteRevision.findOne({ note: id, owner: req.user.userId, revision: revisionNumber }).lean();
+
+    if (!revision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createErrorResponse(API_MESSAGES.NOTE_REVISION_NOT_FOUND, HTTP_STATUS.NOT_FOUND)
+      );
+    }
+
+    if (isStaleVersion(req, note)) {
+      return sendVersionConflict(res, note);
+    }
+
+    const restoredNote = await saveWithRevision(note, NoteRevision.snapshotOf(revision), req, 'restore');
+
+    return res.status(HTTP_STATUS.OK).set('ETag', createNoteETag(restoredNote)).json(
+      createApiResponse(restoredNote.toJSON(), API_MESSAGES.NOTE_REVISION_RESTORED)
+    );
+  } catch (error) {
+    console.error('Error restoring note revision:', error);
+
+    if (error.name === 'VersionError') {
+      return sendVersionConflict(res);
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createErrorResponse(API_MESSAGES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST, validationErrors)
+      );
+    }
+
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createErrorResponse('Failed to unarchive note', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+      createErrorResponse('Failed to restore note revision', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
     );
   }
 });
@@ -297,11 +1331,11 @@ router.patch('/:id/unarchive', async (req, res) => {
 /**
  * @route   GET /api/notes/stats/overview
  * @desc    Get notes statistics
- * @access  Public
+ * @access  Private
  */
 router.get('/stats/overview', async (req, res) => {
   try {
-    const stats = await Note.getStats();
+    const stats = await Note.getStats(req.user.userId);
     
     return res.status(HTTP_STATUS.OK).json(
       createApiResponse(stats, 'Statistics retrieved successfully')
@@ -317,11 +1351,11 @@ router.get('/stats/overview', async (req, res) => {
 /**
  * @route   GET /api/notes/categories/list
  * @desc    Get all unique categories
- * @access  Public
+ * @access  Private
  */
 router.get('/categories/list', async (req, res) => {
   try {
-    const categories = await Note.distinct('category');
+    const categories = await Note.distinct('category', ownedBy(req));
     
     return res.status(HTTP_STATUS.OK).json(
       createApiResponse(categories, 'Categories retrieved successfully')
@@ -336,15 +1370,18 @@ router.get('/categories/list', async (req, res) => {
 
 /**
  * @route   GET /api/notes/tags/list
- * @desc    Get all unique tags
- * @access  Public
+ * @desc    Get all unique tags, or nested by path with ?format=tree
+ * @access  Private
  */
 router.get('/tags/list', async (req, res) => {
   try {
-    const tags = await Note.distinct('tags');
+    const tags = await Note.distinct('tags', ownedBy(req));
     
     return res.status(HTTP_STATUS.OK).json(
-      createApiResponse(tags, 'Tags retrieved successfully')
+      createApiResponse(
+        req.query.format === 'tree' ? buildTagTree(tags.map(tag => ({ tag }))) : tags,
+        'Tags retrieved successfully'
+      )
     );
   } catch (error) {
     console.error('Error fetching tags:', error);
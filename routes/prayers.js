@@ -0,0 +1,52 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/Note');
+const { authenticateToken, requireScope } = require('../utils/auth');
+const { groupPrayersByStatus } = require('../utils/prayers');
+const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
+const {
+  createApiResponse,
+  createErrorResponse
+} = require('../utils/helpers');
+
+// Every prayer endpoint requires an authenticated user
+router.use(authenticateToken);
+
+// Prayer requests are notes, so API keys need the notes:read scope
+router.use(requireScope('notes:read'));
+
+/**
+ * @route   GET /api/prayers
+ * @desc    List the user's prayer requests grouped by status, with how long each stayed open
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = { owner: req.user.userId, deletedAt: null, prayer: { $ne: null } };
+
+    if (req.query.requester) {
+      filter['prayer.requester'] = req.query.requester;
+    }
+
+    const notes = await Note.find(filter)
+      .select('title category prayer')
+      .lean();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(
+        { statuses: groupPrayersByStatus(notes), total: notes.length },
+        API_MESSAGES.PRAYERS_FETCHED
+      )
+    );
+  } catch (error) {
+    console.error('Error fetching prayer requests:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch prayer requests', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+module.exports = router;
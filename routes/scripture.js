@@ -0,0 +1,109 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/Note');
+const { authenticateToken, requireScope } = require('../utils/auth');
+const { createScriptureError, buildScriptureIndex } = require('../utils/scripture');
+const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
+const {
+  createApiResponse,
+  createErrorResponse
+} = require('../utils/helpers');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build the createdAt condition for the from and to query parameters
+ * A date without a time in to includes that whole day.
+ * @param {Object} query - Query parameters
+ * @returns {Object|undefined} MongoDB condition, or undefined without a date range
+ * @throws {Error} ScriptureError if a date is invalid or from is after to
+ */
+const getDateRange = ({ from, to }) => {
+  const parse = (value, label) => {
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      throw createScriptureError(`${label} must be a valid date`);
+    }
+    return date;
+  };
+
+  const range = {};
+
+  if (from !== undefined) {
+    range.$gte = parse(from, 'from');
+  }
+
+  if (to !== undefined) {
+    const end = parse(to, 'to');
+
+    if (range.$gte && range.$gte > end) {
+      throw createScriptureError('from must not be after to');
+    }
+
+    if (DATE_ONLY.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+// Every scripture endpoint requires an authenticated user
+router.use(authenticateToken);
+
+// The index is built from a user's notes, so API keys need the notes:read scope
+router.use(requireScope('notes:read'));
+
+/**
+ * @route   GET /api/scripture/index
+ * @desc    List the passages referenced across the user's notes, by book and chapter in
+ *          canonical order, optionally only for one category and a creation date range
+ * @access  Private
+ */
+router.get('/index', async (req, res) => {
+  try {
+    const filter = { owner: req.user.userId, deletedAt: null, 'scripture.0': { $exists: true } };
+
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+
+    const createdAt = getDateRange(req.query);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+
+    // Most recent notes first within each chapter
+    const notes = await Note.find(filter)
+      .select('title category createdAt scripture')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(
+        { books: buildScriptureIndex(notes), totalNotes: notes.length },
+        API_MESSAGES.SCRIPTURE_INDEX_FETCHED
+      )
+    );
+  } catch (error) {
+    console.error('Error fetching scripture index:', error);
+
+    if (error.name === 'ScriptureError') {
+      return res.status(error.statusCode).json(
+        createErrorResponse(error.message, error.statusCode)
+      );
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch scripture index', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const SermonSeries = require('../models/SermonSeries');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { authenticateToken, authorize, requireScopeFor } = require('../utils/auth');
+const { HTTP_STATUS, API_MESSAGES } = require('../constants/api');
+const {
+  createApiResponse,
+  createErrorResponse,
+  sendValidationError,
+  sendInvalidId,
+  sendNotFound,
+  isValidObjectId
+} = require('../utils/helpers');
+
+/**
+ * Build the public representation of a sermon series
+ * @param {Object} series - Series document or plain object
+ * @param {number} [noteCount] - Number of notes in the series
+ * @returns {Object} Series data
+ */
+const toSeriesData = (series, noteCount) => ({
+  id: series._id,
+  title: series.title,
+  description: series.description || '',
+  startDate: series.startDate || null,
+  endDate: series.endDate || null,
+  ...(noteCount !== undefined && { noteCount }),
+  createdAt: series.createdAt,
+  updatedAt: series.updatedAt
+});
+
+/**
+ * Order the notes of a series by part, then by the date preached and created
+ * Notes without a part or date come after those with one
+ * @param {Object} a - Note
+ * @param {Object} b - Note
+ * @returns {number} Sort order
+ */
+const compareParts = (a, b) => {
+  const partOf = note => (note.sermon && note.sermon.part) || Infinity;
+  const preachedOf = note => (note.sermon && note.sermon.preachedAt ? new Date(note.sermon.preachedAt).getTime() : Infinity);
+
+  return (partOf(a) - partOf(b))
+    || (preachedOf(a) - preachedOf(b))
+    || (new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+// Every series endpoint requires an authenticated user
+router.use(authenticateToken);
+
+router.use(requireScopeFor('notes:read', 'notes:write'));
+
+// Viewers have read-only access to their series
+const canEdit = authorize('admin', 'editor');
+
+/**
+ * @route   GET /api/series
+ * @desc    List sermon series with the number of notes in each, latest first
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [series, noteCounts] = await Promise.all([
+      SermonSeries.find({ owner: req.user.userId }).sort({ startDate: -1, createdAt: -1 }).lean(),
+      Note.countByField(req.user.userId, 'sermon.series')
+    ]);
+
+    const countsById = new Map([...noteCounts].map(([id, count]) => [String(id), count]));
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(
+        series.map(entry => toSeriesData(entry, countsById.get(String(entry._id)) || 0)),
+        API_MESSAGES.SERIES_LIST_FETCHED
+      )
+    );
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch series', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   GET /api/series/:id
+ * @desc    Get a sermon series with the number of notes in it
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'series');
+    }
+
+    const series = await SermonSeries.findOne({ _id: req.params.id, owner: req.user.userId }).lean();
+
+    if (!series) {
+      return sendNotFound(res, API_MESSAGES.SERIES_NOT_FOUND);
+    }
+
+    const noteCount = await Note.countDocuments({ owner: req.user.userId, deletedAt: null, 'sermon.series': series._id });
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(toSeriesData(series, noteCount), API_MESSAGES.SERIES_FETCHED)
+    );
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch series', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   GET /api/series/:id/notes
+ * @desc    List the notes of a sermon series in part order
+ * @access  Private
+ */
+router.get('/:id/notes', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'series');
+    }
+
+    const series = await SermonSeries.findOne({ _id: req.params.id, owner: req.user.userId }).lean();
+
+    if (!series) {
+      return sendNotFound(res, API_MESSAGES.SERIES_NOT_FOUND);
+    }
+
+    const notes = await Note.find({ owner: req.user.userId, deletedAt: null, 'sermon.series': series._id }).lean();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(
+        { series: toSeriesData(series, notes.length), notes: notes.sort(compareParts) },
+        API_MESSAGES.SERIES_NOTES_FETCHED
+      )
+    );
+  } catch (error) {
+    console.error('Error fetching series notes:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to fetch series notes', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   POST /api/series
+ * @desc    Create a sermon series
+ * @access  Private (admin, editor)
+ */
+router.post('/', canEdit, async (req, res) => {
+  try {
+    const { title, description, startDate, endDate } = req.body;
+
+    const series = await SermonSeries.create({
+      owner: req.user.userId,
+      title,
+      description,
+      startDate,
+      endDate
+    });
+
+    return res.status(HTTP_STATUS.CREATED).json(
+      createApiResponse(toSeriesData(series), API_MESSAGES.SERIES_CREATED)
+    );
+  } catch (error) {
+    console.error('Error creating series:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to create series', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   PATCH /api/series/:id
+ * @desc    Change the title, description or dates of a sermon series
+ * @access  Private (admin, editor)
+ */
+router.patch('/:id', canEdit, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'series');
+    }
+
+    const series = await SermonSeries.findOne({ _id: req.params.id, owner: req.user.userId });
+
+    if (!series) {
+      return sendNotFound(res, API_MESSAGES.SERIES_NOT_FOUND);
+    }
+
+    ['title', 'description', 'startDate', 'endDate'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        series[field] = req.body[field];
+      }
+    });
+
+    const updatedSeries = await series.save();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(toSeriesData(updatedSeries), API_MESSAGES.SERIES_UPDATED)
+    );
+  } catch (error) {
+    console.error('Error updating series:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to update series', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+/**
+ * @route   DELETE /api/series/:id
+ * @desc    Delete a sermon series; its notes keep their sermon metadata but leave the series
+ * @access  Private (admin, editor)
+ */
+router.delete('/:id', canEdit, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return sendInvalidId(res, 'series');
+    }
+
+    const series = await SermonSeries.findOne({ _id: req.params.id, owner: req.user.userId });
+
+    if (!series) {
+      return sendNotFound(res, API_MESSAGES.SERIES_NOT_FOUND);
+    }
+
+    // Notes in the trash and revisions are detached too, so restoring them never points at a deleted series
+    const match = { owner: req.user.userId, 'sermon.series': series._id };
+    const detach = { 'sermon.series': null, 'sermon.part': null };
+    const [{ modifiedCount: detachedNotes }] = await Promise.all([
+      Note.updateMany(match, { $set: detach, $inc: { __v: 1 } }),
+      NoteRevision.updateMany(match, { $set: detach })
+    ]);
+
+    await series.deleteOne();
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ id: series._id, detachedNotes }, API_MESSAGES.SERIES_DELETED)
+    );
+  } catch (error) {
+    console.error('Error deleting series:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createErrorResponse('Failed to delete series', HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+    );
+  }
+});
+
+module.exports = router;
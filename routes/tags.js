@@ -0,0 +1,232 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { authenticateToken, authorize, requireScopeFor } = require('../utils/auth');
+const {
+  createTagError,
+  normalizeTag,
+  isWithinTag,
+  tagsWithDescendants,
+  renameTagPath,
+  rewriteTags,
+  buildTagTree
+} = require('../utils/tags');
+const { HTTP_STATUS, API_MESSAGES, VALIDATION } = require('../constants/api');
+const {
+  createApiResponse,
+  createErrorResponse
+} = require('../utils/helpers');
+
+/**
+ * Rewrite the tags of every note of the user that carries one of the given tags
+ * Notes in the trash are included, so restoring one never brings back an old tag.
+ * Changed notes keep a revision and move to their next version; notes that
+ * would end up with more than MAX_TAGS tags are left alone and reported.
+ * The tags are written without running the model's validators, so nothing is
+ * written when a rewritten tag would be longer than TAG_MAX_LENGTH.
+ * @param {Object} req - Express request object
+ * @param {Array<string|RegExp>} match - Values of the $in condition selecting the notes
+ * @param {Function} rewrite - Returns the new tag for a tag, or null to remove it
+ * @returns {Promise<Object>} { matched, updated, skipped }
+ */
+const retagNotes = async (req, match, rewrite) => {
+  const ownerId = req.user.userId;
+  const notes = await Note.find({ owner: ownerId, tags: { $in: match } }).lean();
+
+  if (notes.length === 0) {
+    throw createTagError(API_MESSAGES.TAG_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const changes = [];
+  const skipped = [];
+
+  notes.forEach(note => {
+    const tags = rewriteTags(note.tags, rewrite);
+
+    if (tags.length === note.tags.length && tags.every((tag, i) => tag === note.tags[i])) {
+      return;
+    }
+
+    if (tags.length > VALIDATION.NOTE.MAX_TAGS) {
+      skipped.push({ id: note._id, error: `Cannot have more than ${VALIDATION.NOTE.MAX_TAGS} tags` });
+    } else {
+      changes.push({ note, tags });
+    }
+  });
+
+  const tooLong = [...new Set(changes.flatMap(({ tags }) => tags))]
+    .filter(tag => tag.length > VALIDATION.NOTE.TAG_MAX_LENGTH);
+
+  if (tooLong.length > 0) {
+    throw createTagError(
+      `Tags would exceed ${VALIDATION.NOTE.TAG_MAX_LENGTH} characters: ${tooLong.join(', ')}`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  if (changes.length > 0) {
+    await NoteRevision.recordMany(changes.map(({ note }) => note), { createdBy: ownerId, reason: 'bulk' });
+    await Note.bulkWrite(changes.map(({ note, tags }) => ({
+      updateOne: {
+        filter: { _id: note._id, owner: ownerId },
+        update: { $set: { tags }, $inc: { __v: 1 } }
+      }
+    })));
+  }
+
+  return { matched: notes.length, updated: changes.length, skipped };
+};
+
+/**
+ * Reject renaming or merging a tag into one of its own descendants
+ * @param {Array<string>} sources - Renamed or merged tags
+ * @param {string} into - New name
+ */
+const assertNotIntoDescendant = (sources, into) => {
+  if (sources.some(source => isWithinTag(into, source))) {
+    throw createTagError('A tag cannot be renamed or merged into itself or one of its descendants');
+  }
+};
+
+/**
+ * Send the response for a TagError, or 500 for anything else
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} failure - Message for unexpected errors
+ * @returns {Object} Express response
+ */
+const sendTagError = (res, error, failure) => {
+  if (error.name === 'TagError') {
+    return res.status(error.statusCode).json(
+      createErrorResponse(error.message, error.statusCode)
+    );
+  }
+
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    createErrorResponse(failure, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message)
+  );
+};
+
+// Every tag endpoint requires an authenticated user
+router.use(authenticateToken);
+
+router.use(requireScopeFor('notes:read', 'notes:write'));
+
+// Viewers can see their tags but not change them
+const canEdit = authorize('admin', 'editor');
+
+/**
+ * @route   GET /api/tags
+ * @desc    List the user's tags with the number of notes carrying each and when it was last used,
+ *          as a flat list or nested by path (?format=tree)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tags = await Note.getTagUsage(req.user.userId);
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse(
+        req.query.format === 'tree' ? buildTagTree(tags, { count: 0, lastUsed: null }) : tags,
+        API_MESSAGES.TAGS_FETCHED
+      )
+    );
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    return sendTagError(res, error, 'Failed to fetch tags');
+  }
+});
+
+/**
+ * @route   POST /api/tags/merge
+ * @desc    Replace several tags with one tag on every note; their descendants move under it
+ * @access  Private (admin, editor)
+ */
+router.post('/merge', canEdit, async (req, res) => {
+  try {
+    const { tags, into } = req.body;
+
+    if (!Array.isArray(tags) || tags.length === 0) {
+      throw createTagError('tags must be a non-empty list of tags to merge');
+    }
+
+    const target = normalizeTag(into, 'into');
+    const sources = [...new Set(tags.map(tag => normalizeTag(tag, 'tags')))].filter(tag => tag !== target);
+
+    if (sources.length === 0) {
+      throw createTagError('tags must name at least one tag other than into');
+    }
+
+    assertNotIntoDescendant(sources, target);
+
+    // A tag within several merged tags moves with the closest one
+    const closestFirst = [...sources].sort((a, b) => b.length - a.length);
+    const result = await retagNotes(req, tagsWithDescendants(sources), tag => {
+      const source = closestFirst.find(candidate => isWithinTag(tag, candidate));
+      return source ? renameTagPath(tag, source, target) : tag;
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ from: sources, into: target, ...result }, API_MESSAGES.TAGS_MERGED)
+    );
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    return sendTagError(res, error, 'Failed to merge tags');
+  }
+});
+
+/**
+ * @route   PATCH /api/tags/:tag
+ * @desc    Rename a tag and its descendants on every note; renaming to an existing tag merges the two
+ * @access  Private (admin, editor)
+ */
+router.patch('/:tag', canEdit, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const name = normalizeTag(req.body.name, 'name');
+
+    if (name === tag) {
+      throw createTagError('name must differ from the current tag');
+    }
+
+    assertNotIntoDescendant([tag], name);
+
+    const result = await retagNotes(req, tagsWithDescendants([tag]), current => renameTagPath(current, tag, name));
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ from: [tag], into: name, ...result }, API_MESSAGES.TAG_RENAMED)
+    );
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    return sendTagError(res, error, 'Failed to rename tag');
+  }
+});
+
+/**
+ * @route   DELETE /api/tags/:tag
+ * @desc    Remove a tag from every note, with its descendants if recursive=true
+ * @access  Private (admin, editor)
+ */
+router.delete('/:tag', canEdit, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const recursive = req.query.recursive === 'true';
+
+    const result = recursive
+      ? await retagNotes(req, tagsWithDescendants([tag]), current => (isWithinTag(current, tag) ? null : current))
+      : await retagNotes(req, [tag], current => (current === tag ? null : current));
+
+    return res.status(HTTP_STATUS.OK).json(
+      createApiResponse({ from: [tag], into: null, recursive, ...result }, API_MESSAGES.TAG_DELETED)
+    );
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    return sendTagError(res, error, 'Failed to delete tag');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+'use strict';
+
+const express = require('express');
+const User = require('../models/User');
+const { authenticateToken, authorize, rejectApiKeys, revokeAllUserTokens } = require('../utils/auth');
+const { HTTP_STATUS, API_MESSAGES, USER_ROLES } = require('../constants/api');
+const { getPaginationParams, isValidObjectId, sanitizeInput } = require('../utils/helpers');
+
+const router = express.Router();
+
+// User administration is restricted to admins signed in with a session
+router.use(rejectApiKeys, authenticateToken, authorize('admin'));
+
+/**
+ * Build the public representation of a user account
+ * @param {Object} user - User document
+ * @returns {Object} User data safe to return to admins
+ */
+const toUserData = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+/**
+ * Validate the :id parameter and reject changes to the admin's own account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Error response if the request was rejected
+ */
+const rejectInvalidTarget = (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: 'Validation Error',
+      message: 'Invalid user ID format'
+    });
+  }
+
+  if (String(req.params.id) === String(req.user.userId)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: 'Validation Error',
+      message: 'You cannot change your own role or account status'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * @route GET /api/users
+ * @desc List user accounts with optional filtering and pagination
+ * @access Private (admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const filter = {};
+
+    if (req.query.role) {
+      if (!USER_ROLES.includes(req.query.role)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: `Role must be one of: ${USER_ROLES.join(', ')}`
+        });
+      }
+
+      filter.role = req.query.role;
+    }
+
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const search = sanitizeInput(req.query.search);
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      users: users.map(toUserData),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        usersPerPage: limit,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List users error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to retrieve users'
+    });
+  }
+});
+
+/**
+ * @route GET /api/users/stats
+ * @desc Get user account statistics
+ * @access Private (admin)
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await User.getUserStats();
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('User stats error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to retrieve user statistics'
+    });
+  }
+});
+
+/**
+ * Build a handler that sets a user's active status
+ * @param {Boolean} isActive - Status to apply
+ * @returns {Function} Express route handler
+ */
+const setActiveStatus = (isActive) => async (req, res) => {
+  try {
+    const rejected = rejectInvalidTarget(req, res);
+    if (rejected) return rejected;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    // Sign a deactivated user out everywhere instead of waiting for token expiry
+    if (!isActive) {
+      await revokeAllUserTokens(user._id);
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: isActive ? 'User activated successfully' : 'User deactivated successfully',
+      user: toUserData(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to update user status'
+    });
+  }
+};
+
+/**
+ * @route PATCH /api/users/:id/deactivate
+ * @desc Deactivate a user account
+ * @access Private (admin)
+ */
+router.patch('/:id/deactivate', setActiveStatus(false));
+
+/**
+ * @route PATCH /api/users/:id/activate
+ * @desc Reactivate a user account
+ * @access Private (admin)
+ */
+router.patch('/:id/activate', setActiveStatus(true));
+
+/**
+ * @route PATCH /api/users/:id/role
+ * @desc Promote or demote a user
+ * @access Private (admin)
+ */
+router.patch('/:id/role', async (req, res) => {
+  try {
+    const rejected = rejectInvalidTarget(req, res);
+    if (rejected) return rejected;
+
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: 'User Not Found',
+        message: 'User account not found'
+      });
+    }
+
+    // Tokens carry the role claim, so outstanding tokens must not outlive the change
+    await revokeAllUserTokens(user._id);
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'User role updated successfully',
+      user: toUserData(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: API_MESSAGES.INTERNAL_SERVER_ERROR,
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+'use strict';
+
+require('dotenv').config();
+
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { connectToDatabase, closeDatabase } = require('../config/database');
+
+/**
+ * Assign notes created before per-user ownership to a designated user
+ * @param {string} identifier - Email or username of the user who takes ownership
+ */
+async function assignNoteOwners(identifier) {
+  let connection = null;
+  let exitCode = 0;
+
+  try {
+    if (!identifier) {
+      throw new Error('Usage: npm run migrate:note-owners -- <email-or-username> (or set NOTES_OWNER)');
+    }
+
+    console.log('🚚 Assigning ownerless notes...');
+
+    connection = await connectToDatabase();
+    console.log('✅ Connected to MongoDB');
+
+    const owner = await User.findByEmailOrUsername(identifier);
+
+    if (!owner) {
+      throw new Error(`No user found matching "${identifier}"`);
+    }
+
+    const result = await Note.assignOrphansTo(owner._id);
+    console.log(`📝 Assigned ${result.modifiedCount} notes to ${owner.username} (${owner.email})`);
+
+    console.log('\n✅ Note ownership migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Error migrating note owners:', error.message);
+    exitCode = 1;
+  } finally {
+    if (connection) {
+      await closeDatabase();
+    }
+
+    process.exit(exitCode);
+  }
+}
+
+// Check if script is run directly
+if (require.main === module) {
+  assignNoteOwners(process.argv[2] || process.env.NOTES_OWNER);
+}
+
+module.exports = { assignNoteOwners };
@@ -0,0 +1,44 @@
+'use strict';
+
+require('dotenv').config();
+
+const Note = require('../models/Note');
+const { connectToDatabase, closeDatabase } = require('../config/database');
+
+/**
+ * Parse the scripture references of every note again
+ * Notes get their references whenever their title or content is saved; run this
+ * once for notes saved before references were parsed, and after the parser changes
+ */
+async function indexScripture() {
+  let connection = null;
+  let exitCode = 0;
+
+  try {
+    console.log('📖 Indexing scripture references...');
+
+    connection = await connectToDatabase();
+    console.log('✅ Connected to MongoDB');
+
+    const indexed = await Note.reindexScripture();
+    console.log(`📝 Indexed ${indexed} notes`);
+
+    console.log('\n✅ Scripture indexing completed successfully!');
+  } catch (error) {
+    console.error('❌ Error indexing scripture references:', error.message);
+    exitCode = 1;
+  } finally {
+    if (connection) {
+      await closeDatabase();
+    }
+
+    process.exit(exitCode);
+  }
+}
+
+// Check if script is run directly
+if (require.main === module) {
+  indexScripture();
+}
+
+module.exports = { indexScripture };
@@ -0,0 +1,44 @@
+'use strict';
+
+require('dotenv').config();
+
+const { purgeExpiredTrash, getTrashRetentionDays } = require('../utils/trash');
+const { connectToDatabase, closeDatabase } = require('../config/database');
+
+/**
+ * Permanently delete notes that have been in the trash longer than the retention period
+ * The server runs this on a schedule; use this script (for example from a cron job)
+ * where no server process stays up
+ */
+async function purgeTrash() {
+  let connection = null;
+  let exitCode = 0;
+
+  try {
+    console.log(`🗑️  Purging notes trashed more than ${getTrashRetentionDays()} days ago...`);
+
+    connection = await connectToDatabase();
+    console.log('✅ Connected to MongoDB');
+
+    const purged = await purgeExpiredTrash();
+    console.log(`📝 Purged ${purged} notes`);
+
+    console.log('\n✅ Trash purge completed successfully!');
+  } catch (error) {
+    console.error('❌ Error purging trash:', error.message);
+    exitCode = 1;
+  } finally {
+    if (connection) {
+      await closeDatabase();
+    }
+
+    process.exit(exitCode);
+  }
+}
+
+// Check if script is run directly
+if (require.main === module) {
+  purgeTrash();
+}
+
+module.exports = { purgeTrash };
@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Note = require('../models/Note');
+const User = require('../models/User');
 const { connectToDatabase, closeDatabase } = require('../config/database');
 
 /**
@@ -78,23 +79,36 @@ const SAMPLE_NOTES = Object.freeze([
 
 /**
  * Seed the database with sample notes
+ * @param {string} identifier - Email or username of the user who owns the sample notes
  */
-async function seedDatabase() {
+async function seedDatabase(identifier) {
   let connection = null;
   
   try {
     console.log('🌱 Starting database seeding...');
+
+    if (!identifier) {
+      throw new Error('Usage: npm run seed -- <email-or-username> (or set SEED_USER)');
+    }
     
     // Connect to database
     connection = await connectToDatabase();
     console.log('✅ Connected to MongoDB');
 
-    // Clear existing notes
-    const deleteResult = await Note.deleteMany({});
-    console.log(`🗑️  Cleared ${deleteResult.deletedCount} existing notes`);
+    // Resolve the user who will own the sample notes
+    const owner = await User.findByEmailOrUsername(identifier);
+    if (!owner) {
+      throw new Error(`No user found matching "${identifier}"`);
+    }
+
+    // Clear the owner's existing notes
+    const deleteResult = await Note.deleteMany({ owner: owner._id });
+    console.log(`🗑️  Cleared ${deleteResult.deletedCount} existing notes for ${owner.username}`);
 
     // Insert sample notes
-    const createdNotes = await Note.insertMany(SAMPLE_NOTES);
+    const createdNotes = await Note.insertMany(
+      SAMPLE_NOTES.map(note => ({ ...note, owner: owner._id }))
+    );
     console.log(`📝 Successfully seeded ${createdNotes.length} notes`);
 
     // Display created notes
@@ -104,7 +118,7 @@ async function seedDatabase() {
     });
 
     // Display statistics
-    const stats = await Note.getStats();
+    const stats = await Note.getStats(owner._id);
     console.log('\n📊 Database Statistics:');
     console.log(`- Total Notes: ${stats.totalNotes}`);
     console.log(`- Active Notes: ${stats.activeNotes}`);
@@ -151,7 +165,7 @@ process.on('SIGTERM', async () => {
 
 // Check if script is run directly
 if (require.main === module) {
-  seedDatabase();
+  seedDatabase(process.argv[2] || process.env.SEED_USER);
 }
 
 module.exports = { seedDatabase, SAMPLE_NOTES };
@@ -0,0 +1,44 @@
+'use strict';
+
+require('dotenv').config();
+
+const { sendDueReminders, getNotifier } = require('../utils/reminders');
+const { connectToDatabase, closeDatabase } = require('../config/database');
+
+/**
+ * Send the note reminders that are due
+ * The server runs this on a schedule; use this script (for example from a cron job)
+ * where no server process stays up. Reminders already sent are never sent again.
+ */
+async function sendReminders() {
+  let connection = null;
+  let exitCode = 0;
+
+  try {
+    console.log(`⏰ Sending due reminders through the ${getNotifier().name} notifier...`);
+
+    connection = await connectToDatabase();
+    console.log('✅ Connected to MongoDB');
+
+    const sent = await sendDueReminders();
+    console.log(`📝 Sent ${sent} reminders`);
+
+    console.log('\n✅ Reminders sent successfully!');
+  } catch (error) {
+    console.error('❌ Error sending reminders:', error.message);
+    exitCode = 1;
+  } finally {
+    if (connection) {
+      await closeDatabase();
+    }
+
+    process.exit(exitCode);
+  }
+}
+
+// Check if script is run directly
+if (require.main === module) {
+  sendReminders();
+}
+
+module.exports = { sendReminders };
@@ -0,0 +1,52 @@
+'use strict';
+
+require('dotenv').config();
+
+const User = require('../models/User');
+const { USER_ROLES } = require('../constants/api');
+const { connectToDatabase, closeDatabase } = require('../config/database');
+
+/**
+ * Set the role of a user account from the command line
+ * Used to bootstrap the first admin, who can then manage roles through the API
+ * @param {string} identifier - Email or username of the user
+ * @param {string} role - Role to assign
+ */
+async function setUserRole(identifier, role) {
+  let connection = null;
+  let exitCode = 0;
+
+  try {
+    if (!identifier || !USER_ROLES.includes(role)) {
+      throw new Error(`Usage: npm run set-role -- <email-or-username> <${USER_ROLES.join('|')}>`);
+    }
+
+    connection = await connectToDatabase();
+    console.log('✅ Connected to MongoDB');
+
+    const user = await User.findByEmailOrUsername(identifier);
+
+    if (!user) {
+      throw new Error(`No user found matching "${identifier}"`);
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { role } });
+    console.log(`👤 ${user.username} (${user.email}) is now ${role}`);
+  } catch (error) {
+    console.error('❌ Error setting user role:', error.message);
+    exitCode = 1;
+  } finally {
+    if (connection) {
+      await closeDatabase();
+    }
+
+    process.exit(exitCode);
+  }
+}
+
+// Check if script is run directly
+if (require.main === module) {
+  setUserRole(process.argv[2], process.argv[3]);
+}
+
+module.exports = { setUserRole };
@@ -9,7 +9,15 @@ require('dotenv').config();
 
 const notesRoutes = require('./routes/notes');
 const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const notebooksRoutes = require('./routes/notebooks');
+const categoriesRoutes = require('./routes/categories');
+const tagsRoutes = require('./routes/tags');
+const scriptureRoutes = require('./routes/scripture');
+const seriesRoutes = require('./routes/series');
+const prayerRoutes = require('./routes/prayers');
 const { connectToDatabase, closeDatabase } = require('./config/database');
+const { startScheduledJobs, stopJobs } = require('./utils/scheduler');
 const { corsOptions, helmetOptions } = require('./config/middleware');
 const { HTTP_STATUS, API_MESSAGES } = require('./constants/api');
 
@@ -28,7 +36,8 @@ if (process.env.NODE_ENV !== 'test') {
 app.use(cors(corsOptions));
 
 // Body parsing middleware with size limits
-app.use(express.json({ limit: '10mb' }));
+// Also parses JSON Merge Patch and JSON Patch bodies (application/*+json)
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/*+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request timeout middleware
@@ -56,6 +65,13 @@ connectToDatabase()
 // Routes
 app.use('/api/notes', notesRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/notebooks', notebooksRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/tags', tagsRoutes);
+app.use('/api/scripture', scriptureRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/prayers', prayerRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -96,6 +112,13 @@ app.get('/', (req, res) => {
       health: '/api/health',
       notes: '/api/notes',
       auth: '/api/auth',
+      users: '/api/users',
+      notebooks: '/api/notebooks',
+      categories: '/api/categories',
+      tags: '/api/tags',
+      scripture: '/api/scripture',
+      series: '/api/series',
+      prayers: '/api/prayers',
       documentation: 'https://github.com/colemanmatey/jd-notes-backend/tree/main/docs'
     },
     environment: process.env.NODE_ENV || 'development'
@@ -109,7 +132,7 @@ app.use('*', (req, res) => {
   const errorResponse = {
     error: API_MESSAGES.ROUTE_NOT_FOUND,
     message: `${req.method} ${req.originalUrl} is not a valid endpoint`,
-    availableEndpoints: ['/api/health', '/api/notes', '/api/auth'],
+    availableEndpoints: ['/api/health', '/api/notes', '/api/auth', '/api/users', '/api/notebooks', '/api/categories', '/api/tags', '/api/scripture', '/api/series', '/api/prayers'],
     timestamp: new Date().toISOString()
   };
   
@@ -140,6 +163,9 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
   try {
+    // Stop maintenance jobs before the database goes away
+    stopJobs();
+
     // Close database connection
     await closeDatabase();
     
@@ -176,6 +202,9 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`🕒 Started at: ${new Date().toISOString()}`);
   });
 
+  // Maintenance jobs such as purging expired trash and sending due reminders
+  startScheduledJobs();
+
   // Handle server errors
   server.on('error', (error) => {
     console.error('Server error:', error);
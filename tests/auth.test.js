@@ -7,7 +7,7 @@ jest.mock('../config/database', () => ({
 }));
 
 jest.mock('mongoose', () => ({
-  Schema: jest.fn().mockImplementation(() => ({
+  Schema: Object.assign(jest.fn().mockImplementation(() => ({
     pre: jest.fn(),
     post: jest.fn(),
     methods: {},
@@ -17,7 +17,7 @@ jest.mock('mongoose', () => ({
       get: jest.fn(),
       set: jest.fn()
     })
-  })),
+  })), { Types: { ObjectId: String } }),
   model: jest.fn(),
   connection: { readyState: 1 },
   connect: jest.fn().mockResolvedValue(true),
@@ -50,6 +50,7 @@ const mockUserData = {
   lastName: 'User',
   isLocked: false,
   isActive: true,
+  emailVerified: false,
   loginAttempts: 0
 };
 
@@ -60,6 +61,7 @@ const mockUser = {
   updateLastLogin: jest.fn().mockResolvedValue(true),
   incLoginAttempts: jest.fn().mockResolvedValue(true),
   resetLoginAttempts: jest.fn().mockResolvedValue(true),
+  createEmailVerificationToken: jest.fn().mockReturnValue('plain-verification-token'),
   toObject: jest.fn().mockReturnValue(mockUserData)
 };
 
@@ -97,9 +99,52 @@ mockUserConstructor.findById = jest.fn((userId) => {
 mockUserConstructor.findByEmailOrUsername = jest.fn().mockResolvedValue(mockUser);
 mockUserConstructor.emailExists = jest.fn().mockResolvedValue(false);
 mockUserConstructor.usernameExists = jest.fn().mockResolvedValue(false);
+mockUserConstructor.findOne = jest.fn().mockResolvedValue(null);
+mockUserConstructor.consumePasswordResetToken = jest.fn().mockResolvedValue(null);
+mockUserConstructor.consumeEmailVerificationToken = jest.fn().mockResolvedValue(null);
+mockUserConstructor.countDocuments = jest.fn().mockResolvedValue(1);
+mockUserConstructor.deleteOne = jest.fn().mockResolvedValue({ deletedCount: 1 });
 
 jest.mock('../models/User', () => mockUserConstructor);
 
+jest.mock('../models/Session', () => ({
+  findActiveForUser: jest.fn().mockResolvedValue([]),
+  revokeForUser: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 1 })
+}));
+
+jest.mock('../models/ApiKey', () => ({
+  find: jest.fn(),
+  createForUser: jest.fn(),
+  revokeForUser: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 })
+}));
+
+jest.mock('../models/Note', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 3 })
+}));
+
+jest.mock('../models/NoteRevision', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 7 })
+}));
+
+jest.mock('../models/Notebook', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 2 })
+}));
+
+jest.mock('../models/Category', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 12 })
+}));
+
+jest.mock('../models/SermonSeries', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 1 })
+}));
+
+// Capture outgoing mail instead of delivering it
+jest.mock('../utils/mailer', () => ({
+  sendMail: jest.fn().mockResolvedValue({})
+}));
+
 // Mock auth utilities
 jest.mock('../utils/auth', () => ({
   verifyToken: jest.fn().mockReturnValue({ userId: 'mock-user-id' }),
@@ -107,6 +152,29 @@ jest.mock('../utils/auth', () => ({
     req.user = { userId: 'mock-user-id' };
     next();
   }),
+  authorize: jest.fn(() => (req, res, next) => next()),
+  requireVerifiedEmail: jest.fn((req, res, next) => next()),
+  requireScope: jest.fn(() => (req, res, next) => next()),
+  requireScopeFor: jest.fn(() => (req, res, next) => next()),
+  rejectApiKeys: jest.fn((req, res, next) => (
+    req.headers['x-api-key']
+      ? res.status(403).json({ error: 'Access denied', message: 'API keys cannot be used for this endpoint' })
+      : next()
+  )),
+  getEmailVerificationPolicy: jest.fn().mockReturnValue('none'),
+  revokeSession: jest.fn().mockResolvedValue(),
+  revokeAllUserTokens: jest.fn().mockResolvedValue(),
+  rotateTokenPair: jest.fn().mockResolvedValue({
+    accessToken: 'mock-rotated-access-token',
+    refreshToken: 'mock-rotated-refresh-token'
+  }),
+  TOKEN_TYPES: { ACCESS: 'access', REFRESH: 'refresh', MFA_CHALLENGE: 'mfa-challenge' },
+  generateMfaChallenge: jest.fn().mockReturnValue('mock-challenge-token'),
+  revokeToken: jest.fn().mockResolvedValue(),
+  getClientContext: jest.fn().mockReturnValue({ userAgent: 'jest', ip: '127.0.0.1' }),
+  MFA_CHALLENGE_EXPIRES_IN: '5m',
+  PASSWORD_RESET_EXPIRES_IN: '1h',
+  EMAIL_VERIFICATION_EXPIRES_IN: '24h',
   generateTokens: jest.fn().mockReturnValue({
     accessToken: 'mock-access-token',
     refreshToken: 'mock-refresh-token'
@@ -339,6 +407,23 @@ describe('Authentication Endpoints', () => {
       expect(response.body.message).toBe('Logged out successfully');
     });
 
+    test('should revoke the current session', async () => {
+      const { authenticateToken, revokeSession } = require('../utils/auth');
+      const accessClaims = { userId: 'mock-user-id', sid: 'session-1', jti: 'access-jti', exp: 1 };
+
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = accessClaims;
+        next();
+      });
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(revokeSession).toHaveBeenCalledWith(accessClaims);
+    });
+
     test('should return access denied without token', async () => {
       require('../utils/auth').authenticateToken.mockImplementationOnce((req, res, next) => {
         return res.status(401).json({
@@ -356,6 +441,19 @@ describe('Authentication Endpoints', () => {
     });
   });
 
+  describe('POST /api/auth/logout-all', () => {
+    test('should revoke every token issued to the user', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Logged out from all devices successfully');
+      expect(require('../utils/auth').revokeAllUserTokens).toHaveBeenCalledWith('mock-user-id');
+    });
+  });
+
   describe('GET /api/auth/me', () => {
     test('should return user profile with valid token', async () => {
       const response = await request(app)
@@ -410,8 +508,25 @@ describe('Authentication Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Token refreshed successfully');
-      expect(response.body.tokens).toHaveProperty('accessToken');
-      expect(response.body.tokens).toHaveProperty('refreshToken');
+      expect(response.body.tokens).toHaveProperty('accessToken', 'mock-rotated-access-token');
+      expect(response.body.tokens).toHaveProperty('refreshToken', 'mock-rotated-refresh-token');
+      expect(require('../utils/auth').verifyToken).toHaveBeenCalledWith('mock-refresh-token', 'refresh');
+    });
+
+    test('should reject a refresh token that was already rotated', async () => {
+      require('../utils/auth').rotateTokenPair.mockImplementationOnce(() => {
+        const error = new Error('Refresh token reuse detected');
+        error.name = 'TokenReuseError';
+        return Promise.reject(error);
+      });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'already-used-refresh-token' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid Token');
+      expect(response.body.message).toBe('Invalid or expired refresh token');
     });
 
     test('should return validation error for missing refresh token', async () => {
@@ -573,6 +688,591 @@ describe('Authentication Endpoints', () => {
     });
   });
 
+  describe('POST /api/auth/forgot-password', () => {
+    test('should email a reset link to an existing user', async () => {
+      const user = {
+        ...mockUserData,
+        createPasswordResetToken: jest.fn().mockReturnValue('plain-reset-token'),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      mockUserConstructor.findOne.mockResolvedValueOnce(user);
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'Test@Example.com' })
+        .expect(200);
+
+      const { sendMail } = require('../utils/mailer');
+
+      expect(response.body.success).toBe(true);
+      expect(mockUserConstructor.findOne).toHaveBeenCalledWith({ email: 'test@example.com' });
+      expect(user.createPasswordResetToken).toHaveBeenCalledWith(60 * 60 * 1000);
+      expect(user.save).toHaveBeenCalled();
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'test@example.com',
+        text: expect.stringContaining('reset-password?token=plain-reset-token')
+      }));
+    });
+
+    test('should respond identically for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toBe('If an account with that email exists, a password reset link has been sent');
+      expect(require('../utils/mailer').sendMail).not.toHaveBeenCalled();
+    });
+
+    test('should return validation error without a valid email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'not-an-email' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(mockUserConstructor.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    test('should set the new password and revoke existing tokens', async () => {
+      const user = {
+        ...mockUserData,
+        save: jest.fn().mockResolvedValue(true)
+      };
+      mockUserConstructor.consumePasswordResetToken.mockResolvedValueOnce(user);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'plain-reset-token', password: 'NewPassword123!' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mockUserConstructor.consumePasswordResetToken).toHaveBeenCalledWith('plain-reset-token');
+      expect(user.password).toBe('NewPassword123!');
+      expect(user.save).toHaveBeenCalled();
+      expect(require('../utils/auth').revokeAllUserTokens).toHaveBeenCalledWith('mock-user-id');
+    });
+
+    test('should reject invalid or expired tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'used-token', password: 'NewPassword123!' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid Token');
+      expect(response.body.message).toBe('Password reset token is invalid or has expired');
+    });
+
+    test('should not redeem the token when the password is too weak', async () => {
+      require('../utils/auth').validatePassword.mockReturnValueOnce({
+        isValid: false,
+        strength: 'weak',
+        errors: ['Password must be at least 8 characters long']
+      });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'plain-reset-token', password: 'weak' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(mockUserConstructor.consumePasswordResetToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Email verification', () => {
+    const registration = {
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Test',
+      lastName: 'User'
+    };
+
+    test('should email a verification link on registration', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration)
+        .expect(201);
+
+      const { sendMail } = require('../utils/mailer');
+
+      expect(response.body.user).toHaveProperty('emailVerified');
+      expect(mockUser.createEmailVerificationToken).toHaveBeenCalledWith(24 * 60 * 60 * 1000);
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'test@example.com',
+        text: expect.stringContaining('/api/auth/verify-email?token=plain-verification-token')
+      }));
+    });
+
+    test('should not issue tokens on registration when verification is required to log in', async () => {
+      require('../utils/auth').getEmailVerificationPolicy.mockReturnValue('login');
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration)
+        .expect(201);
+
+      expect(response.body.tokens).toBeUndefined();
+      expect(require('../utils/auth').generateTokenPair).not.toHaveBeenCalled();
+    });
+
+    test('should block unverified users from logging in under the login policy', async () => {
+      require('../utils/auth').getEmailVerificationPolicy.mockReturnValue('login');
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'testuser', password: 'TestPassword123!' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Email Not Verified');
+      expect(require('../utils/auth').generateTokenPair).not.toHaveBeenCalled();
+    });
+
+    test('should verify an email address from the emailed link', async () => {
+      mockUserConstructor.consumeEmailVerificationToken.mockResolvedValueOnce({ ...mockUserData, emailVerified: true });
+
+      const response = await request(app)
+        .get('/api/auth/verify-email?token=plain-verification-token')
+        .expect(200);
+
+      expect(response.body.message).toBe('Email address verified successfully');
+      expect(mockUserConstructor.consumeEmailVerificationToken).toHaveBeenCalledWith('plain-verification-token');
+    });
+
+    test('should reject invalid verification tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'bogus' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid Token');
+    });
+
+    test('should resend a verification link to unverified users', async () => {
+      const user = {
+        ...mockUserData,
+        emailVerified: false,
+        createEmailVerificationToken: jest.fn().mockReturnValue('fresh-token'),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      mockUserConstructor.findOne.mockResolvedValueOnce(user);
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(require('../utils/mailer').sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringContaining('token=fresh-token')
+      }));
+    });
+
+    test('should not resend to verified users', async () => {
+      mockUserConstructor.findOne.mockResolvedValueOnce({ ...mockUserData, emailVerified: true });
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(require('../utils/mailer').sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const { generateCode } = require('../utils/totp');
+
+    const twoFactorUser = (overrides = {}) => ({
+      ...mockUser,
+      twoFactorEnabled: true,
+      consumeTwoFactorCode: jest.fn().mockReturnValue(true),
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    test('should return a challenge instead of tokens when 2FA is enabled', async () => {
+      mockUserConstructor.findByEmailOrUsername.mockResolvedValueOnce(twoFactorUser());
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'testuser', password: 'TestPassword123!' })
+        .expect(200);
+
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.challengeToken).toBe('mock-challenge-token');
+      expect(response.body.tokens).toBeUndefined();
+      expect(require('../utils/auth').generateTokenPair).not.toHaveBeenCalled();
+    });
+
+    test('should issue tokens once the challenge is completed with a valid code', async () => {
+      const user = twoFactorUser();
+      mockUserConstructor.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'mock-challenge-token', code: '123456' })
+        .expect(200);
+
+      const auth = require('../utils/auth');
+
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(auth.verifyToken).toHaveBeenCalledWith('mock-challenge-token', 'mfa-challenge');
+      expect(user.consumeTwoFactorCode).toHaveBeenCalledWith('123456');
+      expect(auth.revokeToken).toHaveBeenCalled();
+    });
+
+    test('should count wrong codes towards the account lockout', async () => {
+      const user = twoFactorUser({ consumeTwoFactorCode: jest.fn().mockReturnValue(false) });
+      mockUserConstructor.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'mock-challenge-token', code: '000000' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid two-factor code');
+      expect(user.incLoginAttempts).toHaveBeenCalled();
+      expect(require('../utils/auth').generateTokenPair).not.toHaveBeenCalled();
+    });
+
+    test('should reject expired challenges', async () => {
+      require('../utils/auth').verifyToken.mockRejectedValueOnce(new Error('Invalid or expired token'));
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'expired', code: '123456' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid Token');
+    });
+
+    test('should generate a secret and otpauth URI during setup', async () => {
+      const user = twoFactorUser({ twoFactorEnabled: false });
+      mockUserConstructor.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(response.body.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.otpauthUri).toContain(`secret=${response.body.secret}`);
+      expect(user.twoFactorSecret).toBe(response.body.secret);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    test('should enable 2FA and return recovery codes after confirming a code', async () => {
+      const user = twoFactorUser({
+        twoFactorEnabled: false,
+        twoFactorSecret: 'JBSWY3DPEHPK3PXP',
+        generateBackupCodes: jest.fn().mockReturnValue(['code-one', 'code-two'])
+      });
+      mockUserConstructor.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ code: generateCode('JBSWY3DPEHPK3PXP') })
+        .expect(200);
+
+      expect(response.body.backupCodes).toEqual(['code-one', 'code-two']);
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    test('should not enable 2FA with a wrong code', async () => {
+      const user = twoFactorUser({ twoFactorEnabled: false, twoFactorSecret: 'JBSWY3DPEHPK3PXP' });
+      mockUserConstructor.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ code: 'abcdef' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid Code');
+      expect(user.twoFactorEnabled).toBe(false);
+    });
+
+    test('should require the password to disable 2FA', async () => {
+      const user = twoFactorUser({ comparePassword: jest.fn().mockResolvedValue(false) });
+      mockUserConstructor.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ password: 'wrong', code: '123456' })
+        .expect(401);
+
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Sessions', () => {
+    const Session = require('../models/Session');
+    const sessionId = '507f1f77bcf86cd799439022';
+
+    test('should list active sessions and flag the current one', async () => {
+      require('../utils/auth').authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: 'mock-user-id', sid: sessionId };
+        next();
+      });
+      Session.findActiveForUser.mockResolvedValueOnce([
+        { _id: sessionId, userAgent: 'Mozilla/5.0', ip: '203.0.113.7', createdAt: new Date(), lastUsedAt: new Date() },
+        { _id: '507f1f77bcf86cd799439023', userAgent: 'curl/8.0', ip: '198.51.100.2', createdAt: new Date(), lastUsedAt: new Date() }
+      ]);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(Session.findActiveForUser).toHaveBeenCalledWith('mock-user-id');
+      expect(response.body.sessions).toHaveLength(2);
+      expect(response.body.sessions[0]).toMatchObject({ id: sessionId, userAgent: 'Mozilla/5.0', current: true });
+      expect(response.body.sessions[1].current).toBe(false);
+    });
+
+    test('should revoke one of the user\'s sessions', async () => {
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${sessionId}`)
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(response.body.message).toBe('Session revoked successfully');
+      expect(Session.revokeForUser).toHaveBeenCalledWith(sessionId, 'mock-user-id', 'revoked-by-user');
+    });
+
+    test('should return 404 for sessions of other users or already revoked', async () => {
+      Session.revokeForUser.mockResolvedValueOnce({ matchedCount: 0 });
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${sessionId}`)
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(404);
+
+      expect(response.body.error).toBe('Session Not Found');
+    });
+
+    test('should record the client when logging in', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'testuser', password: 'TestPassword123!' })
+        .expect(200);
+
+      expect(require('../utils/auth').generateTokenPair)
+        .toHaveBeenCalledWith(expect.anything(), { userAgent: 'jest', ip: '127.0.0.1' });
+    });
+  });
+
+  describe('PATCH /api/auth/me', () => {
+    const profileUser = (overrides = {}) => ({
+      ...mockUserData,
+      emailVerified: true,
+      save: jest.fn().mockResolvedValue(true),
+      createEmailVerificationToken: jest.fn().mockReturnValue('new-email-token'),
+      ...overrides
+    });
+
+    test('should update the name fields', async () => {
+      const user = profileUser();
+      mockUserConstructor.findById.mockReturnValueOnce(Promise.resolve(user));
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ firstName: ' Jane ', lastName: 'Doe', role: 'admin' })
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({ firstName: 'Jane', lastName: 'Doe', emailVerified: true });
+      expect(user.role).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    test('should require re-verification when the email changes', async () => {
+      const user = profileUser();
+      mockUserConstructor.findById.mockReturnValueOnce(Promise.resolve(user));
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ email: 'New@Example.com' })
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({ email: 'new@example.com', emailVerified: false });
+      expect(mockUserConstructor.emailExists).toHaveBeenCalledWith('new@example.com');
+      expect(require('../utils/mailer').sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'new@example.com'
+      }));
+    });
+
+    test('should reject a username that is already taken', async () => {
+      mockUserConstructor.findById.mockReturnValueOnce(Promise.resolve(profileUser()));
+      mockUserConstructor.usernameExists.mockResolvedValueOnce(true);
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ username: 'taken' })
+        .expect(409);
+
+      expect(response.body.message).toBe('This username is already taken');
+    });
+
+    test('should reject requests without editable fields', async () => {
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ role: 'admin' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Provide at least one field to update');
+    });
+  });
+
+  describe('DELETE /api/auth/me', () => {
+    const accountOwner = (passwordIsValid) => ({
+      select: jest.fn().mockResolvedValue({
+        ...mockUser,
+        comparePassword: jest.fn().mockResolvedValue(passwordIsValid)
+      })
+    });
+
+    test('should delete the account and all notes with the correct password', async () => {
+      mockUserConstructor.findById.mockReturnValueOnce(accountOwner(true));
+
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ password: 'currentPass123' })
+        .expect(200);
+
+      const Note = require('../models/Note');
+      const NoteRevision = require('../models/NoteRevision');
+      const Notebook = require('../models/Notebook');
+      const Category = require('../models/Category');
+      const SermonSeries = require('../models/SermonSeries');
+
+      expect(response.body.deletedNotes).toBe(3);
+      expect(Note.deleteMany).toHaveBeenCalledWith({ owner: 'mock-user-id' });
+      expect(NoteRevision.deleteMany).toHaveBeenCalledWith({ owner: 'mock-user-id' });
+      expect(Notebook.deleteMany).toHaveBeenCalledWith({ owner: 'mock-user-id' });
+      expect(Category.deleteMany).toHaveBeenCalledWith({ owner: 'mock-user-id' });
+      expect(SermonSeries.deleteMany).toHaveBeenCalledWith({ owner: 'mock-user-id' });
+      expect(mockUserConstructor.deleteOne).toHaveBeenCalledWith({ _id: 'mock-user-id' });
+      expect(require('../utils/auth').revokeAllUserTokens).toHaveBeenCalledWith('mock-user-id');
+    });
+
+    test('should keep the account when the password is wrong', async () => {
+      mockUserConstructor.findById.mockReturnValueOnce(accountOwner(false));
+
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ password: 'wrong' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Current password is incorrect');
+      expect(mockUserConstructor.deleteOne).not.toHaveBeenCalled();
+    });
+
+    test('should not delete the last admin', async () => {
+      mockUserConstructor.findById.mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue({
+          ...mockUser,
+          role: 'admin',
+          comparePassword: jest.fn().mockResolvedValue(true)
+        })
+      });
+      mockUserConstructor.countDocuments.mockResolvedValueOnce(0);
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ password: 'currentPass123' })
+        .expect(400);
+
+      expect(mockUserConstructor.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('API keys', () => {
+    const ApiKey = require('../models/ApiKey');
+    const keyId = '507f1f77bcf86cd799439033';
+
+    test('should create a key and return it once', async () => {
+      ApiKey.createForUser.mockResolvedValueOnce({
+        apiKey: { _id: keyId, label: 'Import script', prefix: 'jdn_AbCdEfGh', scopes: ['notes:write'], lastUsedAt: null, createdAt: new Date() },
+        key: 'jdn_AbCdEfGhplainkey'
+      });
+
+      const response = await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ label: 'Import script', scopes: ['notes:write', 'notes:write'] })
+        .expect(201);
+
+      expect(response.body.apiKey).toMatchObject({ id: keyId, key: 'jdn_AbCdEfGhplainkey', scopes: ['notes:write'] });
+      expect(response.body.apiKey).not.toHaveProperty('keyHash');
+      expect(ApiKey.createForUser).toHaveBeenCalledWith('mock-user-id', 'Import script', ['notes:write']);
+    });
+
+    test('should reject unknown scopes', async () => {
+      const response = await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .send({ label: 'Too much', scopes: ['users:admin'] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Scopes must be a non-empty list of: notes:read, notes:write');
+      expect(ApiKey.createForUser).not.toHaveBeenCalled();
+    });
+
+    test('should list active keys without secrets', async () => {
+      ApiKey.find.mockReturnValueOnce({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: keyId, label: 'Import script', prefix: 'jdn_AbCdEfGh', scopes: ['notes:read'], lastUsedAt: null, createdAt: new Date() }
+        ])
+      });
+
+      const response = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(ApiKey.find).toHaveBeenCalledWith({ user: 'mock-user-id', revokedAt: null });
+      expect(response.body.apiKeys[0]).toMatchObject({ id: keyId, prefix: 'jdn_AbCdEfGh' });
+      expect(response.body.apiKeys[0]).not.toHaveProperty('key');
+    });
+
+    test('should revoke a key', async () => {
+      await request(app)
+        .delete(`/api/auth/api-keys/${keyId}`)
+        .set('Authorization', 'Bearer mock-jwt-token')
+        .expect(200);
+
+      expect(ApiKey.revokeForUser).toHaveBeenCalledWith(keyId, 'mock-user-id');
+    });
+
+    test('should not allow API keys to manage the account', async () => {
+      const response = await request(app)
+        .post('/api/auth/api-keys')
+        .set('X-API-Key', 'jdn_AbCdEfGhplainkey')
+        .send({ label: 'Escalation', scopes: ['notes:read'] })
+        .expect(403);
+
+      expect(response.body.message).toBe('API keys cannot be used for this endpoint');
+    });
+  });
+
   // Reset mocks after each test
   afterEach(() => {
     jest.clearAllMocks();
@@ -581,6 +1281,10 @@ describe('Authentication Endpoints', () => {
     mockUserConstructor.usernameExists.mockResolvedValue(false);
     mockUserConstructor.findByEmailOrUsername.mockResolvedValue(mockUser);
     mockUserConstructor.findById.mockResolvedValue(mockUser);
+    mockUserConstructor.findOne.mockResolvedValue(null);
+    mockUserConstructor.consumePasswordResetToken.mockResolvedValue(null);
+    mockUserConstructor.consumeEmailVerificationToken.mockResolvedValue(null);
+    require('../utils/auth').getEmailVerificationPolicy.mockReturnValue('none');
     require('validator').isEmail.mockReturnValue(true);
   });
 });
@@ -0,0 +1,251 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Note', () => ({
+  countByField: jest.fn(),
+  updateMany: jest.fn(),
+  exists: jest.fn()
+}));
+const Note = require('../models/Note');
+
+jest.mock('../models/NoteRevision', () => ({
+  updateMany: jest.fn()
+}));
+const NoteRevision = require('../models/NoteRevision');
+
+jest.mock('../models/Category', () => ({
+  ensureDefaults: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  countDocuments: jest.fn()
+}));
+const Category = require('../models/Category');
+
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth());
+
+const { mockUserId, createMockDocument } = require('./helpers');
+const { authenticateToken } = require('../utils/auth');
+const { HTTP_STATUS } = require('../constants/api');
+
+// Import the app after mocks
+const app = require('../server');
+
+const sermonsId = '507f1f77bcf86cd7994390b1';
+const prayerId = '507f1f77bcf86cd7994390b2';
+const studyTypeId = '507f1f77bcf86cd7994390b3';
+
+const storedCategories = [
+  { _id: prayerId, owner: mockUserId, kind: 'category', name: 'Prayer' },
+  { _id: sermonsId, owner: mockUserId, kind: 'category', name: 'Sermons' },
+  { _id: studyTypeId, owner: mockUserId, kind: 'type', name: 'study' }
+];
+
+describe('Categories API Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Category.ensureDefaults.mockResolvedValue();
+    Note.updateMany.mockResolvedValue({ modifiedCount: 3 });
+    NoteRevision.updateMany.mockResolvedValue({ modifiedCount: 5 });
+  });
+
+  describe('GET /api/categories', () => {
+    it('should list categories and types with note counts', async () => {
+      Category.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(storedCategories)
+      });
+      Note.countByField.mockImplementation((ownerId, field) => Promise.resolve(
+        field === 'category' ? new Map([['Sermons', 4]]) : new Map([['study', 2]])
+      ));
+
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(HTTP_STATUS.OK);
+
+      const { categories, types } = response.body.data;
+
+      expect(categories.map(category => [category.name, category.noteCount])).toEqual([['Prayer', 0], ['Sermons', 4]]);
+      expect(types).toEqual([expect.objectContaining({ id: studyTypeId, kind: 'type', name: 'study', noteCount: 2 })]);
+      expect(Category.ensureDefaults).toHaveBeenCalledWith(mockUserId);
+      expect(Category.find).toHaveBeenCalledWith({ owner: mockUserId });
+    });
+  });
+
+  describe('POST /api/categories', () => {
+    it('should create a category after seeding the defaults', async () => {
+      Category.create.mockImplementation(fields => Promise.resolve({ _id: '507f1f77bcf86cd7994390b4', ...fields }));
+
+      const response = await request(app)
+        .post('/api/categories')
+        .send({ kind: 'category', name: 'Youth' })
+        .expect(HTTP_STATUS.CREATED);
+
+      expect(response.body.data).toMatchObject({ kind: 'category', name: 'Youth', noteCount: 0 });
+      expect(Category.ensureDefaults).toHaveBeenCalledWith(mockUserId);
+      expect(Category.create).toHaveBeenCalledWith({ owner: mockUserId, kind: 'category', name: 'Youth' });
+    });
+
+    it('should return 409 for a name the user already has', async () => {
+      Category.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const response = await request(app)
+        .post('/api/categories')
+        .send({ kind: 'category', name: 'sermons' })
+        .expect(HTTP_STATUS.CONFLICT);
+
+      expect(response.body.error).toBe('A category or type with this name already exists');
+    });
+
+    it('should forbid viewers from creating categories', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      await request(app)
+        .post('/api/categories')
+        .send({ kind: 'category', name: 'Youth' })
+        .expect(HTTP_STATUS.FORBIDDEN);
+
+      expect(Category.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/categories/:id', () => {
+    it('should rename a category on notes and their revisions', async () => {
+      const category = createMockDocument(storedCategories[1]);
+      Category.findOne.mockResolvedValue(category);
+
+      const response = await request(app)
+        .patch(`/api/categories/${sermonsId}`)
+        .send({ name: 'Preaching' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ name: 'Preaching', renamedNotes: 3 });
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        { owner: mockUserId, category: 'Sermons' },
+        { $set: { category: 'Preaching' }, $inc: { __v: 1 } }
+      );
+      expect(NoteRevision.updateMany).toHaveBeenCalledWith(
+        { owner: mockUserId, category: 'Sermons' },
+        { $set: { category: 'Preaching' } }
+      );
+    });
+
+    it('should not touch notes when the name is unchanged', async () => {
+      Category.findOne.mockResolvedValue(createMockDocument(storedCategories[2]));
+
+      const response = await request(app)
+        .patch(`/api/categories/${studyTypeId}`)
+        .send({ name: 'study' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.renamedNotes).toBe(0);
+      expect(Note.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for categories the user does not have', async () => {
+      Category.findOne.mockResolvedValue(null);
+
+      await request(app)
+        .patch(`/api/categories/${sermonsId}`)
+        .send({ name: 'Preaching' })
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(Category.findOne).toHaveBeenCalledWith({ _id: sermonsId, owner: mockUserId });
+    });
+  });
+
+  describe('POST /api/categories/:id/merge', () => {
+    it('should move notes to the target and delete the merged category', async () => {
+      const source = createMockDocument(storedCategories[0]);
+      const target = createMockDocument(storedCategories[1]);
+      Category.findOne.mockResolvedValueOnce(source).mockResolvedValueOnce(target);
+
+      const response = await request(app)
+        .post(`/api/categories/${prayerId}/merge`)
+        .send({ into: sermonsId })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ id: sermonsId, name: 'Sermons', merged: prayerId, movedNotes: 3 });
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        { owner: mockUserId, category: 'Prayer' },
+        { $set: { category: 'Sermons' }, $inc: { __v: 1 } }
+      );
+      expect(source.deleteOne).toHaveBeenCalled();
+      expect(target.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should not merge a category into a type', async () => {
+      Category.findOne
+        .mockResolvedValueOnce(createMockDocument(storedCategories[1]))
+        .mockResolvedValueOnce(createMockDocument(storedCategories[2]));
+
+      const response = await request(app)
+        .post(`/api/categories/${sermonsId}/merge`)
+        .send({ into: studyTypeId })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('A category can only be merged into another of the same kind');
+      expect(Note.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should not merge a category into itself', async () => {
+      await request(app)
+        .post(`/api/categories/${sermonsId}/merge`)
+        .send({ into: sermonsId })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(Category.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/categories/:id', () => {
+    it('should delete a category no note uses', async () => {
+      const category = createMockDocument(storedCategories[0]);
+      Category.findOne.mockResolvedValue(category);
+      Note.exists.mockResolvedValue(null);
+      Category.countDocuments.mockResolvedValue(2);
+
+      await request(app)
+        .delete(`/api/categories/${prayerId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.exists).toHaveBeenCalledWith({ owner: mockUserId, category: 'Prayer' });
+      expect(category.deleteOne).toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a category that notes still use', async () => {
+      const category = createMockDocument(storedCategories[1]);
+      Category.findOne.mockResolvedValue(category);
+      Note.exists.mockResolvedValue({ _id: '507f1f77bcf86cd799439011' });
+
+      const response = await request(app)
+        .delete(`/api/categories/${sermonsId}`)
+        .expect(HTTP_STATUS.CONFLICT);
+
+      expect(response.body.error).toBe('Category is still used by notes; merge it into another one instead');
+      expect(category.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should keep the last type', async () => {
+      const type = createMockDocument(storedCategories[2]);
+      Category.findOne.mockResolvedValue(type);
+      Note.exists.mockResolvedValue(null);
+      Category.countDocuments.mockResolvedValue(1);
+
+      await request(app)
+        .delete(`/api/categories/${studyTypeId}`)
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(Category.countDocuments).toHaveBeenCalledWith({ owner: mockUserId, kind: 'type' });
+      expect(type.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+});
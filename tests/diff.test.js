@@ -0,0 +1,34 @@
+const { diffLines } = require('../utils/diff');
+
+describe('Line Diff', () => {
+  it('should report unchanged texts as equal lines', () => {
+    const diff = diffLines('one\ntwo', 'one\ntwo');
+
+    expect(diff).toMatchObject({ added: 0, removed: 0, unchanged: 2 });
+    expect(diff.changes.every(change => change.type === 'equal')).toBe(true);
+  });
+
+  it('should number added and removed lines on their own side', () => {
+    const diff = diffLines('intro\nold point\noutro', 'intro\nnew point\nextra\noutro');
+
+    expect(diff.changes).toEqual([
+      { type: 'equal', value: 'intro', oldLine: 1, newLine: 1 },
+      { type: 'removed', value: 'old point', oldLine: 2, newLine: null },
+      { type: 'added', value: 'new point', oldLine: null, newLine: 2 },
+      { type: 'added', value: 'extra', oldLine: null, newLine: 3 },
+      { type: 'equal', value: 'outro', oldLine: 3, newLine: 4 }
+    ]);
+    expect(diff).toMatchObject({ added: 2, removed: 1, unchanged: 2 });
+  });
+
+  it('should keep moved lines that are part of the longest common sequence', () => {
+    const diff = diffLines('a\nb\nc\nd', 'b\nc\na\nd');
+
+    expect(diff).toMatchObject({ added: 1, removed: 1, unchanged: 3 });
+  });
+
+  it('should handle empty texts and Windows line endings', () => {
+    expect(diffLines('', 'first\r\nsecond')).toMatchObject({ added: 2, removed: 0, unchanged: 0 });
+    expect(diffLines('only line', undefined)).toMatchObject({ added: 0, removed: 1, unchanged: 0 });
+  });
+});
@@ -19,6 +19,7 @@ jest.mock('mongoose', () => {
       set: jest.fn()
     })
   }));
+  mockSchema.Types = { ObjectId: String };
   
   return {
     Schema: mockSchema,
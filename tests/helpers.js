@@ -0,0 +1,43 @@
+/**
+ * Shared helpers for route tests
+ * Not a test file itself: Jest only runs files matching *.test.js.
+ */
+
+// Every request in a route test runs as this user
+const mockUserId = '507f1f77bcf86cd799439099';
+
+/**
+ * Mock of utils/auth that signs every request in as mockUserId
+ * jest.mock factories cannot use outside variables, so require it inside one:
+ * jest.mock('../utils/auth', () => require('./helpers').mockAuth());
+ * @param {String} role - Role of the signed-in user
+ * @returns {Object} Module mock
+ */
+const mockAuth = (role = 'editor') => ({
+  ...jest.requireActual('../utils/auth'),
+  authenticateToken: jest.fn((req, res, next) => {
+    req.user = { userId: mockUserId, role };
+    next();
+  })
+});
+
+/**
+ * Build a document that supports the load, change and save flow
+ * @param {Object} fields - Stored document fields
+ * @returns {Object} Mock document
+ */
+const createMockDocument = (fields) => {
+  const doc = {
+    ...fields,
+    save: jest.fn(() => Promise.resolve(doc)),
+    deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 })
+  };
+
+  return doc;
+};
+
+module.exports = {
+  mockUserId,
+  mockAuth,
+  createMockDocument
+};
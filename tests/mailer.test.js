@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  sendMail,
+  setTransport,
+  getTransport,
+  createConsoleTransport,
+  createFileTransport
+} = require('../utils/mailer');
+
+describe('Mailer', () => {
+  const defaultTransport = getTransport();
+
+  afterEach(() => {
+    setTransport(defaultTransport);
+  });
+
+  it('should deliver messages through the configured transport', async () => {
+    const transport = { send: jest.fn().mockResolvedValue() };
+    setTransport(transport);
+
+    const message = await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(transport.send).toHaveBeenCalledWith(message);
+    expect(message).toMatchObject({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+    expect(message.from).toEqual(expect.any(String));
+  });
+
+  it('should write messages to disk with the file transport', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-notes-mail-'));
+    setTransport(createFileTransport(directory));
+
+    try {
+      await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+      const files = fs.readdirSync(directory);
+      expect(files).toHaveLength(1);
+      expect(JSON.parse(fs.readFileSync(path.join(directory, files[0]), 'utf8')))
+        .toMatchObject({ to: 'test@example.com', subject: 'Hello' });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should only print message bodies to the console in development and test', async () => {
+    const environment = process.env.NODE_ENV;
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    setTransport(createConsoleTransport());
+
+    try {
+      await sendMail({ to: 'test@example.com', subject: 'Reset', text: 'Token: secret-token' });
+      expect(log.mock.calls[0][0]).toContain('secret-token');
+
+      process.env.NODE_ENV = 'production';
+      await sendMail({ to: 'test@example.com', subject: 'Reset', text: 'Token: secret-token' });
+      expect(log.mock.calls[1][0]).toContain('Mail to test@example.com: Reset');
+      expect(log.mock.calls[1][0]).not.toContain('secret-token');
+    } finally {
+      process.env.NODE_ENV = environment;
+      log.mockRestore();
+    }
+  });
+
+  it('should reject incomplete messages and invalid transports', async () => {
+    await expect(sendMail({ to: 'test@example.com', subject: 'Hello' }))
+      .rejects.toThrow('Mail requires a recipient, subject and text');
+    expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+  });
+});
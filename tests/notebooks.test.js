@@ -0,0 +1,249 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Note', () => ({
+  countByNotebook: jest.fn(),
+  updateMany: jest.fn()
+}));
+const Note = require('../models/Note');
+
+jest.mock('../models/Notebook', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn(),
+  updateMany: jest.fn()
+}));
+const Notebook = require('../models/Notebook');
+
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth());
+
+const { mockUserId, createMockDocument } = require('./helpers');
+const { authenticateToken } = require('../utils/auth');
+const { HTTP_STATUS } = require('../constants/api');
+
+// Import the app after mocks
+const app = require('../server');
+
+const seriesId = '507f1f77bcf86cd7994390a1';
+const romansId = '507f1f77bcf86cd7994390a2';
+const week1Id = '507f1f77bcf86cd7994390a3';
+const groupsId = '507f1f77bcf86cd7994390a4';
+
+// Sermon Series > Romans > Week 1, plus a separate Small Groups notebook
+const storedNotebooks = [
+  { _id: seriesId, owner: mockUserId, name: 'Sermon Series', description: '', parent: null },
+  { _id: romansId, owner: mockUserId, name: 'Romans', description: 'Spring 2025', parent: seriesId },
+  { _id: week1Id, owner: mockUserId, name: 'Week 1', description: '', parent: romansId },
+  { _id: groupsId, owner: mockUserId, name: 'Small Groups', description: '', parent: null }
+];
+
+const mockNotebookFind = (notebooks = storedNotebooks) => {
+  Notebook.find.mockReturnValue({
+    sort: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(notebooks)
+  });
+};
+
+describe('Notebooks API Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Note.countByNotebook.mockResolvedValue(new Map([
+      [seriesId, 1],
+      [romansId, 2],
+      [week1Id, 4],
+      ['', 3]
+    ]));
+  });
+
+  describe('GET /api/notebooks', () => {
+    it('should list notebooks with direct and nested note counts', async () => {
+      mockNotebookFind();
+
+      const response = await request(app)
+        .get('/api/notebooks')
+        .expect(HTTP_STATUS.OK);
+
+      const { notebooks, unfiledNotes } = response.body.data;
+
+      expect(unfiledNotes).toBe(3);
+      expect(notebooks.map(notebook => [notebook.name, notebook.noteCount, notebook.totalNoteCount])).toEqual([
+        ['Sermon Series', 1, 7],
+        ['Romans', 2, 6],
+        ['Week 1', 4, 4],
+        ['Small Groups', 0, 0]
+      ]);
+      expect(notebooks[0].children).toBeUndefined();
+      expect(Notebook.find).toHaveBeenCalledWith({ owner: mockUserId });
+      expect(Note.countByNotebook).toHaveBeenCalledWith(mockUserId);
+    });
+
+    it('should nest notebooks with format=tree', async () => {
+      mockNotebookFind();
+
+      const response = await request(app)
+        .get('/api/notebooks?format=tree')
+        .expect(HTTP_STATUS.OK);
+
+      const [series, groups] = response.body.data.notebooks;
+
+      expect(series.name).toBe('Sermon Series');
+      expect(series.children[0].name).toBe('Romans');
+      expect(series.children[0].children[0]).toMatchObject({ name: 'Week 1', children: [] });
+      expect(groups).toMatchObject({ name: 'Small Groups', children: [] });
+    });
+  });
+
+  describe('GET /api/notebooks/:id', () => {
+    it('should return a notebook with its children and path', async () => {
+      mockNotebookFind();
+
+      const response = await request(app)
+        .get(`/api/notebooks/${romansId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({
+        id: romansId,
+        name: 'Romans',
+        totalNoteCount: 6,
+        path: [{ id: seriesId, name: 'Sermon Series' }]
+      });
+      expect(response.body.data.children.map(child => child.name)).toEqual(['Week 1']);
+    });
+
+    it('should return 404 for notebooks the user does not have', async () => {
+      mockNotebookFind();
+
+      await request(app)
+        .get('/api/notebooks/507f1f77bcf86cd7994390ff')
+        .expect(HTTP_STATUS.NOT_FOUND);
+    });
+  });
+
+  describe('POST /api/notebooks', () => {
+    it('should create a nested notebook', async () => {
+      Notebook.exists.mockResolvedValue({ _id: romansId });
+      Notebook.create.mockImplementation(fields => Promise.resolve({ _id: '507f1f77bcf86cd7994390a5', ...fields }));
+
+      const response = await request(app)
+        .post('/api/notebooks')
+        .send({ name: 'Week 2', parent: romansId })
+        .expect(HTTP_STATUS.CREATED);
+
+      expect(response.body.message).toBe('Notebook created successfully');
+      expect(response.body.data).toMatchObject({ name: 'Week 2', parent: romansId });
+      expect(Notebook.exists).toHaveBeenCalledWith({ _id: romansId, owner: mockUserId });
+      expect(Notebook.create).toHaveBeenCalledWith(expect.objectContaining({ owner: mockUserId }));
+    });
+
+    it('should reject a parent the user does not own', async () => {
+      Notebook.exists.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/notebooks')
+        .send({ name: 'Week 2', parent: romansId })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Parent notebook not found');
+      expect(Notebook.create).not.toHaveBeenCalled();
+    });
+
+    it('should forbid viewers from creating notebooks', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      await request(app)
+        .post('/api/notebooks')
+        .send({ name: 'Week 2' })
+        .expect(HTTP_STATUS.FORBIDDEN);
+    });
+  });
+
+  describe('PATCH /api/notebooks/:id', () => {
+    it('should move a notebook under another one', async () => {
+      const notebook = createMockDocument(storedNotebooks[1]);
+      Notebook.findOne.mockResolvedValue(notebook);
+      Notebook.exists.mockResolvedValue({ _id: groupsId });
+      mockNotebookFind();
+
+      await request(app)
+        .patch(`/api/notebooks/${romansId}`)
+        .send({ parent: groupsId, name: 'Romans study' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(notebook.parent).toBe(groupsId);
+      expect(notebook.name).toBe('Romans study');
+      expect(notebook.save).toHaveBeenCalled();
+    });
+
+    it('should not move a notebook inside itself or its own notebooks', async () => {
+      const notebook = createMockDocument(storedNotebooks[0]);
+      Notebook.findOne.mockResolvedValue(notebook);
+      Notebook.exists.mockResolvedValue({ _id: week1Id });
+      mockNotebookFind();
+
+      const response = await request(app)
+        .patch(`/api/notebooks/${seriesId}`)
+        .send({ parent: week1Id })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('A notebook cannot be moved into itself or one of its own notebooks');
+      expect(notebook.save).not.toHaveBeenCalled();
+    });
+
+    it('should move a notebook to the top level with a null parent', async () => {
+      const notebook = createMockDocument(storedNotebooks[2]);
+      Notebook.findOne.mockResolvedValue(notebook);
+
+      await request(app)
+        .patch(`/api/notebooks/${week1Id}`)
+        .send({ parent: null })
+        .expect(HTTP_STATUS.OK);
+
+      expect(notebook.parent).toBeNull();
+      expect(Notebook.exists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/notebooks/:id', () => {
+    it('should move notes and nested notebooks up to the parent', async () => {
+      const notebook = createMockDocument(storedNotebooks[1]);
+      Notebook.findOne.mockResolvedValue(notebook);
+      Notebook.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      Note.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const response = await request(app)
+        .delete(`/api/notebooks/${romansId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ parent: seriesId, movedNotebooks: 1, movedNotes: 2 });
+      expect(Notebook.updateMany).toHaveBeenCalledWith(
+        { owner: mockUserId, parent: romansId },
+        { $set: { parent: seriesId } }
+      );
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        { owner: mockUserId, notebook: romansId },
+        { $set: { notebook: seriesId }, $inc: { __v: 1 } }
+      );
+      expect(notebook.deleteOne).toHaveBeenCalled();
+    });
+
+    it('should return 404 for notebooks the user does not have', async () => {
+      Notebook.findOne.mockResolvedValue(null);
+
+      await request(app)
+        .delete(`/api/notebooks/${romansId}`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(Note.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -10,6 +10,20 @@ jest.mock('../config/database', () => ({
 jest.mock('../models/Note');
 const Note = require('../models/Note');
 
+jest.mock('../models/NoteRevision');
+const NoteRevision = require('../models/NoteRevision');
+
+jest.mock('../models/Notebook', () => ({
+  exists: jest.fn(),
+  findDescendantIds: jest.fn()
+}));
+const Notebook = require('../models/Notebook');
+
+jest.mock('../models/Category', () => ({
+  isDefined: jest.fn()
+}));
+const Category = require('../models/Category');
+
 // Mock helpers
 jest.mock('../utils/helpers', () => ({
   ...jest.requireActual('../utils/helpers'),
@@ -17,19 +31,59 @@ jest.mock('../utils/helpers', () => ({
   isValidObjectId: jest.fn()
 }));
 
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth());
+
+const { mockUserId } = require('./helpers');
+
 // Import constants for testing
 const { HTTP_STATUS, NOTE_CATEGORIES, NOTE_TYPES, PRIORITY_LEVELS } = require('../constants/api');
 
 // Import helpers after mocking
 const { validateNoteData, isValidObjectId } = require('../utils/helpers');
 
+const { authenticateToken } = require('../utils/auth');
+
 // Import the app after mocks
 const app = require('../server');
 
+/**
+ * Build a note document that supports the load, set and save flow used by updates
+ * @param {Object} fields - Stored note fields
+ * @returns {Object} Mock note document
+ */
+const createMockNoteDocument = (fields) => {
+  const doc = {
+    _id: '507f1f77bcf86cd799439011',
+    owner: mockUserId,
+    dueAt: null,
+    reminders: [],
+    sermon: null,
+    prayer: null,
+    ...fields,
+    modified: false,
+    set: jest.fn(changes => {
+      Object.entries(changes).forEach(([field, value]) => {
+        if (JSON.stringify(doc[field]) !== JSON.stringify(value)) {
+          doc[field] = value;
+          doc.modified = true;
+        }
+      });
+    }),
+    isModified: jest.fn(() => doc.modified),
+    validate: jest.fn().mockResolvedValue(),
+    save: jest.fn(() => Promise.resolve(doc)),
+    toJSON: jest.fn(() => ({ id: doc._id, ...fields, title: doc.title, content: doc.content }))
+  };
+
+  return doc;
+};
+
 describe('Notes API Endpoints', () => {
   beforeEach(() => {
     // Reset all mocks before each test
     jest.clearAllMocks();
+    NoteRevision.snapshotOf.mockImplementation(jest.requireActual('../models/NoteRevision').snapshotOf);
   });
 
   afterAll(async () => {
@@ -230,11 +284,34 @@ describe('Notes API Endpoints', () => {
 
       expect(Note.find).toHaveBeenCalledWith(
         expect.objectContaining({
-          tags: { $in: ['sermon', 'sunday'] }
+          tags: { $in: ['sermon', /^sermon\//, 'sunday', /^sunday\//] }
         })
       );
     });
 
+    it('should match descendants of a tag path', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/notes?tags=Books/ 1.Corinthians')
+        .expect(HTTP_STATUS.OK);
+
+      const [[{ tags }]] = Note.find.mock.calls;
+      const [tag, descendants] = tags.$in;
+
+      expect(tag).toBe('books/1.corinthians');
+      expect(['books/1.corinthians/13', 'books/1.corinthians/13/4'].every(t => descendants.test(t))).toBe(true);
+      expect(['books/1xcorinthians/13', 'books/1.corinthians', 'books/1.corinthians-13'].some(t => descendants.test(t))).toBe(false);
+    });
+
     it('should sort notes by different fields', async () => {
       const mockQuery = {
         sort: jest.fn().mockReturnThis(),
@@ -250,7 +327,75 @@ describe('Notes API Endpoints', () => {
         .get('/api/notes?sortBy=title&sortOrder=asc')
         .expect(HTTP_STATUS.OK);
 
-      expect(mockQuery.sort).toHaveBeenCalledWith({ title: 1 });
+      expect(mockQuery.sort).toHaveBeenCalledWith({ isPinned: -1, pinPosition: 1, title: 1 });
+    });
+
+    it('should filter favorite and pinned notes', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/notes?favorite=true&pinned=false')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({ isFavorite: true, isPinned: false }));
+    });
+
+    it('should filter notes whose scripture references overlap the query', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get(`/api/notes?scripture=${encodeURIComponent('Rom 8')}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({
+        scripture: { $elemMatch: { book: 'Romans', start: { $lte: 8999 }, end: { $gte: 8000 } } }
+      }));
+    });
+
+    it('should filter overdue notes', async () => {
+      Note.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      });
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/notes?overdue=true')
+        .expect(HTTP_STATUS.OK);
+
+      await request(app)
+        .get('/api/notes?overdue=false')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find.mock.calls[0][0].dueAt).toEqual({ $lt: expect.any(Date) });
+      expect(Note.find.mock.calls[1][0].dueAt).toEqual({ $not: { $lt: expect.any(Date) } });
+    });
+
+    it('should reject a scripture filter that is not a reference', async () => {
+      const response = await request(app)
+        .get('/api/notes?scripture=Hezekiah 3')
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('"Hezekiah 3" is not a valid scripture reference');
+      expect(Note.find).not.toHaveBeenCalled();
     });
   });
 
@@ -273,7 +418,7 @@ describe('Notes API Endpoints', () => {
         lean: jest.fn().mockResolvedValue(mockNote)
       };
 
-      Note.findById.mockReturnValue(mockQuery);
+      Note.findOne.mockReturnValue(mockQuery);
       isValidObjectId.mockReturnValue(true);
 
       const response = await request(app)
@@ -282,7 +427,11 @@ describe('Notes API Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.title).toBe('Test Note');
-      expect(Note.findById).toHaveBeenCalledWith('507f1f77bcf86cd799439011');
+      expect(Note.findOne).toHaveBeenCalledWith({
+        _id: '507f1f77bcf86cd799439011',
+        owner: mockUserId,
+        deletedAt: null
+      });
     });
 
     it('should return 404 for non-existent note', async () => {
@@ -290,7 +439,7 @@ describe('Notes API Endpoints', () => {
         lean: jest.fn().mockResolvedValue(null)
       };
 
-      Note.findById.mockReturnValue(mockQuery);
+      Note.findOne.mockReturnValue(mockQuery);
       isValidObjectId.mockReturnValue(true);
 
       const response = await request(app)
@@ -618,22 +767,17 @@ describe('Notes API Endpoints', () => {
         priority: 'high'
       };
 
-      const mockUpdatedNote = {
-        _id: '507f1f77bcf86cd799439011',
-        ...updateData,
-        isArchived: false,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        toJSON: () => ({
-          _id: '507f1f77bcf86cd799439011',
-          ...updateData,
-          isArchived: false,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        })
-      };
-
-      Note.findByIdAndUpdate.mockResolvedValue(mockUpdatedNote);
+      validateNoteData.mockReturnValue(updateData);
+      const mockNote = createMockNoteDocument({
+        title: 'Original Title',
+        content: 'Original content',
+        category: 'General',
+        type: 'general',
+        tags: [],
+        priority: 'medium',
+        isArchived: false
+      });
+      Note.findOne.mockResolvedValue(mockNote);
 
       const response = await request(app)
         .put('/api/notes/507f1f77bcf86cd799439011')
@@ -643,6 +787,62 @@ describe('Notes API Endpoints', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.title).toBe(updateData.title);
       expect(response.body.message).toBe('Note updated successfully');
+      expect(mockNote.save).toHaveBeenCalled();
+    });
+
+    it('should keep the previous version as a revision', async () => {
+      isValidObjectId.mockReturnValue(true);
+      validateNoteData.mockImplementation(data => data);
+
+      const storedFields = {
+        title: 'Sunday Sermon',
+        content: 'First draft',
+        category: 'Sermons',
+        type: 'sermon',
+        tags: ['grace'],
+        priority: 'high',
+        isArchived: false
+      };
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
+
+      await request(app)
+        .put('/api/notes/507f1f77bcf86cd799439011')
+        .send({ ...storedFields, content: 'Second draft' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(NoteRevision.record).toHaveBeenCalledWith(
+        mockNote,
+        expect.objectContaining({ title: 'Sunday Sermon', content: 'First draft', tags: ['grace'] }),
+        { createdBy: mockUserId, reason: 'update' }
+      );
+      expect(mockNote.validate.mock.invocationCallOrder[0])
+        .toBeLessThan(NoteRevision.record.mock.invocationCallOrder[0]);
+    });
+
+    it('should not record a revision when nothing changed', async () => {
+      isValidObjectId.mockReturnValue(true);
+      validateNoteData.mockImplementation(data => data);
+
+      const storedFields = {
+        title: 'Unchanged',
+        content: 'Same',
+        category: 'General',
+        type: 'general',
+        tags: [],
+        priority: 'medium',
+        isArchived: false
+      };
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
+
+      await request(app)
+        .put('/api/notes/507f1f77bcf86cd799439011')
+        .send(storedFields)
+        .expect(HTTP_STATUS.OK);
+
+      expect(NoteRevision.record).not.toHaveBeenCalled();
+      expect(mockNote.save).not.toHaveBeenCalled();
     });
 
     it('should return 404 for non-existent note', async () => {
@@ -655,7 +855,8 @@ describe('Notes API Endpoints', () => {
         type: 'general'
       };
 
-      Note.findByIdAndUpdate.mockResolvedValue(null);
+      validateNoteData.mockReturnValue(updateData);
+      Note.findOne.mockResolvedValue(null);
 
       const response = await request(app)
         .put('/api/notes/507f1f77bcf86cd799439011')
@@ -697,7 +898,7 @@ describe('Notes API Endpoints', () => {
       });
 
       const invalidUpdateData = {
-        title: '',
+        title: 'Updated Note',
         content: 'Updated content',
         category: 'InvalidCategory',
         type: 'general'
@@ -711,139 +912,995 @@ describe('Notes API Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Validation error');
     });
-  });
 
-  describe('DELETE /api/notes/:id', () => {
-    it('should delete an existing note', async () => {
-      isValidObjectId.mockReturnValue(true); // Valid ObjectId
-      
-      const mockDeletedNote = {
-        _id: '507f1f77bcf86cd799439011',
-        title: 'Note to Delete',
-        content: 'Content to delete',
-        category: 'General',
-        type: 'general'
-      };
+    it('should reject a replacement that omits required fields', async () => {
+      isValidObjectId.mockReturnValue(true);
 
-      const mockQuery = {
-        lean: jest.fn().mockResolvedValue(mockDeletedNote)
-      };
+      const response = await request(app)
+        .put('/api/notes/507f1f77bcf86cd799439011')
+        .send({ title: 'Only a title', content: '  ' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Missing required fields: content, category, type');
+      expect(Note.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reset omitted optional fields to their defaults', async () => {
+      isValidObjectId.mockReturnValue(true);
+      validateNoteData.mockImplementation(data => data);
+
+      const mockNote = createMockNoteDocument({
+        title: 'Prayer list',
+        content: 'Family',
+        category: 'Prayer Requests',
+        type: 'prayer',
+        tags: ['family'],
+        priority: 'high',
+        isArchived: true
+      });
+      Note.findOne.mockResolvedValue(mockNote);
 
-      Note.findByIdAndDelete.mockReturnValue(mockQuery);
+      await request(app)
+        .put('/api/notes/507f1f77bcf86cd799439011')
+        .send({ title: 'Prayer list', content: 'Family', category: 'Prayer Requests', type: 'prayer' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(mockNote.set).toHaveBeenCalledWith({
+        title: 'Prayer list',
+        content: 'Family',
+        category: 'Prayer Requests',
+        type: 'prayer',
+        tags: [],
+        priority: 'medium',
+        isArchived: false,
+        dueAt: null,
+        reminders: [],
+        sermon: null,
+        prayer: null
+      });
+    });
+  });
+
+  describe('PATCH /api/notes/:id', () => {
+    const noteId = '507f1f77bcf86cd799439011';
+    const storedFields = {
+      __v: 2,
+      title: 'Psalm 23',
+      content: 'The Lord is my shepherd',
+      category: 'Bible Study',
+      type: 'study',
+      tags: ['psalms', 'comfort'],
+      priority: 'medium',
+      isArchived: false
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockReturnValue(true);
+      validateNoteData.mockImplementation(data => data);
+    });
+
+    it('should apply a JSON Merge Patch and clear members set to null', async () => {
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
 
       const response = await request(app)
-        .delete('/api/notes/507f1f77bcf86cd799439011')
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ priority: 'high', tags: null }))
         .expect(HTTP_STATUS.OK);
 
-      expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Note deleted successfully');
+      expect(response.body.message).toBe('Note updated successfully');
+      expect(response.headers.etag).toBe(`"${noteId}-2"`);
+      expect(mockNote.priority).toBe('high');
+      expect(mockNote.tags).toEqual([]);
+      expect(mockNote.title).toBe('Psalm 23');
+      expect(NoteRevision.record).toHaveBeenCalledWith(
+        mockNote,
+        expect.objectContaining({ priority: 'medium', tags: ['psalms', 'comfort'] }),
+        { createdBy: mockUserId, reason: 'update' }
+      );
     });
 
-    it('should return 404 for non-existent note', async () => {
-      isValidObjectId.mockReturnValue(true); // Valid ObjectId
-      
-      const mockQuery = {
-        lean: jest.fn().mockResolvedValue(null)
+    it('should keep the settled dates of a prayer request through an unrelated edit', async () => {
+      validateNoteData.mockImplementation(jest.requireActual('../utils/helpers').validateNoteData);
+      const prayer = {
+        requester: 'Martha',
+        status: 'closed',
+        openedAt: '2025-01-05T00:00:00.000Z',
+        answeredAt: null,
+        closedAt: '2025-02-01T00:00:00.000Z',
+        testimony: '',
+        followUpAt: null
       };
+      const mockNote = createMockNoteDocument({ ...storedFields, prayer });
+      Note.findOne.mockResolvedValue(mockNote);
+
+      await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .send({ title: 'Psalm 23 (closed)' })
+        .expect(HTTP_STATUS.OK);
 
-      Note.findByIdAndDelete.mockReturnValue(mockQuery);
+      expect(mockNote.title).toBe('Psalm 23 (closed)');
+      expect(mockNote.prayer).toEqual(prayer);
+    });
 
-      const response = await request(app)
-        .delete('/api/notes/507f1f77bcf86cd799439011')
-        .expect(HTTP_STATUS.NOT_FOUND);
+    it('should merge a patch into the sermon metadata', async () => {
+      const sermon = { series: '507f1f77bcf86cd7994390a1', part: 1, preacher: 'Pastor James', passage: 'Psalms 23' };
+      const mockNote = createMockNoteDocument({ ...storedFields, type: 'sermon', sermon });
+      Note.findOne.mockResolvedValue(mockNote);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Note not found');
+      await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .send({ sermon: { part: 2, preacher: null } })
+        .expect(HTTP_STATUS.OK);
+
+      expect(mockNote.sermon).toEqual({ series: '507f1f77bcf86cd7994390a1', part: 2, passage: 'Psalms 23' });
+      expect(NoteRevision.record).toHaveBeenCalledWith(
+        mockNote,
+        expect.objectContaining({ sermon }),
+        { createdBy: mockUserId, reason: 'update' }
+      );
     });
 
-    it('should return 400 for invalid ObjectId', async () => {
-      isValidObjectId.mockReturnValue(false); // Invalid ObjectId
-      
-      const response = await request(app)
-        .delete('/api/notes/invalid-id')
-        .expect(HTTP_STATUS.BAD_REQUEST);
+    it('should treat application/json as a merge patch', async () => {
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Invalid note ID format');
+      await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .send({ isArchived: true })
+        .expect(HTTP_STATUS.OK);
+
+      expect(mockNote.isArchived).toBe(true);
+      expect(mockNote.content).toBe('The Lord is my shepherd');
     });
-  });
 
-  describe('PATCH /api/notes/:id/archive', () => {
-    it('should archive an existing note', async () => {
-      isValidObjectId.mockReturnValue(true); // Valid ObjectId
-      
-      const mockArchivedNote = {
-        _id: '507f1f77bcf86cd799439011',
-        title: 'Note to Archive',
-        content: 'Content to archive',
-        category: 'General',
-        type: 'general',
-        isArchived: true,
-        updatedAt: new Date(),
-        toJSON: () => ({
-          _id: '507f1f77bcf86cd799439011',
-          title: 'Note to Archive',
-          content: 'Content to archive',
-          category: 'General',
-          type: 'general',
-          isArchived: true,
-          updatedAt: new Date()
-        })
-      };
+    it('should apply JSON Patch operations to the tags array', async () => {
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
 
-      const mockNote = {
-        _id: '507f1f77bcf86cd799439011',
-        archive: jest.fn().mockResolvedValue(mockArchivedNote)
-      };
+      await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'test', path: '/tags/0', value: 'psalms' },
+          { op: 'add', path: '/tags/-', value: 'david' },
+          { op: 'remove', path: '/tags/1' },
+          { op: 'replace', path: '/title', value: 'Psalm 23 notes' }
+        ]))
+        .expect(HTTP_STATUS.OK);
+
+      expect(mockNote.tags).toEqual(['psalms', 'david']);
+      expect(mockNote.title).toBe('Psalm 23 notes');
+    });
 
-      Note.findById.mockResolvedValue(mockNote);
+    it('should return 409 and leave the note alone when a test operation fails', async () => {
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
 
       const response = await request(app)
-        .patch('/api/notes/507f1f77bcf86cd799439011/archive')
-        .expect(HTTP_STATUS.OK);
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'add', path: '/tags/-', value: 'david' },
+          { op: 'test', path: '/priority', value: 'low' }
+        ]))
+        .expect(HTTP_STATUS.CONFLICT);
+
+      expect(response.body.error).toBe('Test failed at /priority');
+      expect(mockNote.set).not.toHaveBeenCalled();
+      expect(mockNote.save).not.toHaveBeenCalled();
+    });
 
-      expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Note archived successfully');
-      expect(mockNote.archive).toHaveBeenCalled();
+    it('should reject JSON Patch paths outside the editable fields', async () => {
+      const response = await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([{ op: 'replace', path: '/owner', value: 'someone-else' }]))
+        .expect(HTTP_STATUS.UNPROCESSABLE_ENTITY);
+
+      expect(response.body.error).toBe('Path /owner cannot be patched');
+      expect(Note.findOne).not.toHaveBeenCalled();
     });
 
-    it('should return 404 for non-existent note', async () => {
-      isValidObjectId.mockReturnValue(true); // Valid ObjectId
-      
-      Note.findById.mockResolvedValue(null);
+    it('should return 400 for a malformed JSON Patch', async () => {
+      Note.findOne.mockResolvedValue(createMockNoteDocument(storedFields));
 
       const response = await request(app)
-        .patch('/api/notes/507f1f77bcf86cd799439011/archive')
-        .expect(HTTP_STATUS.NOT_FOUND);
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify({ op: 'add', path: '/tags/-', value: 'david' }))
+        .expect(HTTP_STATUS.BAD_REQUEST);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Note not found');
+      expect(response.body.error).toBe('JSON Patch must be an array of operations');
     });
 
-    it('should return 400 for invalid ObjectId', async () => {
-      isValidObjectId.mockReturnValue(false); // Invalid ObjectId
-      
+    it('should return 400 for JSON Patch operations that are not objects', async () => {
       const response = await request(app)
-        .patch('/api/notes/invalid-id/archive')
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([null]))
         .expect(HTTP_STATUS.BAD_REQUEST);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Invalid note ID format');
+      expect(response.body.error).toBe('Operation 0 must have an op of: add, remove, replace, move, copy, test');
+      expect(Note.findOne).not.toHaveBeenCalled();
     });
-  });
 
-  describe('PATCH /api/notes/:id/unarchive', () => {
-    it('should unarchive an existing note', async () => {
-      isValidObjectId.mockReturnValue(true); // Valid ObjectId
-      
-      const mockUnarchivedNote = {
-        _id: '507f1f77bcf86cd799439011',
-        title: 'Note to Unarchive',
-        content: 'Content to unarchive',
-        category: 'General',
-        type: 'general',
-        isArchived: false,
-        updatedAt: new Date(),
+    it('should return 415 for other content types', async () => {
+      const response = await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .set('Content-Type', 'text/plain')
+        .send('priority=high')
+        .expect(HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE);
+
+      expect(response.body.error).toBe('Use application/merge-patch+json or application/json-patch+json');
+    });
+
+    it('should honor If-Match', async () => {
+      const mockNote = createMockNoteDocument(storedFields);
+      Note.findOne.mockResolvedValue(mockNote);
+
+      await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .set('If-Match', `"${noteId}-1"`)
+        .send({ priority: 'high' })
+        .expect(HTTP_STATUS.PRECONDITION_FAILED);
+
+      expect(mockNote.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for notes the user does not own', async () => {
+      Note.findOne.mockResolvedValue(null);
+
+      await request(app)
+        .patch(`/api/notes/${noteId}`)
+        .send({ priority: 'high' })
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(Note.findOne).toHaveBeenCalledWith({ _id: noteId, owner: mockUserId, deletedAt: null });
+    });
+  });
+
+  describe('POST /api/notes/bulk', () => {
+    const ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013'];
+
+    const mockFind = (notes) => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(notes)
+      };
+      Note.find.mockReturnValue(query);
+      return query;
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockImplementation(jest.requireActual('../utils/helpers').isValidObjectId);
+      Note.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should archive notes by ID and report a result for every ID', async () => {
+      mockFind([
+        { _id: ids[0], owner: mockUserId, isArchived: false },
+        { _id: ids[1], owner: mockUserId, isArchived: true }
+      ]);
+
+      const response = await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'archive', ids: [...ids, 'not-an-id'] })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Bulk action completed');
+      expect(response.body.data.results).toEqual([
+        { id: ids[0], status: 'updated' },
+        { id: ids[1], status: 'unchanged' },
+        { id: ids[2], status: 'notFound' },
+        { id: 'not-an-id', status: 'invalid' }
+      ]);
+      expect(response.body.data.counts).toEqual({
+        matched: 2, updated: 1, unchanged: 1, failed: 0, notFound: 1, invalid: 1
+      });
+      expect(Note.find).toHaveBeenCalledWith({ _id: { $in: ids }, owner: mockUserId, deletedAt: null });
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [ids[0]] }, owner: mockUserId, deletedAt: null },
+        { $set: { isArchived: true }, $inc: { __v: 1 } }
+      );
+      expect(NoteRevision.recordMany).not.toHaveBeenCalled();
+    });
+
+    it('should select notes with the same filter syntax as the notes list', async () => {
+      mockFind([{ _id: ids[0], owner: mockUserId, priority: 'low' }]);
+
+      await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'setPriority', value: 'HIGH', filter: { category: 'Sermons', tags: ['easter', 'grace'] } })
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith({
+        isArchived: false,
+        deletedAt: null,
+        category: 'Sermons',
+        tags: { $in: ['easter', /^easter\//, 'grace', /^grace\//] },
+        owner: mockUserId
+      });
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: { priority: 'high' }, $inc: { __v: 1 } }
+      );
+      expect(NoteRevision.recordMany).toHaveBeenCalledWith(
+        [expect.objectContaining({ _id: ids[0], priority: 'low' })],
+        { createdBy: mockUserId, reason: 'bulk' }
+      );
+    });
+
+    it('should only set categories the user has', async () => {
+      mockFind([{ _id: ids[0], owner: mockUserId, category: 'General' }]);
+      Category.isDefined.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'setCategory', value: ' Youth ', ids: [ids[0]] })
+        .expect(HTTP_STATUS.OK);
+
+      expect(Category.isDefined).toHaveBeenCalledWith(mockUserId, 'category', 'Youth');
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: { category: 'Youth' }, $inc: { __v: 1 } }
+      );
+
+      Note.find.mockClear();
+      const response = await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'setCategory', value: 'Missions', ids: [ids[0]] })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Category "Missions" is not one of your categories');
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should skip notes that would exceed the tag limit when adding tags', async () => {
+      const fullTags = Array.from({ length: 10 }, (_, i) => `tag${i}`);
+      mockFind([
+        { _id: ids[0], owner: mockUserId, tags: ['grace'] },
+        { _id: ids[1], owner: mockUserId, tags: fullTags }
+      ]);
+
+      const response = await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'addTags', value: ['Conference', 'grace'], ids: ids.slice(0, 2) })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.results).toEqual([
+        { id: ids[0], status: 'updated' },
+        { id: ids[1], status: 'failed', error: 'Cannot have more than 10 tags' }
+      ]);
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [ids[0]] }, owner: mockUserId, deletedAt: null },
+        { $addToSet: { tags: { $each: ['conference', 'grace'] } }, $inc: { __v: 1 } }
+      );
+    });
+
+    it('should move notes to the trash', async () => {
+      mockFind([{ _id: ids[0], owner: mockUserId }]);
+
+      await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'delete', ids: [ids[0]] })
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: { deletedAt: expect.any(Date) }, $inc: { __v: 1 } }
+      );
+      expect(Note.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should not write anything when no note changes', async () => {
+      mockFind([{ _id: ids[0], owner: mockUserId, tags: ['grace'] }]);
+
+      const response = await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'removeTags', value: 'hope', ids: [ids[0]] })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.counts.unchanged).toBe(1);
+      expect(Note.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown actions, invalid values and missing targets', async () => {
+      const invalidRequests = [
+        [{ action: 'explode', ids }, 'action must be one of: archive, unarchive, delete, setPriority, setCategory, addTags, removeTags, setNotebook'],
+        [{ action: 'setPriority', value: 'urgent', ids }, 'Priority must be one of: low, medium, high'],
+        [{ action: 'archive' }, 'Provide either ids or filter'],
+        [{ action: 'archive', ids, filter: { category: 'Sermons' } }, 'Provide either ids or filter'],
+        [{ action: 'archive', filter: {} }, 'filter must be an object with at least one condition'],
+        [{ action: 'archive', filter: { tags: [], search: '  ', recursive: true } }, 'filter must be an object with at least one condition'],
+        [{ action: 'delete', filter: { catgory: 'Sermons' } }, 'Unknown filter key: catgory'],
+        [{ action: 'delete', filter: { category: 'Sermons', owner: 'someone', $where: '1' } }, 'Unknown filter keys: owner, $where']
+      ];
+
+      for (const [body, message] of invalidRequests) {
+        const response = await request(app)
+          .post('/api/notes/bulk')
+          .send(body)
+          .expect(HTTP_STATUS.BAD_REQUEST);
+
+        expect(response.body.error).toBe(message);
+      }
+
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should refuse filters that match too many notes', async () => {
+      mockFind(Array.from({ length: 501 }, (_, i) => ({ _id: String(i), owner: mockUserId })));
+
+      await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'archive', filter: { archived: false } })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(Note.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Notebooks', () => {
+    const noteId = '507f1f77bcf86cd799439011';
+    const notebookId = '507f1f77bcf86cd7994390a1';
+    const nestedId = '507f1f77bcf86cd7994390a2';
+
+    const mockFind = (notes) => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(notes)
+      };
+      Note.find.mockReturnValue(query);
+      Note.countDocuments.mockResolvedValue(notes.length);
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockImplementation(jest.requireActual('../utils/helpers').isValidObjectId);
+    });
+
+    it('should filter notes by notebook', async () => {
+      Notebook.exists.mockResolvedValue({ _id: notebookId });
+      mockFind([]);
+
+      await request(app)
+        .get(`/api/notes?notebook=${notebookId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Notebook.exists).toHaveBeenCalledWith({ _id: notebookId, owner: mockUserId });
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({ notebook: notebookId, owner: mockUserId }));
+    });
+
+    it('should include nested notebooks when filtering recursively', async () => {
+      Notebook.findDescendantIds.mockResolvedValue([notebookId, nestedId]);
+      mockFind([]);
+
+      await request(app)
+        .get(`/api/notes?notebook=${notebookId}&recursive=true`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Notebook.findDescendantIds).toHaveBeenCalledWith(mockUserId, notebookId);
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({ notebook: { $in: [notebookId, nestedId] } }));
+    });
+
+    it('should list unfiled notes with notebook=none', async () => {
+      mockFind([]);
+
+      await request(app)
+        .get('/api/notes?notebook=none')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({ notebook: null }));
+    });
+
+    it('should return 404 when filtering by another user\'s notebook', async () => {
+      Notebook.findDescendantIds.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/notes?notebook=${notebookId}&recursive=true`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(response.body.error).toBe('Notebook not found');
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should create a note in a notebook the user owns', async () => {
+      validateNoteData.mockReturnValue({ title: 'Week 1', content: 'Intro', category: 'Sermons', type: 'sermon' });
+      Notebook.exists.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/notes')
+        .send({ title: 'Week 1', content: 'Intro', category: 'Sermons', type: 'sermon', notebook: notebookId })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Notebook not found');
+      expect(Note).not.toHaveBeenCalled();
+    });
+
+    it('should move a note to another notebook', async () => {
+      Notebook.exists.mockResolvedValue({ _id: nestedId });
+      const mockNote = createMockNoteDocument({ __v: 1, title: 'Week 1', notebook: notebookId });
+      mockNote.save.mockImplementation(() => {
+        mockNote.__v += 1;
+        return Promise.resolve(mockNote);
+      });
+      Note.findOne.mockResolvedValue(mockNote);
+
+      const response = await request(app)
+        .patch(`/api/notes/${noteId}/notebook`)
+        .set('If-Match', `"${noteId}-1"`)
+        .send({ notebook: nestedId })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Note moved successfully');
+      expect(response.headers.etag).toBe(`"${noteId}-2"`);
+      expect(mockNote.notebook).toBe(nestedId);
+      expect(NoteRevision.record).not.toHaveBeenCalled();
+    });
+
+    it('should move a note out of its notebook with null', async () => {
+      const mockNote = createMockNoteDocument({ title: 'Week 1', notebook: notebookId });
+      Note.findOne.mockResolvedValue(mockNote);
+
+      await request(app)
+        .patch(`/api/notes/${noteId}/notebook`)
+        .send({ notebook: null })
+        .expect(HTTP_STATUS.OK);
+
+      expect(mockNote.notebook).toBeNull();
+      expect(Notebook.exists).not.toHaveBeenCalled();
+    });
+
+    it('should require the notebook field when moving a note', async () => {
+      await request(app)
+        .patch(`/api/notes/${noteId}/notebook`)
+        .send({})
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(Note.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should move many notes with the setNotebook bulk action', async () => {
+      Notebook.exists.mockResolvedValue({ _id: notebookId });
+      Note.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: noteId, owner: mockUserId, notebook: null },
+          { _id: '507f1f77bcf86cd799439012', owner: mockUserId, notebook: notebookId }
+        ])
+      });
+      Note.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      const response = await request(app)
+        .post('/api/notes/bulk')
+        .send({ action: 'setNotebook', value: notebookId, filter: { tags: 'conference' } })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.counts).toMatchObject({ updated: 1, unchanged: 1 });
+      expect(Note.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [noteId] }, owner: mockUserId, deletedAt: null },
+        { $set: { notebook: notebookId }, $inc: { __v: 1 } }
+      );
+    });
+  });
+
+  describe('DELETE /api/notes/:id', () => {
+    it('should move an existing note to the trash', async () => {
+      isValidObjectId.mockReturnValue(true); // Valid ObjectId
+      
+      const mockTrashedNote = {
+        _id: '507f1f77bcf86cd799439011',
+        title: 'Note to Delete',
+        content: 'Content to delete',
+        category: 'General',
+        type: 'general',
+        deletedAt: new Date('2025-07-26T10:30:00.000Z')
+      };
+
+      const mockQuery = {
+        lean: jest.fn().mockResolvedValue(mockTrashedNote)
+      };
+
+      Note.findOneAndUpdate.mockReturnValue(mockQuery);
+
+      const response = await request(app)
+        .delete('/api/notes/507f1f77bcf86cd799439011')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Note moved to trash');
+      expect(response.body.data.purgeAt).toBe('2025-08-25T10:30:00.000Z');
+      expect(Note.findOneAndDelete).not.toHaveBeenCalled();
+      expect(NoteRevision.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent note', async () => {
+      isValidObjectId.mockReturnValue(true); // Valid ObjectId
+      
+      const mockQuery = {
+        lean: jest.fn().mockResolvedValue(null)
+      };
+
+      Note.findOneAndUpdate.mockReturnValue(mockQuery);
+
+      const response = await request(app)
+        .delete('/api/notes/507f1f77bcf86cd799439011')
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Note not found');
+    });
+
+    it('should return 400 for invalid ObjectId', async () => {
+      isValidObjectId.mockReturnValue(false); // Invalid ObjectId
+      
+      const response = await request(app)
+        .delete('/api/notes/invalid-id')
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Invalid note ID format');
+    });
+  });
+
+  describe('Optimistic concurrency', () => {
+    const noteId = '507f1f77bcf86cd799439011';
+    const storedNote = {
+      _id: noteId,
+      __v: 3,
+      title: 'Romans Study',
+      content: 'Chapter 8',
+      category: 'Bible Study',
+      type: 'study',
+      tags: [],
+      priority: 'medium',
+      isArchived: false
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockReturnValue(true);
+    });
+
+    it('should expose the version as an ETag', async () => {
+      Note.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedNote) });
+
+      const response = await request(app)
+        .get(`/api/notes/${noteId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.headers.etag).toBe(`"${noteId}-3"`);
+      expect(response.body.data.version).toBe(3);
+    });
+
+    it('should return 304 when If-None-Match names the current version', async () => {
+      Note.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedNote) });
+
+      const response = await request(app)
+        .get(`/api/notes/${noteId}`)
+        .set('If-None-Match', `W/"${noteId}-3"`)
+        .expect(HTTP_STATUS.NOT_MODIFIED);
+
+      expect(response.body).toEqual({});
+    });
+
+    it('should return the note when If-None-Match names an older version', async () => {
+      Note.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedNote) });
+
+      await request(app)
+        .get(`/api/notes/${noteId}`)
+        .set('If-None-Match', `"${noteId}-2"`)
+        .expect(HTTP_STATUS.OK);
+    });
+
+    it('should reject updates to a stale version with 412', async () => {
+      validateNoteData.mockImplementation(data => data);
+      const mockNote = createMockNoteDocument(storedNote);
+      Note.findOne.mockResolvedValue(mockNote);
+
+      const response = await request(app)
+        .put(`/api/notes/${noteId}`)
+        .set('If-Match', `"${noteId}-2"`)
+        .send({ ...storedNote, content: 'Chapter 8, verses 28-39' })
+        .expect(HTTP_STATUS.PRECONDITION_FAILED);
+
+      expect(response.body.error).toBe('Note has been modified since it was retrieved');
+      expect(response.headers.etag).toBe(`"${noteId}-3"`);
+      expect(mockNote.save).not.toHaveBeenCalled();
+      expect(NoteRevision.record).not.toHaveBeenCalled();
+    });
+
+    it('should apply updates that match the current version and return the new ETag', async () => {
+      validateNoteData.mockImplementation(data => data);
+      const mockNote = createMockNoteDocument(storedNote);
+      mockNote.save.mockImplementation(() => {
+        mockNote.__v += 1;
+        return Promise.resolve(mockNote);
+      });
+      Note.findOne.mockResolvedValue(mockNote);
+
+      const response = await request(app)
+        .put(`/api/notes/${noteId}`)
+        .set('If-Match', `"${noteId}-3"`)
+        .send({ ...storedNote, content: 'Chapter 8, verses 28-39' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.headers.etag).toBe(`"${noteId}-4"`);
+    });
+
+    it('should return 412 when another write wins the race', async () => {
+      validateNoteData.mockImplementation(data => data);
+      const mockNote = createMockNoteDocument(storedNote);
+      const versionError = new Error('No matching document found');
+      versionError.name = 'VersionError';
+      mockNote.save.mockRejectedValue(versionError);
+      Note.findOne.mockResolvedValue(mockNote);
+
+      await request(app)
+        .put(`/api/notes/${noteId}`)
+        .send({ ...storedNote, content: 'Chapter 8, verses 28-39' })
+        .expect(HTTP_STATUS.PRECONDITION_FAILED);
+    });
+
+    it('should only trash the version named by If-Match', async () => {
+      Note.findOne.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue({ _id: noteId, __v: 3 })
+      });
+
+      await request(app)
+        .delete(`/api/notes/${noteId}`)
+        .set('If-Match', `"${noteId}-2"`)
+        .expect(HTTP_STATUS.PRECONDITION_FAILED);
+
+      expect(Note.findOneAndUpdate).not.toHaveBeenCalled();
+
+      Note.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: noteId, __v: 4, deletedAt: new Date() })
+      });
+
+      await request(app)
+        .delete(`/api/notes/${noteId}`)
+        .set('If-Match', `"${noteId}-3"`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: noteId, owner: mockUserId, deletedAt: null, __v: 3 },
+        expect.any(Object),
+        { new: true }
+      );
+    });
+  });
+
+  describe('GET /api/notes/due', () => {
+    const mockDue = (notes) => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(notes)
+      };
+      Note.find.mockReturnValue(mockQuery);
+      return mockQuery;
+    };
+
+    it('should list notes due within a week, overdue ones separately', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const mockQuery = mockDue([
+        { _id: '507f1f77bcf86cd799439011', title: 'Easter outline', dueAt: new Date(Date.now() - day) },
+        { _id: '507f1f77bcf86cd799439012', title: 'Sunday sermon', dueAt: new Date(Date.now() + 3 * day) }
+      ]);
+
+      const before = Date.now();
+      const response = await request(app)
+        .get('/api/notes/due')
+        .expect(HTTP_STATUS.OK);
+
+      const until = Note.find.mock.calls[0][0].dueAt.$lte;
+
+      expect(response.body.message).toBe('Due notes retrieved successfully');
+      expect(response.body.data.within).toBe('7d');
+      expect(response.body.data.overdue.map(note => note.title)).toEqual(['Easter outline']);
+      expect(response.body.data.upcoming.map(note => note.title)).toEqual(['Sunday sermon']);
+      expect(Note.find).toHaveBeenCalledWith({
+        owner: mockUserId,
+        deletedAt: null,
+        isArchived: false,
+        dueAt: { $ne: null, $lte: expect.any(Date) }
+      });
+      expect(until.getTime()).toBeGreaterThanOrEqual(before + 7 * day);
+      expect(mockQuery.sort).toHaveBeenCalledWith({ dueAt: 1 });
+    });
+
+    it('should reject invalid periods', async () => {
+      for (const within of ['soon', '-1d', '2y']) {
+        const response = await request(app)
+          .get(`/api/notes/due?within=${within}`)
+          .expect(HTTP_STATUS.BAD_REQUEST);
+
+        expect(response.body.error).toBe('within must be a duration of up to 365 days, such as 12h or 7d');
+      }
+
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Trash', () => {
+    const noteId = '507f1f77bcf86cd799439011';
+
+    beforeEach(() => {
+      isValidObjectId.mockReturnValue(true);
+    });
+
+    it('should list trashed notes with their purge dates', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: noteId, title: 'Old draft', deletedAt: new Date('2025-07-01T00:00:00.000Z') }
+        ])
+      };
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/notes/trash')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith({ owner: mockUserId, deletedAt: { $ne: null } });
+      expect(mockQuery.sort).toHaveBeenCalledWith({ deletedAt: -1 });
+      expect(response.body.data.retentionDays).toBe(30);
+      expect(response.body.data.notes[0].purgeAt).toBe('2025-07-31T00:00:00.000Z');
+    });
+
+    it('should exclude trashed notes from regular listings', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/notes')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({ deletedAt: null }));
+    });
+
+    it('should restore a trashed note', async () => {
+      Note.findOneAndUpdate.mockResolvedValue({
+        toJSON: () => ({ id: noteId, title: 'Old draft', deletedAt: null })
+      });
+
+      const response = await request(app)
+        .post(`/api/notes/${noteId}/restore`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: noteId, owner: mockUserId, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null }, $inc: { __v: 1 } },
+        { new: true }
+      );
+      expect(response.body.message).toBe('Note restored from trash');
+    });
+
+    it('should return 404 when restoring a note that is not in the trash', async () => {
+      Note.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post(`/api/notes/${noteId}/restore`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(response.body.error).toBe('Note not found in trash');
+    });
+
+    it('should permanently delete a trashed note and its revisions', async () => {
+      Note.findOneAndDelete.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: noteId, title: 'Old draft' })
+      });
+
+      const response = await request(app)
+        .delete(`/api/notes/trash/${noteId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.findOneAndDelete).toHaveBeenCalledWith({ _id: noteId, owner: mockUserId, deletedAt: { $ne: null } });
+      expect(NoteRevision.deleteMany).toHaveBeenCalledWith({ note: noteId });
+      expect(response.body.message).toBe('Note permanently deleted');
+    });
+
+    it('should only permanently delete notes that are in the trash', async () => {
+      Note.findOneAndDelete.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      await request(app)
+        .delete(`/api/notes/trash/${noteId}`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(NoteRevision.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/notes/:id/archive', () => {
+    it('should archive an existing note', async () => {
+      isValidObjectId.mockReturnValue(true); // Valid ObjectId
+      
+      const mockArchivedNote = {
+        _id: '507f1f77bcf86cd799439011',
+        title: 'Note to Archive',
+        content: 'Content to archive',
+        category: 'General',
+        type: 'general',
+        isArchived: true,
+        updatedAt: new Date(),
+        toJSON: () => ({
+          _id: '507f1f77bcf86cd799439011',
+          title: 'Note to Archive',
+          content: 'Content to archive',
+          category: 'General',
+          type: 'general',
+          isArchived: true,
+          updatedAt: new Date()
+        })
+      };
+
+      const mockNote = {
+        _id: '507f1f77bcf86cd799439011',
+        archive: jest.fn().mockResolvedValue(mockArchivedNote)
+      };
+
+      Note.findOne.mockResolvedValue(mockNote);
+
+      const response = await request(app)
+        .patch('/api/notes/507f1f77bcf86cd799439011/archive')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Note archived successfully');
+      expect(mockNote.archive).toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent note', async () => {
+      isValidObjectId.mockReturnValue(true); // Valid ObjectId
+      
+      Note.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch('/api/notes/507f1f77bcf86cd799439011/archive')
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Note not found');
+    });
+
+    it('should return 400 for invalid ObjectId', async () => {
+      isValidObjectId.mockReturnValue(false); // Invalid ObjectId
+      
+      const response = await request(app)
+        .patch('/api/notes/invalid-id/archive')
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Invalid note ID format');
+    });
+  });
+
+  describe('PATCH /api/notes/:id/unarchive', () => {
+    it('should unarchive an existing note', async () => {
+      isValidObjectId.mockReturnValue(true); // Valid ObjectId
+      
+      const mockUnarchivedNote = {
+        _id: '507f1f77bcf86cd799439011',
+        title: 'Note to Unarchive',
+        content: 'Content to unarchive',
+        category: 'General',
+        type: 'general',
+        isArchived: false,
+        updatedAt: new Date(),
         toJSON: () => ({
           _id: '507f1f77bcf86cd799439011',
           title: 'Note to Unarchive',
@@ -860,7 +1917,7 @@ describe('Notes API Endpoints', () => {
         unarchive: jest.fn().mockResolvedValue(mockUnarchivedNote)
       };
 
-      Note.findById.mockResolvedValue(mockNote);
+      Note.findOne.mockResolvedValue(mockNote);
 
       const response = await request(app)
         .patch('/api/notes/507f1f77bcf86cd799439011/unarchive')
@@ -874,7 +1931,7 @@ describe('Notes API Endpoints', () => {
     it('should return 404 for non-existent note', async () => {
       isValidObjectId.mockReturnValue(true); // Valid ObjectId
       
-      Note.findById.mockResolvedValue(null);
+      Note.findOne.mockResolvedValue(null);
 
       const response = await request(app)
         .patch('/api/notes/507f1f77bcf86cd799439011/unarchive')
@@ -896,6 +1953,304 @@ describe('Notes API Endpoints', () => {
     });
   });
 
+  describe('Pinned and favorite notes', () => {
+    const ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013'];
+
+    const mockPinned = (notes) => {
+      Note.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(notes)
+      });
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockImplementation(jest.requireActual('../utils/helpers').isValidObjectId);
+    });
+
+    it.each([
+      ['pin', 'Note pinned successfully'],
+      ['unpin', 'Note unpinned successfully'],
+      ['favorite', 'Note added to favorites'],
+      ['unfavorite', 'Note removed from favorites']
+    ])('should %s a note', async (action, message) => {
+      const note = createMockNoteDocument({ title: 'Easter Sunday', __v: 2 });
+      note[action] = jest.fn(() => Promise.resolve({ ...note, __v: 3 }));
+      Note.findOne.mockResolvedValue(note);
+
+      const response = await request(app)
+        .patch(`/api/notes/${ids[0]}/${action}`)
+        .set('If-Match', `"${ids[0]}-2"`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe(message);
+      expect(response.headers.etag).toBe(`"${ids[0]}-3"`);
+      expect(note[action]).toHaveBeenCalled();
+      expect(Note.findOne).toHaveBeenCalledWith({ _id: ids[0], owner: mockUserId, deletedAt: null });
+    });
+
+    it('should not pin a stale version', async () => {
+      const note = createMockNoteDocument({ __v: 4 });
+      note.pin = jest.fn();
+      Note.findOne.mockResolvedValue(note);
+
+      await request(app)
+        .patch(`/api/notes/${ids[0]}/pin`)
+        .set('If-Match', `"${ids[0]}-3"`)
+        .expect(HTTP_STATUS.PRECONDITION_FAILED);
+
+      expect(note.pin).not.toHaveBeenCalled();
+    });
+
+    it('should reorder pinned notes, writing only the notes that moved', async () => {
+      mockPinned([
+        { _id: ids[0], pinPosition: 1 },
+        { _id: ids[1], pinPosition: 2 },
+        { _id: ids[2], pinPosition: 3 }
+      ]);
+      Note.bulkWrite.mockResolvedValue({ modifiedCount: 2 });
+
+      const response = await request(app)
+        .put('/api/notes/pins')
+        .send({ ids: [ids[1], ids[0], ids[2]] })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.pins).toEqual([
+        { id: ids[1], pinPosition: 1 },
+        { id: ids[0], pinPosition: 2 },
+        { id: ids[2], pinPosition: 3 }
+      ]);
+      expect(Note.find).toHaveBeenCalledWith({ deletedAt: null, isPinned: true, owner: mockUserId });
+      expect(Note.bulkWrite).toHaveBeenCalledWith([
+        {
+          updateOne: {
+            filter: { deletedAt: null, _id: ids[1], owner: mockUserId },
+            update: { $set: { pinPosition: 1 }, $inc: { __v: 1 } }
+          }
+        },
+        {
+          updateOne: {
+            filter: { deletedAt: null, _id: ids[0], owner: mockUserId },
+            update: { $set: { pinPosition: 2 }, $inc: { __v: 1 } }
+          }
+        }
+      ]);
+    });
+
+    it('should require every pinned note exactly once', async () => {
+      mockPinned([{ _id: ids[0], pinPosition: 1 }, { _id: ids[1], pinPosition: 2 }]);
+
+      for (const order of [[ids[0]], [ids[0], ids[0]], [ids[0], ids[2]], undefined]) {
+        const response = await request(app)
+          .put('/api/notes/pins')
+          .send({ ids: order })
+          .expect(HTTP_STATUS.BAD_REQUEST);
+
+        expect(response.body.error).toBe('ids must list every pinned note exactly once');
+      }
+
+      expect(Note.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/notes/:id/prayer/status', () => {
+    const noteId = '507f1f77bcf86cd799439011';
+    const prayer = {
+      requester: 'Martha',
+      status: 'open',
+      openedAt: '2025-03-02T00:00:00.000Z',
+      answeredAt: null,
+      closedAt: null,
+      testimony: '',
+      followUpAt: '2025-04-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockImplementation(jest.requireActual('../utils/helpers').isValidObjectId);
+    });
+
+    it('should answer a prayer request with a testimony, keeping a revision', async () => {
+      const note = createMockNoteDocument({ title: 'Job interview', prayer, __v: 1 });
+      Note.findOne.mockResolvedValue(note);
+
+      const response = await request(app)
+        .patch(`/api/notes/${noteId}/prayer/status`)
+        .send({ status: 'answered', testimony: 'She got the job' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Prayer request status updated successfully');
+      expect(note.set).toHaveBeenCalledWith({ prayer: { ...prayer, status: 'answered', testimony: 'She got the job' } });
+      expect(NoteRevision.record).toHaveBeenCalledWith(
+        note,
+        expect.objectContaining({ prayer }),
+        { createdBy: mockUserId, reason: 'update' }
+      );
+      expect(note.save).toHaveBeenCalled();
+    });
+
+    it('should turn a note without a prayer request into one', async () => {
+      const note = createMockNoteDocument({ title: 'Pray for the mission trip' });
+      Note.findOne.mockResolvedValue(note);
+
+      await request(app)
+        .patch(`/api/notes/${noteId}/prayer/status`)
+        .send({ status: 'ongoing', followUpAt: '2025-09-01' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(note.set).toHaveBeenCalledWith({ prayer: { status: 'ongoing', followUpAt: '2025-09-01' } });
+    });
+
+    it('should reject unknown statuses', async () => {
+      const response = await request(app)
+        .patch(`/api/notes/${noteId}/prayer/status`)
+        .send({ status: 'done' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('status must be one of: open, ongoing, answered, closed');
+      expect(Note.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should not change a stale version', async () => {
+      const note = createMockNoteDocument({ prayer, __v: 4 });
+      Note.findOne.mockResolvedValue(note);
+
+      await request(app)
+        .patch(`/api/notes/${noteId}/prayer/status`)
+        .set('If-Match', `"${noteId}-3"`)
+        .send({ status: 'closed' })
+        .expect(HTTP_STATUS.PRECONDITION_FAILED);
+
+      expect(note.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Note revisions', () => {
+    const noteId = '507f1f77bcf86cd799439011';
+    const storedRevision = {
+      _id: '507f1f77bcf86cd799439055',
+      note: noteId,
+      owner: mockUserId,
+      revision: 2,
+      reason: 'update',
+      title: 'Sunday Sermon',
+      content: 'Opening prayer\nPoint one\nClosing',
+      category: 'Sermons',
+      type: 'sermon',
+      tags: ['grace'],
+      priority: 'high',
+      isArchived: false
+    };
+
+    beforeEach(() => {
+      isValidObjectId.mockReturnValue(true);
+    });
+
+    it('should list revisions newest first', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ revision: 2 }, { revision: 1 }])
+      };
+      Note.exists.mockResolvedValue({ _id: noteId });
+      NoteRevision.find.mockReturnValue(mockQuery);
+      NoteRevision.countDocuments.mockResolvedValue(2);
+
+      const response = await request(app)
+        .get(`/api/notes/${noteId}/revisions`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(NoteRevision.find).toHaveBeenCalledWith({ note: noteId, owner: mockUserId });
+      expect(mockQuery.sort).toHaveBeenCalledWith({ revision: -1 });
+      expect(response.body.data.revisions).toHaveLength(2);
+      expect(response.body.data.pagination.totalRevisions).toBe(2);
+    });
+
+    it('should not list revisions of notes owned by another user', async () => {
+      Note.exists.mockResolvedValue(null);
+
+      await request(app)
+        .get(`/api/notes/${noteId}/revisions`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(Note.exists).toHaveBeenCalledWith({ _id: noteId, owner: mockUserId, deletedAt: null });
+      expect(NoteRevision.find).not.toHaveBeenCalled();
+    });
+
+    it('should return a revision with a line diff against the current note', async () => {
+      Note.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          ...storedRevision,
+          _id: noteId,
+          content: 'Opening prayer\nPoint one revised\nClosing',
+          tags: ['grace', 'faith']
+        })
+      });
+      NoteRevision.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedRevision) });
+
+      const response = await request(app)
+        .get(`/api/notes/${noteId}/revisions/2`)
+        .expect(HTTP_STATUS.OK);
+
+      const { revision, diff } = response.body.data;
+      expect(NoteRevision.findOne).toHaveBeenCalledWith({ note: noteId, owner: mockUserId, revision: 2 });
+      expect(revision.content).toBe(storedRevision.content);
+      expect(diff.changedFields).toEqual(['content', 'tags']);
+      expect(diff.content).toMatchObject({ added: 1, removed: 1, unchanged: 2 });
+      expect(diff.content.changes[1]).toEqual({ type: 'removed', value: 'Point one', oldLine: 2, newLine: null });
+    });
+
+    it('should return 404 for unknown revisions and 400 for invalid numbers', async () => {
+      Note.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: noteId }) });
+      NoteRevision.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const missing = await request(app)
+        .get(`/api/notes/${noteId}/revisions/9`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+      expect(missing.body.error).toBe('Note revision not found');
+
+      const invalid = await request(app)
+        .get(`/api/notes/${noteId}/revisions/0`)
+        .expect(HTTP_STATUS.BAD_REQUEST);
+      expect(invalid.body.error).toBe('Revision must be a positive integer');
+    });
+
+    it('should restore a revision and keep the replaced version', async () => {
+      const mockNote = createMockNoteDocument({
+        ...storedRevision,
+        content: 'Clobbered draft'
+      });
+      Note.findOne.mockResolvedValue(mockNote);
+      NoteRevision.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedRevision) });
+
+      const response = await request(app)
+        .post(`/api/notes/${noteId}/revisions/2/restore`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Note revision restored successfully');
+      expect(mockNote.content).toBe(storedRevision.content);
+      expect(NoteRevision.record).toHaveBeenCalledWith(
+        mockNote,
+        expect.objectContaining({ content: 'Clobbered draft' }),
+        { createdBy: mockUserId, reason: 'restore' }
+      );
+      expect(mockNote.save).toHaveBeenCalled();
+    });
+
+    it('should forbid viewers from restoring revisions', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      await request(app)
+        .post(`/api/notes/${noteId}/revisions/2/restore`)
+        .expect(HTTP_STATUS.FORBIDDEN);
+
+      expect(Note.findOne).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/notes/stats/overview', () => {
     it('should get notes statistics', async () => {
       const mockStats = {
@@ -934,7 +2289,7 @@ describe('Notes API Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toEqual(mockCategories);
-      expect(Note.distinct).toHaveBeenCalledWith('category');
+      expect(Note.distinct).toHaveBeenCalledWith('category', { owner: mockUserId, deletedAt: null });
     });
   });
 
@@ -950,7 +2305,202 @@ describe('Notes API Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toEqual(mockTags);
-      expect(Note.distinct).toHaveBeenCalledWith('tags');
+      expect(Note.distinct).toHaveBeenCalledWith('tags', { owner: mockUserId, deletedAt: null });
+    });
+
+    it('should nest tag paths with format=tree', async () => {
+      Note.distinct = jest.fn().mockResolvedValue(['books/romans/8', 'prayer', 'books/acts']);
+
+      const response = await request(app)
+        .get('/api/notes/tags/list?format=tree')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toEqual([
+        {
+          name: 'books',
+          tag: 'books',
+          children: [
+            { name: 'acts', tag: 'books/acts', children: [] },
+            {
+              name: 'romans',
+              tag: 'books/romans',
+              children: [{ name: '8', tag: 'books/romans/8', children: [] }]
+            }
+          ]
+        },
+        { name: 'prayer', tag: 'prayer', children: [] }
+      ]);
+    });
+  });
+
+  describe('Authentication & Ownership', () => {
+    it('should reject requests without a valid token', async () => {
+      authenticateToken.mockImplementationOnce((req, res) => {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          error: 'Access denied',
+          message: 'No token provided'
+        });
+      });
+
+      const response = await request(app)
+        .get('/api/notes')
+        .expect(HTTP_STATUS.UNAUTHORIZED);
+
+      expect(response.body.error).toBe('Access denied');
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should only let API keys write notes with the notes:write scope', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'editor', apiKeyId: 'key-1', scopes: ['notes:read'] };
+        next();
+      });
+
+      const response = await request(app)
+        .post('/api/notes')
+        .send({ title: 'Imported', content: 'From a script' })
+        .expect(HTTP_STATUS.FORBIDDEN);
+
+      expect(response.body.message).toBe('This API key is missing the notes:write scope');
+      expect(Note.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should only list notes owned by the authenticated user', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/notes?owner=507f1f77bcf86cd799439000')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: mockUserId })
+      );
+      expect(Note.countDocuments).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: mockUserId })
+      );
+    });
+
+    it('should assign the authenticated user as owner on create', async () => {
+      const noteData = {
+        title: 'Owned Note',
+        content: 'Owned content',
+        category: 'General',
+        type: 'general',
+        owner: '507f1f77bcf86cd799439000'
+      };
+
+      validateNoteData.mockReturnValue({
+        title: noteData.title,
+        content: noteData.content,
+        category: noteData.category,
+        type: noteData.type
+      });
+
+      const mockNote = {
+        save: jest.fn().mockResolvedValue({
+          toJSON: () => ({ ...noteData, owner: mockUserId })
+        })
+      };
+
+      Note.mockImplementation(() => mockNote);
+
+      await request(app)
+        .post('/api/notes')
+        .send(noteData)
+        .expect(HTTP_STATUS.CREATED);
+
+      expect(Note).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: mockUserId })
+      );
+    });
+
+    it('should not update notes owned by another user', async () => {
+      isValidObjectId.mockReturnValue(true);
+      validateNoteData.mockReturnValue({ title: 'Hijacked' });
+      Note.findOne.mockResolvedValue(null);
+
+      await request(app)
+        .put('/api/notes/507f1f77bcf86cd799439011')
+        .send({ title: 'Hijacked', content: 'Mine now', category: 'General', type: 'general' })
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(Note.findOne).toHaveBeenCalledWith({
+        _id: '507f1f77bcf86cd799439011',
+        owner: mockUserId,
+        deletedAt: null
+      });
+      expect(NoteRevision.record).not.toHaveBeenCalled();
+    });
+
+    it('should not delete notes owned by another user', async () => {
+      isValidObjectId.mockReturnValue(true);
+      Note.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null)
+      });
+
+      await request(app)
+        .delete('/api/notes/507f1f77bcf86cd799439011')
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(Note.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: '507f1f77bcf86cd799439011', owner: mockUserId, deletedAt: null },
+        { $set: { deletedAt: expect.any(Date) }, $inc: { __v: 1 } },
+        { new: true }
+      );
+    });
+
+    it('should allow viewers to read notes', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+
+      Note.find.mockReturnValue(mockQuery);
+      Note.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/notes')
+        .expect(HTTP_STATUS.OK);
+    });
+
+    it('should forbid viewers from creating notes', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      const response = await request(app)
+        .post('/api/notes')
+        .send({ title: 'Viewer Note', content: 'Nope', category: 'General', type: 'general' })
+        .expect(HTTP_STATUS.FORBIDDEN);
+
+      expect(response.body.error).toBe('Access denied');
+      expect(Note).not.toHaveBeenCalled();
+    });
+
+    it('should compute statistics for the authenticated user only', async () => {
+      Note.getStats = jest.fn().mockResolvedValue({ totalNotes: 0 });
+
+      await request(app)
+        .get('/api/notes/stats/overview')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.getStats).toHaveBeenCalledWith(mockUserId);
     });
   });
 
@@ -0,0 +1,77 @@
+const { applyMergePatch, applyJsonPatch, parsePointer } = require('../utils/patch');
+
+describe('JSON Merge Patch', () => {
+  it('should merge objects recursively and remove members set to null', () => {
+    const target = { title: 'Draft', tags: ['a', 'b'], meta: { author: 'Paul', year: 55 } };
+    const patched = applyMergePatch(target, { title: 'Final', tags: null, meta: { year: null, city: 'Corinth' } });
+
+    expect(patched).toEqual({ title: 'Final', meta: { author: 'Paul', city: 'Corinth' } });
+    expect(target.tags).toEqual(['a', 'b']);
+  });
+
+  it('should replace arrays and non-object targets as a whole', () => {
+    expect(applyMergePatch({ tags: ['a', 'b'] }, { tags: ['c'] })).toEqual({ tags: ['c'] });
+    expect(applyMergePatch('text', { a: 1 })).toEqual({ a: 1 });
+    expect(applyMergePatch({ a: 1 }, ['x'])).toEqual(['x']);
+  });
+
+  it('should ignore members that would reach the prototype', () => {
+    const patched = applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": true}}'));
+
+    expect(patched.polluted).toBeUndefined();
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('JSON Patch', () => {
+  const document = { title: 'Romans', tags: ['grace', 'faith'], priority: 'medium' };
+
+  it('should apply operations in order without modifying the input', () => {
+    const patched = applyJsonPatch(document, [
+      { op: 'add', path: '/tags/1', value: 'hope' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'replace', path: '/priority', value: 'high' },
+      { op: 'copy', from: '/title', path: '/content' },
+      { op: 'move', from: '/tags/1', path: '/tags/-' },
+      { op: 'test', path: '/tags', value: ['hope', 'faith'] }
+    ]);
+
+    expect(patched).toEqual({ title: 'Romans', tags: ['hope', 'faith'], priority: 'high', content: 'Romans' });
+    expect(document.tags).toEqual(['grace', 'faith']);
+  });
+
+  it('should fail a test operation with a 409', () => {
+    expect(() => applyJsonPatch(document, [{ op: 'test', path: '/priority', value: 'low' }]))
+      .toThrow(expect.objectContaining({ name: 'PatchError', statusCode: 409 }));
+  });
+
+  it('should reject missing paths and out of range indexes with a 422', () => {
+    [
+      { op: 'replace', path: '/missing', value: 1 },
+      { op: 'remove', path: '/tags/5' },
+      { op: 'add', path: '/tags/3', value: 'x' },
+      { op: 'add', path: '/missing/child', value: 'x' }
+    ].forEach(operation => {
+      expect(() => applyJsonPatch(document, [operation]))
+        .toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+  });
+
+  it('should reject malformed patches with a 400', () => {
+    [
+      { op: 'add', path: '/tags/-', value: 'x' },
+      [{ op: 'rename', path: '/title' }],
+      [{ op: 'add', path: '/title' }],
+      [{ op: 'replace', path: 'title', value: 'x' }],
+      [{ op: 'add', path: '/__proto__/polluted', value: true }]
+    ].forEach(patch => {
+      expect(() => applyJsonPatch(document, patch))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  it('should unescape JSON Pointer tokens', () => {
+    expect(parsePointer('')).toEqual([]);
+    expect(parsePointer('/a~1b/c~0d/0')).toEqual(['a/b', 'c~d', '0']);
+  });
+});
@@ -0,0 +1,101 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Note', () => ({
+  find: jest.fn()
+}));
+const Note = require('../models/Note');
+
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth('viewer'));
+
+const { mockUserId } = require('./helpers');
+
+const { HTTP_STATUS } = require('../constants/api');
+const { getDaysOpen, groupPrayersByStatus } = require('../utils/prayers');
+
+// Import the app after mocks
+const app = require('../server');
+
+const prayerNote = (id, prayer) => ({
+  _id: id,
+  title: `Request ${id}`,
+  category: 'Prayer',
+  prayer: {
+    requester: '',
+    answeredAt: null,
+    closedAt: null,
+    testimony: '',
+    followUpAt: null,
+    ...prayer
+  }
+});
+
+describe('Prayers API Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getDaysOpen', () => {
+    const now = new Date('2025-07-01T12:00:00.000Z');
+
+    it('should count until the request was answered or closed', () => {
+      expect(getDaysOpen({ openedAt: '2025-06-01T00:00:00.000Z', answeredAt: '2025-06-11T18:00:00.000Z' }, now)).toBe(10);
+      expect(getDaysOpen({ openedAt: '2025-06-01T00:00:00.000Z', closedAt: '2025-06-03T00:00:00.000Z' }, now)).toBe(2);
+    });
+
+    it('should count requests still open up to now', () => {
+      expect(getDaysOpen({ openedAt: '2025-06-01T00:00:00.000Z', answeredAt: null, closedAt: null }, now)).toBe(30);
+    });
+  });
+
+  describe('groupPrayersByStatus', () => {
+    it('should group every status, ordering open requests by age and settled ones by date', () => {
+      const now = new Date('2025-07-01T00:00:00.000Z');
+      const groups = groupPrayersByStatus([
+        prayerNote('recent', { status: 'open', openedAt: '2025-06-21T00:00:00.000Z' }),
+        prayerNote('oldest', { status: 'open', openedAt: '2025-05-02T00:00:00.000Z' }),
+        prayerNote('early', { status: 'answered', openedAt: '2025-01-01T00:00:00.000Z', answeredAt: '2025-01-05T00:00:00.000Z' }),
+        prayerNote('late', { status: 'answered', openedAt: '2025-03-01T00:00:00.000Z', answeredAt: '2025-03-08T00:00:00.000Z', testimony: 'Healed' })
+      ], now);
+
+      expect(Object.keys(groups)).toEqual(['open', 'ongoing', 'answered', 'closed']);
+      expect(groups.open).toMatchObject({ count: 2, averageDaysOpen: 35 });
+      expect(groups.open.requests.map(entry => [entry.id, entry.daysOpen])).toEqual([['oldest', 60], ['recent', 10]]);
+      expect(groups.ongoing).toEqual({ count: 0, averageDaysOpen: null, requests: [] });
+      expect(groups.answered.averageDaysOpen).toBe(5.5);
+      expect(groups.answered.requests[0]).toMatchObject({ id: 'late', title: 'Request late', testimony: 'Healed', daysOpen: 7 });
+    });
+  });
+
+  describe('GET /api/prayers', () => {
+    it('should list the user\'s prayer requests by status', async () => {
+      const lean = jest.fn().mockResolvedValue([
+        prayerNote('a', { status: 'ongoing', requester: 'Martha', openedAt: '2025-06-01T00:00:00.000Z' }),
+        prayerNote('b', { status: 'closed', openedAt: '2025-06-01T00:00:00.000Z', closedAt: '2025-06-02T00:00:00.000Z' })
+      ]);
+      const select = jest.fn().mockReturnValue({ lean });
+      Note.find.mockReturnValue({ select });
+
+      const response = await request(app)
+        .get('/api/prayers?requester=Martha')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Prayer requests retrieved successfully');
+      expect(response.body.data.total).toBe(2);
+      expect(response.body.data.statuses.ongoing.requests[0]).toMatchObject({ id: 'a', requester: 'Martha' });
+      expect(response.body.data.statuses.closed).toMatchObject({ count: 1, averageDaysOpen: 1 });
+      expect(Note.find).toHaveBeenCalledWith({
+        owner: mockUserId,
+        deletedAt: null,
+        prayer: { $ne: null },
+        'prayer.requester': 'Martha'
+      });
+      expect(select).toHaveBeenCalledWith('title category prayer');
+    });
+  });
+});
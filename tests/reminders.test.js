@@ -0,0 +1,201 @@
+// Mock the models so sending reminders never touches a database
+jest.mock('../models/Note', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+const Note = require('../models/Note');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn()
+}));
+const User = require('../models/User');
+
+const { setTransport, getTransport } = require('../utils/mailer');
+const {
+  setNotifier,
+  getNotifier,
+  createEmailNotifier,
+  sendDueReminders
+} = require('../utils/reminders');
+
+const now = new Date('2025-08-01T09:00:00.000Z');
+const noteId = '507f1f77bcf86cd799439011';
+const ownerId = '507f1f77bcf86cd799439099';
+
+const mockDueNotes = (notes) => {
+  const mockQuery = {
+    select: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(notes)
+  };
+  Note.find.mockReturnValue(mockQuery);
+  return mockQuery;
+};
+
+describe('Reminders', () => {
+  const defaultNotifier = getNotifier();
+  let notifier;
+
+  beforeEach(() => {
+    notifier = { notify: jest.fn().mockResolvedValue() };
+    setNotifier(notifier);
+    Note.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    setNotifier(defaultNotifier);
+    jest.clearAllMocks();
+  });
+
+  it('should mark due reminders as fired before handing them to the notifier', async () => {
+    mockDueNotes([{
+      _id: noteId,
+      owner: ownerId,
+      title: 'Sunday sermon',
+      dueAt: new Date('2025-08-03T09:00:00.000Z'),
+      reminders: [
+        { remindAt: new Date('2025-07-31T09:00:00.000Z'), firedAt: new Date('2025-07-31T09:00:05.000Z') },
+        { remindAt: new Date('2025-08-01T08:00:00.000Z'), firedAt: null },
+        { remindAt: new Date('2025-08-02T09:00:00.000Z'), firedAt: null }
+      ]
+    }]);
+
+    const sent = await sendDueReminders(now);
+
+    const remindAt = new Date('2025-08-01T08:00:00.000Z');
+    expect(sent).toBe(1);
+    expect(Note.find).toHaveBeenCalledWith({
+      deletedAt: null,
+      isArchived: false,
+      reminders: { $elemMatch: { firedAt: null, remindAt: { $lte: now } } }
+    });
+    expect(Note.updateOne).toHaveBeenCalledTimes(1);
+    expect(Note.updateOne).toHaveBeenCalledWith(
+      { _id: noteId, reminders: { $elemMatch: { remindAt, firedAt: null } } },
+      { $set: { 'reminders.$.firedAt': now }, $inc: { __v: 1 } },
+      { timestamps: false }
+    );
+    expect(notifier.notify).toHaveBeenCalledWith({
+      noteId,
+      owner: ownerId,
+      title: 'Sunday sermon',
+      dueAt: new Date('2025-08-03T09:00:00.000Z'),
+      remindAt
+    });
+    expect(Note.updateOne.mock.invocationCallOrder[0]).toBeLessThan(notifier.notify.mock.invocationCallOrder[0]);
+  });
+
+  it('should leave out archived and trashed notes', async () => {
+    mockDueNotes([]);
+
+    expect(await sendDueReminders(now)).toBe(0);
+    expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({ deletedAt: null, isArchived: false }));
+    expect(Note.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should skip reminders another run already fired', async () => {
+    mockDueNotes([{
+      _id: noteId,
+      owner: ownerId,
+      title: 'Sunday sermon',
+      reminders: [{ remindAt: new Date('2025-08-01T08:00:00.000Z'), firedAt: null }]
+    }]);
+    Note.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await sendDueReminders(now)).toBe(0);
+    expect(notifier.notify).not.toHaveBeenCalled();
+  });
+
+  it('should keep going when the notifier fails', async () => {
+    mockDueNotes([
+      { _id: noteId, owner: ownerId, title: 'First', reminders: [{ remindAt: now, firedAt: null }] },
+      { _id: '507f1f77bcf86cd799439012', owner: ownerId, title: 'Second', reminders: [{ remindAt: now, firedAt: null }] }
+    ]);
+    notifier.notify.mockRejectedValueOnce(new Error('offline'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await sendDueReminders(now)).toBe(1);
+    expect(notifier.notify).toHaveBeenCalledTimes(2);
+    expect(consoleError).toHaveBeenCalledWith(`Failed to send reminder for note ${noteId}:`, 'offline');
+
+    consoleError.mockRestore();
+  });
+
+  it('should email reminders to active owners', async () => {
+    const defaultTransport = getTransport();
+    const transport = { send: jest.fn().mockResolvedValue() };
+    setTransport(transport);
+    const mockUser = (user) => User.findById.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(user)
+    });
+
+    const email = createEmailNotifier();
+    const reminder = { noteId, owner: ownerId, title: 'Sunday sermon', dueAt: new Date('2025-08-03T09:00:00.000Z'), remindAt: now };
+
+    mockUser({ email: 'pastor@example.com', isActive: true });
+    await email.notify(reminder);
+
+    mockUser({ email: 'former@example.com', isActive: false });
+    await email.notify(reminder);
+
+    setTransport(defaultTransport);
+
+    expect(User.findById).toHaveBeenCalledWith(ownerId);
+    expect(transport.send).toHaveBeenCalledTimes(1);
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'pastor@example.com',
+      subject: 'Reminder: Sunday sermon',
+      text: expect.stringContaining('Sun, 03 Aug 2025 09:00:00 GMT')
+    }));
+  });
+
+  it('should reject notifiers without notify', () => {
+    expect(() => setNotifier({ send: jest.fn() })).toThrow('Reminder notifier must implement notify(reminder)');
+  });
+
+  it('should require an explicit notifier in production without stopping the server', async () => {
+    const { NODE_ENV, REMINDER_NOTIFIER } = process.env;
+    const loadReminders = () => {
+      let loaded;
+      jest.isolateModules(() => {
+        loaded = { reminders: require('../utils/reminders'), Note: require('../models/Note') };
+      });
+      return loaded;
+    };
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.REMINDER_NOTIFIER;
+      const { reminders, Note: isolatedNote } = loadReminders();
+      expect(reminders.getNotifier).toThrow('REMINDER_NOTIFIER must be set to console or email in production');
+
+      // The job skips the run instead of claiming reminders it cannot send
+      expect(await reminders.sendDueReminders(now)).toBe(0);
+      expect(isolatedNote.find).not.toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalledWith(
+        'Reminders skipped:',
+        'REMINDER_NOTIFIER must be set to console or email in production'
+      );
+
+      process.env.REMINDER_NOTIFIER = 'pager';
+      expect(loadReminders().reminders.getNotifier).toThrow('Unknown REMINDER_NOTIFIER "pager"; use console or email');
+
+      process.env.REMINDER_NOTIFIER = 'email';
+      expect(loadReminders().reminders.getNotifier().name).toBe('email');
+
+      process.env.NODE_ENV = 'test';
+      delete process.env.REMINDER_NOTIFIER;
+      expect(loadReminders().reminders.getNotifier().name).toBe('console');
+    } finally {
+      consoleError.mockRestore();
+      process.env.NODE_ENV = NODE_ENV;
+      if (REMINDER_NOTIFIER === undefined) {
+        delete process.env.REMINDER_NOTIFIER;
+      } else {
+        process.env.REMINDER_NOTIFIER = REMINDER_NOTIFIER;
+      }
+    }
+  });
+});
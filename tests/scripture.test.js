@@ -0,0 +1,159 @@
+const {
+  findBook,
+  parseScriptureReferences,
+  parseScriptureQuery,
+  scriptureFilter,
+  normalizePassage,
+  parsePassages,
+  mergeScriptureRanges,
+  buildScriptureIndex
+} = require('../utils/scripture');
+
+const references = text => parseScriptureReferences(text).map(range => range.reference);
+
+describe('Scripture References', () => {
+  it('should parse verses and verse ranges with their positions', () => {
+    expect(parseScriptureReferences('Key verses: Hebrews 11:1, Romans 5:3-4.')).toEqual([
+      {
+        book: 'Romans',
+        bookNumber: 45,
+        chapter: 5,
+        verse: 3,
+        endChapter: 5,
+        endVerse: 4,
+        start: 5003,
+        end: 5004,
+        reference: 'Romans 5:3-4'
+      },
+      {
+        book: 'Hebrews',
+        bookNumber: 58,
+        chapter: 11,
+        verse: 1,
+        endChapter: 11,
+        endVerse: 1,
+        start: 11001,
+        end: 11001,
+        reference: 'Hebrews 11:1'
+      }
+    ]);
+  });
+
+  it('should recognize abbreviations and numbered books', () => {
+    expect(references('Rom 8:28, 1 Cor. 13:4-7, I John 4:8 and 2Tim 3:16')).toEqual([
+      'Romans 8:28',
+      '1 Corinthians 13:4-7',
+      '2 Timothy 3:16',
+      '1 John 4:8'
+    ]);
+    expect(findBook('Song of Solomon').name).toBe('Song of Songs');
+    expect(findBook('Second Kgs.').name).toBe('2 Kings');
+  });
+
+  it('should parse whole chapters and ranges across chapters', () => {
+    const [john, romans] = parseScriptureReferences('Bible Study - Romans 8. Then John 3:16-4:2');
+
+    expect(romans).toMatchObject({ reference: 'Romans 8', verse: null, endVerse: null, start: 8000, end: 8999 });
+    expect(john).toMatchObject({ reference: 'John 3:16-4:2', start: 3016, end: 4002 });
+    expect(references('Psalms 120-134')).toEqual(['Psalms 120-134']);
+  });
+
+  it('should continue references to the same book', () => {
+    expect(references('Romans 5:3-4, 8; 8:28 and Ps 23; 27')).toEqual([
+      'Psalms 23',
+      'Psalms 27',
+      'Romans 5:3-4',
+      'Romans 5:8',
+      'Romans 8:28'
+    ]);
+    expect(references('Romans 5:3, 2 Corinthians 4:7')).toEqual(['Romans 5:3', '2 Corinthians 4:7']);
+  });
+
+  it('should read the numbers of one-chapter books as verses', () => {
+    expect(references('Jude 3-4 and Philemon 1:6')).toEqual(['Philemon 1:6', 'Jude 1:3-4']);
+  });
+
+  it('should ignore lowercase words, unknown books and verses that do not exist', () => {
+    expect(references('the job 3 days ago, Week 2, Romans 17:1, Genesis 1:0, Romans 5:8-3')).toEqual([]);
+    expect(parseScriptureReferences(undefined)).toEqual([]);
+  });
+
+  it('should drop duplicate references', () => {
+    expect(references('Phil 4:13 in the title, Philippians 4:13 in the content')).toEqual(['Philippians 4:13']);
+  });
+
+  describe('queries', () => {
+    it('should accept any case and whole books', () => {
+      expect(parseScriptureQuery('romans 8')[0]).toMatchObject({ book: 'Romans', start: 8000, end: 8999 });
+      expect(parseScriptureQuery(' Jude ')[0]).toMatchObject({ book: 'Jude', reference: 'Jude', start: 0, end: 1999 });
+    });
+
+    it('should normalize whole books of one chapter to a passage that parses back the same', () => {
+      ['Jude', 'Obadiah', 'Philemon', '2 John', '3 John'].forEach(book => {
+        expect(normalizePassage(book.toLowerCase())).toBe(book);
+        expect(normalizePassage(normalizePassage(book))).toBe(book);
+      });
+      expect(normalizePassage('Romans')).toBe('Romans 1-16');
+      expect(mergeScriptureRanges(parseScriptureReferences('Jude 3'), parsePassages('jude')).map(range => range.reference))
+        .toEqual(['Jude', 'Jude 1:3']);
+    });
+
+    it('should build an overlap condition for each reference', () => {
+      expect(scriptureFilter('John 3:16; Rom 5')).toEqual({
+        $elemMatch: {
+          $or: [
+            { book: 'John', start: { $lte: 3016 }, end: { $gte: 3016 } },
+            { book: 'Romans', start: { $lte: 5999 }, end: { $gte: 5000 } }
+          ]
+        }
+      });
+    });
+
+    it('should reject values that are not references', () => {
+      expect(() => parseScriptureQuery('Romans 99')).toThrow('"Romans 99" is not a valid scripture reference');
+      expect(() => scriptureFilter('')).toThrow(expect.objectContaining({ name: 'ScriptureError', statusCode: 400 }));
+    });
+  });
+
+  describe('index', () => {
+    const note = (id, title, text) => ({
+      _id: id,
+      title,
+      category: 'Sermons',
+      createdAt: '2025-07-20T10:00:00.000Z',
+      scripture: parseScriptureReferences(text)
+    });
+
+    it('should group notes by book and chapter in canonical order', () => {
+      const books = buildScriptureIndex([
+        note('n1', 'Faith', 'Hebrews 11:1, Romans 5:3-4, Romans 5:8'),
+        note('n2', 'Hope', 'Romans 5:5 and Genesis 15:6')
+      ]);
+
+      expect(books.map(({ book, bookNumber, noteCount }) => [book, bookNumber, noteCount])).toEqual([
+        ['Genesis', 1, 1],
+        ['Romans', 45, 2],
+        ['Hebrews', 58, 1]
+      ]);
+      expect(books[1].chapters).toEqual([{
+        chapter: 5,
+        noteCount: 2,
+        notes: [
+          { id: 'n1', title: 'Faith', category: 'Sermons', createdAt: '2025-07-20T10:00:00.000Z', references: ['Romans 5:3-4', 'Romans 5:8'] },
+          { id: 'n2', title: 'Hope', category: 'Sermons', createdAt: '2025-07-20T10:00:00.000Z', references: ['Romans 5:5'] }
+        ]
+      }]);
+    });
+
+    it('should list a note under every chapter its references cover', () => {
+      const [john] = buildScriptureIndex([note('n1', 'New Birth', 'John 3:16-5:2')]);
+
+      expect(john.noteCount).toBe(1);
+      expect(john.chapters.map(({ chapter, noteCount }) => [chapter, noteCount])).toEqual([[3, 1], [4, 1], [5, 1]]);
+    });
+
+    it('should be empty without notes', () => {
+      expect(buildScriptureIndex([])).toEqual([]);
+    });
+  });
+});
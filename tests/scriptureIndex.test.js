@@ -0,0 +1,121 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Note', () => ({
+  find: jest.fn()
+}));
+const Note = require('../models/Note');
+
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth('viewer'));
+
+const { mockUserId } = require('./helpers');
+
+const { authenticateToken } = require('../utils/auth');
+const { parseScriptureReferences } = require('../utils/scripture');
+const { HTTP_STATUS } = require('../constants/api');
+
+// Import the app after mocks
+const app = require('../server');
+
+const mockFind = (notes) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(notes)
+  };
+  Note.find.mockReturnValue(query);
+  return query;
+};
+
+describe('Scripture API Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/scripture/index', () => {
+    it('should list referenced books and chapters with their notes', async () => {
+      const query = mockFind([
+        {
+          _id: '507f1f77bcf86cd799439011',
+          title: 'Faith and Perseverance',
+          category: 'Sermons',
+          createdAt: '2025-07-20T10:00:00.000Z',
+          scripture: parseScriptureReferences('Hebrews 11:1, Romans 5:3-4')
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/scripture/index')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Scripture index retrieved successfully');
+      expect(response.body.data.totalNotes).toBe(1);
+      expect(response.body.data.books.map(book => book.book)).toEqual(['Romans', 'Hebrews']);
+      expect(response.body.data.books[0].chapters[0]).toMatchObject({
+        chapter: 5,
+        noteCount: 1,
+        notes: [{ id: '507f1f77bcf86cd799439011', title: 'Faith and Perseverance', references: ['Romans 5:3-4'] }]
+      });
+      expect(Note.find).toHaveBeenCalledWith({ owner: mockUserId, deletedAt: null, 'scripture.0': { $exists: true } });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    });
+
+    it('should filter by category and date range', async () => {
+      mockFind([]);
+
+      await request(app)
+        .get('/api/scripture/index?category=Sermons&from=2025-01-01&to=2025-06-30')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'Sermons',
+        createdAt: { $gte: new Date('2025-01-01'), $lt: new Date('2025-07-01') }
+      }));
+    });
+
+    it('should keep the exact end of a range given with a time', async () => {
+      mockFind([]);
+
+      await request(app)
+        .get('/api/scripture/index?to=2025-06-30T12:00:00.000Z')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith(expect.objectContaining({
+        createdAt: { $lte: new Date('2025-06-30T12:00:00.000Z') }
+      }));
+    });
+
+    it('should reject invalid date ranges', async () => {
+      const invalidRequests = [
+        ['from=yesterday', 'from must be a valid date'],
+        ['from=2025-07-01&to=2025-06-30', 'from must not be after to']
+      ];
+
+      for (const [params, message] of invalidRequests) {
+        const response = await request(app)
+          .get(`/api/scripture/index?${params}`)
+          .expect(HTTP_STATUS.BAD_REQUEST);
+
+        expect(response.body.error).toBe(message);
+      }
+
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should require the notes:read scope for API keys', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer', scopes: ['notes:write'] };
+        next();
+      });
+
+      await request(app)
+        .get('/api/scripture/index')
+        .expect(HTTP_STATUS.FORBIDDEN);
+    });
+  });
+});
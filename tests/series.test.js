@@ -0,0 +1,218 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Note', () => ({
+  countByField: jest.fn(),
+  countDocuments: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+const Note = require('../models/Note');
+
+jest.mock('../models/NoteRevision', () => ({
+  updateMany: jest.fn()
+}));
+const NoteRevision = require('../models/NoteRevision');
+
+jest.mock('../models/SermonSeries', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+const SermonSeries = require('../models/SermonSeries');
+
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth());
+
+const { mockUserId, createMockDocument } = require('./helpers');
+const { authenticateToken } = require('../utils/auth');
+const { HTTP_STATUS } = require('../constants/api');
+
+// Import the app after mocks
+const app = require('../server');
+
+const seriesId = '507f1f77bcf86cd7994390b1';
+const storedSeries = {
+  _id: seriesId,
+  owner: mockUserId,
+  title: 'Hebrews: Faith That Endures',
+  description: 'Twelve weeks through Hebrews',
+  startDate: '2025-06-01T00:00:00.000Z',
+  endDate: null,
+  createdAt: '2025-05-20T10:00:00.000Z',
+  updatedAt: '2025-05-20T10:00:00.000Z'
+};
+
+const mockFindOne = (series) => {
+  SermonSeries.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(series) });
+};
+
+describe('Series API Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/series', () => {
+    it('should list series with their note counts', async () => {
+      SermonSeries.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([storedSeries, { ...storedSeries, _id: '507f1f77bcf86cd7994390b2', title: 'Advent' }])
+      });
+      Note.countByField.mockResolvedValue(new Map([[{ toString: () => seriesId }, 3], [null, 10]]));
+
+      const response = await request(app)
+        .get('/api/series')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.map(series => [series.title, series.noteCount])).toEqual([
+        ['Hebrews: Faith That Endures', 3],
+        ['Advent', 0]
+      ]);
+      expect(Note.countByField).toHaveBeenCalledWith(mockUserId, 'sermon.series');
+      expect(SermonSeries.find).toHaveBeenCalledWith({ owner: mockUserId });
+    });
+  });
+
+  describe('GET /api/series/:id', () => {
+    it('should get a series with its note count', async () => {
+      mockFindOne(storedSeries);
+      Note.countDocuments.mockResolvedValue(4);
+
+      const response = await request(app)
+        .get(`/api/series/${seriesId}`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ id: seriesId, title: 'Hebrews: Faith That Endures', noteCount: 4 });
+      expect(Note.countDocuments).toHaveBeenCalledWith({ owner: mockUserId, deletedAt: null, 'sermon.series': seriesId });
+    });
+
+    it('should return 404 for another user\'s series and 400 for invalid IDs', async () => {
+      mockFindOne(null);
+
+      await request(app)
+        .get(`/api/series/${seriesId}`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      await request(app)
+        .get('/api/series/not-an-id')
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(SermonSeries.findOne).toHaveBeenCalledWith({ _id: seriesId, owner: mockUserId });
+    });
+  });
+
+  describe('GET /api/series/:id/notes', () => {
+    it('should return the parts in order, followed by notes without a part', async () => {
+      mockFindOne(storedSeries);
+      const note = (id, part, preachedAt) => ({
+        _id: id,
+        title: `Note ${id}`,
+        createdAt: '2025-05-01T00:00:00.000Z',
+        sermon: { series: seriesId, part, preachedAt }
+      });
+      Note.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          note('unnumbered', null, '2025-06-01T00:00:00.000Z'),
+          note('third', 3, '2025-06-15T00:00:00.000Z'),
+          note('first', 1, '2025-06-01T00:00:00.000Z'),
+          note('second-late', 2, '2025-06-09T00:00:00.000Z'),
+          note('second', 2, '2025-06-08T00:00:00.000Z')
+        ])
+      });
+
+      const response = await request(app)
+        .get(`/api/series/${seriesId}/notes`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Series sermons retrieved successfully');
+      expect(response.body.data.series).toMatchObject({ id: seriesId, noteCount: 5 });
+      expect(response.body.data.notes.map(entry => entry._id)).toEqual(['first', 'second', 'second-late', 'third', 'unnumbered']);
+      expect(Note.find).toHaveBeenCalledWith({ owner: mockUserId, deletedAt: null, 'sermon.series': seriesId });
+    });
+  });
+
+  describe('POST /api/series', () => {
+    it('should create a series for the user', async () => {
+      SermonSeries.create.mockImplementation(async fields => ({ _id: seriesId, ...fields }));
+
+      const response = await request(app)
+        .post('/api/series')
+        .send({ title: 'Advent', startDate: '2025-11-30', owner: 'someone-else' })
+        .expect(HTTP_STATUS.CREATED);
+
+      expect(response.body.data).toMatchObject({ id: seriesId, title: 'Advent', description: '', endDate: null });
+      expect(SermonSeries.create).toHaveBeenCalledWith(expect.objectContaining({ owner: mockUserId, title: 'Advent' }));
+    });
+
+    it('should return validation errors', async () => {
+      const error = new Error('Validation failed');
+      error.name = 'ValidationError';
+      error.errors = { endDate: { message: 'End date cannot be before the start date' } };
+      SermonSeries.create.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/series')
+        .send({ title: 'Advent', startDate: '2025-12-24', endDate: '2025-11-30' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Validation error');
+      expect(SermonSeries.create).toHaveBeenCalledWith(expect.objectContaining({ endDate: '2025-11-30' }));
+    });
+
+    it('should forbid viewers from creating series', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      await request(app)
+        .post('/api/series')
+        .send({ title: 'Advent' })
+        .expect(HTTP_STATUS.FORBIDDEN);
+
+      expect(SermonSeries.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/series/:id', () => {
+    it('should change only the given fields', async () => {
+      const series = createMockDocument(storedSeries);
+      SermonSeries.findOne.mockResolvedValue(series);
+
+      const response = await request(app)
+        .patch(`/api/series/${seriesId}`)
+        .send({ endDate: '2025-08-24', title: undefined })
+        .expect(HTTP_STATUS.OK);
+
+      expect(series.endDate).toBe('2025-08-24');
+      expect(series.title).toBe('Hebrews: Faith That Endures');
+      expect(series.save).toHaveBeenCalled();
+      expect(response.body.message).toBe('Sermon series updated successfully');
+    });
+  });
+
+  describe('DELETE /api/series/:id', () => {
+    it('should detach the notes and their revisions before deleting the series', async () => {
+      const series = createMockDocument(storedSeries);
+      SermonSeries.findOne.mockResolvedValue(series);
+      Note.updateMany.mockResolvedValue({ modifiedCount: 6 });
+      NoteRevision.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const response = await request(app)
+        .delete(`/api/series/${seriesId}`)
+        .expect(HTTP_STATUS.OK);
+
+      const match = { owner: mockUserId, 'sermon.series': seriesId };
+      const detach = { 'sermon.series': null, 'sermon.part': null };
+
+      expect(response.body.data).toEqual({ id: seriesId, detachedNotes: 6 });
+      expect(Note.updateMany).toHaveBeenCalledWith(match, { $set: detach, $inc: { __v: 1 } });
+      expect(NoteRevision.updateMany).toHaveBeenCalledWith(match, { $set: detach });
+      expect(series.deleteOne).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Note', () => ({
+  getTagUsage: jest.fn(),
+  find: jest.fn(),
+  bulkWrite: jest.fn()
+}));
+const Note = require('../models/Note');
+
+jest.mock('../models/NoteRevision', () => ({
+  recordMany: jest.fn()
+}));
+const NoteRevision = require('../models/NoteRevision');
+
+// Mock authentication so every request runs as a known user
+jest.mock('../utils/auth', () => require('./helpers').mockAuth());
+
+const { mockUserId } = require('./helpers');
+
+const { authenticateToken } = require('../utils/auth');
+const { HTTP_STATUS } = require('../constants/api');
+
+// Import the app after mocks
+const app = require('../server');
+
+const ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013'];
+
+const mockFind = (notes) => {
+  Note.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(notes) });
+};
+
+describe('Tags API Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NoteRevision.recordMany.mockResolvedValue([]);
+    Note.bulkWrite.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('GET /api/tags', () => {
+    it('should list tags with usage counts and last used dates', async () => {
+      const usage = [
+        { tag: 'grace', count: 4, lastUsed: '2025-07-26T10:30:00.000Z' },
+        { tag: 'easter', count: 1, lastUsed: '2025-04-20T08:00:00.000Z' }
+      ];
+      Note.getTagUsage.mockResolvedValue(usage);
+
+      const response = await request(app)
+        .get('/api/tags')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toEqual(usage);
+      expect(Note.getTagUsage).toHaveBeenCalledWith(mockUserId);
+    });
+
+    it('should nest tag paths with format=tree', async () => {
+      Note.getTagUsage.mockResolvedValue([
+        { tag: 'books/romans', count: 3, lastUsed: '2025-07-26T10:30:00.000Z' },
+        { tag: 'prayer', count: 2, lastUsed: '2025-07-20T10:30:00.000Z' },
+        { tag: 'books/acts', count: 1, lastUsed: '2025-07-01T10:30:00.000Z' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/tags?format=tree')
+        .expect(HTTP_STATUS.OK);
+
+      const [books, prayer] = response.body.data;
+
+      expect(books).toMatchObject({ name: 'books', tag: 'books', count: 0, lastUsed: null });
+      expect(books.children.map(child => [child.name, child.tag, child.count])).toEqual([
+        ['acts', 'books/acts', 1],
+        ['romans', 'books/romans', 3]
+      ]);
+      expect(prayer).toMatchObject({ name: 'prayer', count: 2, children: [] });
+    });
+  });
+
+  describe('PATCH /api/tags/:tag', () => {
+    it('should rename a tag on every note, keeping its position', async () => {
+      mockFind([
+        { _id: ids[0], owner: mockUserId, tags: ['easter', 'gracee', 'hope'] },
+        { _id: ids[1], owner: mockUserId, tags: ['gracee', 'grace'] }
+      ]);
+
+      const response = await request(app)
+        .patch('/api/tags/Gracee')
+        .send({ name: ' Grace ' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('Tag renamed successfully');
+      expect(response.body.data).toEqual({ from: ['gracee'], into: 'grace', matched: 2, updated: 2, skipped: [] });
+      expect(Note.find).toHaveBeenCalledWith({ owner: mockUserId, tags: { $in: ['gracee', /^gracee\//] } });
+      expect(Note.bulkWrite).toHaveBeenCalledWith([
+        {
+          updateOne: {
+            filter: { _id: ids[0], owner: mockUserId },
+            update: { $set: { tags: ['easter', 'grace', 'hope'] }, $inc: { __v: 1 } }
+          }
+        },
+        {
+          updateOne: {
+            filter: { _id: ids[1], owner: mockUserId },
+            update: { $set: { tags: ['grace'] }, $inc: { __v: 1 } }
+          }
+        }
+      ]);
+      expect(NoteRevision.recordMany).toHaveBeenCalledWith(
+        [expect.objectContaining({ _id: ids[0] }), expect.objectContaining({ _id: ids[1] })],
+        { createdBy: mockUserId, reason: 'bulk' }
+      );
+    });
+
+    it('should rename the descendants of a tag path', async () => {
+      mockFind([
+        { _id: ids[0], owner: mockUserId, tags: ['books', 'books/romans/8', 'bookshelf'] }
+      ]);
+
+      const response = await request(app)
+        .patch(`/api/tags/${encodeURIComponent('books')}`)
+        .send({ name: 'bible/books' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ from: ['books'], into: 'bible/books', updated: 1 });
+      expect(Note.bulkWrite.mock.calls[0][0][0].updateOne.update.$set.tags).toEqual([
+        'bible/books',
+        'bible/books/romans/8',
+        'bookshelf'
+      ]);
+    });
+
+    it('should accept URL-encoded tag paths', async () => {
+      mockFind([{ _id: ids[0], owner: mockUserId, tags: ['books/romans'] }]);
+
+      await request(app)
+        .patch(`/api/tags/${encodeURIComponent('books/romans')}`)
+        .send({ name: 'books/rom' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.bulkWrite.mock.calls[0][0][0].updateOne.update.$set.tags).toEqual(['books/rom']);
+    });
+
+    it('should refuse renames that make a descendant tag too long', async () => {
+      const longTag = `books/${'r'.repeat(40)}`;
+      mockFind([{ _id: ids[0], owner: mockUserId, tags: [longTag, 'books'] }]);
+
+      const response = await request(app)
+        .patch('/api/tags/books')
+        .send({ name: 'bible/old-testament' })
+        .expect(HTTP_STATUS.UNPROCESSABLE_ENTITY);
+
+      expect(response.body.error).toBe(`Tags would exceed 50 characters: bible/old-testament/${'r'.repeat(40)}`);
+      expect(NoteRevision.recordMany).not.toHaveBeenCalled();
+      expect(Note.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should not rename a tag into one of its descendants', async () => {
+      const response = await request(app)
+        .patch('/api/tags/books')
+        .send({ name: 'books/old' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('A tag cannot be renamed or merged into itself or one of its descendants');
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a tag no note carries', async () => {
+      mockFind([]);
+
+      const response = await request(app)
+        .patch('/api/tags/missing')
+        .send({ name: 'found' })
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(response.body.error).toBe('Tag not found');
+      expect(Note.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing or unchanged name', async () => {
+      await request(app)
+        .patch('/api/tags/grace')
+        .send({})
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      await request(app)
+        .patch('/api/tags/grace')
+        .send({ name: 'GRACE' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+
+    it('should forbid viewers from renaming tags', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: mockUserId, role: 'viewer' };
+        next();
+      });
+
+      await request(app)
+        .patch('/api/tags/grace')
+        .send({ name: 'mercy' })
+        .expect(HTTP_STATUS.FORBIDDEN);
+    });
+  });
+
+  describe('POST /api/tags/merge', () => {
+    it('should merge several tags into one', async () => {
+      mockFind([
+        { _id: ids[0], owner: mockUserId, tags: ['prayer', 'prayers', 'praying'] },
+        { _id: ids[1], owner: mockUserId, tags: ['hope', 'praying'] }
+      ]);
+
+      const response = await request(app)
+        .post('/api/tags/merge')
+        .send({ tags: ['prayers', 'Praying', 'prayer'], into: 'prayer' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ from: ['prayers', 'praying'], into: 'prayer', updated: 2 });
+      expect(Note.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$set.tags)).toEqual([
+        ['prayer'],
+        ['hope', 'prayer']
+      ]);
+    });
+
+    it('should skip notes that would exceed the tag limit', async () => {
+      const overfull = Array.from({ length: 11 }, (_, i) => `tag${i}`);
+      mockFind([
+        { _id: ids[0], owner: mockUserId, tags: ['old'] },
+        { _id: ids[1], owner: mockUserId, tags: [...overfull, 'old'] }
+      ]);
+
+      const response = await request(app)
+        .post('/api/tags/merge')
+        .send({ tags: ['old'], into: 'new' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({
+        matched: 2,
+        updated: 1,
+        skipped: [{ id: ids[1], error: 'Cannot have more than 10 tags' }]
+      });
+      expect(Note.bulkWrite).toHaveBeenCalledWith([expect.objectContaining({
+        updateOne: expect.objectContaining({ filter: { _id: ids[0], owner: mockUserId } })
+      })]);
+    });
+
+    it('should reject merges without tags to merge', async () => {
+      const invalidRequests = [
+        [{ into: 'prayer' }, 'tags must be a non-empty list of tags to merge'],
+        [{ tags: ['prayer'], into: 'prayer' }, 'tags must name at least one tag other than into'],
+        [{ tags: ['prayers'] }, 'into must be a tag of 1-50 characters']
+      ];
+
+      for (const [body, message] of invalidRequests) {
+        const response = await request(app)
+          .post('/api/tags/merge')
+          .send(body)
+          .expect(HTTP_STATUS.BAD_REQUEST);
+
+        expect(response.body.error).toBe(message);
+      }
+
+      expect(Note.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/tags/:tag', () => {
+    it('should keep descendants unless recursive=true', async () => {
+      mockFind([{ _id: ids[0], owner: mockUserId, tags: ['books', 'books/romans', 'hope'] }]);
+
+      await request(app)
+        .delete('/api/tags/books')
+        .expect(HTTP_STATUS.OK);
+
+      expect(Note.find).toHaveBeenCalledWith({ owner: mockUserId, tags: { $in: ['books'] } });
+      expect(Note.bulkWrite.mock.calls[0][0][0].updateOne.update.$set.tags).toEqual(['books/romans', 'hope']);
+
+      const response = await request(app)
+        .delete('/api/tags/books?recursive=true')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data.recursive).toBe(true);
+      expect(Note.bulkWrite.mock.calls[1][0][0].updateOne.update.$set.tags).toEqual(['hope']);
+    });
+
+    it('should remove a tag from every note', async () => {
+      mockFind([{ _id: ids[2], owner: mockUserId, tags: ['draft', 'hope'] }]);
+
+      const response = await request(app)
+        .delete('/api/tags/draft')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.data).toMatchObject({ from: ['draft'], into: null, updated: 1 });
+      expect(Note.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: ids[2], owner: mockUserId },
+          update: { $set: { tags: ['hope'] }, $inc: { __v: 1 } }
+        }
+      }]);
+    });
+  });
+});
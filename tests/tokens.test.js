@@ -0,0 +1,359 @@
+const jwt = require('jsonwebtoken');
+
+// Mock the revocation store and sessions so no database is needed
+jest.mock('../models/RevokedToken', () => ({
+  isRevoked: jest.fn().mockResolvedValue(false),
+  revokeToken: jest.fn().mockResolvedValue(),
+  revokeAllForUser: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/Session', () => ({
+  create: jest.fn().mockResolvedValue({}),
+  rotate: jest.fn(),
+  touch: jest.fn().mockResolvedValue({}),
+  findById: jest.fn(),
+  revoke: jest.fn().mockResolvedValue(),
+  revokeAllForUser: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../models/User');
+
+jest.mock('../models/ApiKey', () => ({
+  authenticate: jest.fn()
+}));
+
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const {
+  generateToken,
+  generateTokenPair,
+  rotateTokenPair,
+  generateMfaChallenge,
+  verifyToken,
+  revokeToken,
+  revokeAllUserTokens,
+  authenticateToken,
+  requireScope,
+  requireScopeFor,
+  rejectApiKeys,
+  requireVerifiedEmail
+} = require('../utils/auth');
+
+const user = {
+  _id: '507f1f77bcf86cd799439011',
+  username: 'testuser',
+  email: 'test@example.com',
+  role: 'editor'
+};
+
+const accessToken = (claims = {}) => generateToken({ userId: 'user-1', type: 'access', ...claims });
+
+describe('Token Revocation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RevokedToken.isRevoked.mockResolvedValue(false);
+  });
+
+  it('should give every token a unique jti', () => {
+    const first = jwt.decode(generateToken({ userId: 'user-1' }));
+    const second = jwt.decode(generateToken({ userId: 'user-1' }));
+
+    expect(first.jti).toEqual(expect.any(String));
+    expect(first.jti).not.toBe(second.jti);
+  });
+
+  it('should verify tokens that have not been revoked', async () => {
+    const decoded = await verifyToken(accessToken());
+
+    expect(decoded.userId).toBe('user-1');
+    expect(RevokedToken.isRevoked).toHaveBeenCalledWith(decoded);
+  });
+
+  it('should reject revoked tokens', async () => {
+    RevokedToken.isRevoked.mockResolvedValue(true);
+
+    await expect(verifyToken(accessToken()))
+      .rejects.toThrow('Token has been revoked');
+  });
+
+  it('should reject tampered tokens without consulting the denylist', async () => {
+    await expect(verifyToken('not-a-token')).rejects.toThrow('Invalid or expired token');
+    expect(RevokedToken.isRevoked).not.toHaveBeenCalled();
+  });
+
+  it('should skip individual revocation for tokens without a jti', async () => {
+    await revokeToken({ userId: 'user-1', exp: 1 });
+    expect(RevokedToken.revokeToken).not.toHaveBeenCalled();
+  });
+
+  it('should keep user-wide revocations until the longest token lifetime has passed', async () => {
+    await revokeAllUserTokens('user-1');
+
+    // Default refresh token lifetime is 30 days
+    expect(RevokedToken.revokeAllForUser).toHaveBeenCalledWith('user-1', 30 * 24 * 60 * 60 * 1000);
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith('user-1', 'logout-all');
+  });
+
+  it('should compare user-wide revocations with iat in whole seconds', async () => {
+    const { isRevoked, revokeAllForUser } = jest.requireActual('../models/RevokedToken');
+    const store = {
+      create: jest.fn(async entry => entry),
+      // Apply the $gt condition on revokedBefore the way MongoDB would
+      exists: jest.fn(async ({ $or }) => $or.some(condition => (
+        condition.revokedBefore && entry.revokedBefore > condition.revokedBefore.$gt
+      )))
+    };
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1700000000700);
+    const entry = await revokeAllForUser.call(store, 'user-1', 1000);
+    nowSpy.mockRestore();
+
+    expect(entry.revokedBefore).toBe(1700000000);
+
+    // Signed in the second before the revocation, and later in the same second
+    expect(await isRevoked.call(store, { userId: 'user-1', iat: 1699999999 })).toBe(true);
+    expect(await isRevoked.call(store, { userId: 'user-1', iat: 1700000000 })).toBe(false);
+    expect(await isRevoked.call(store, { userId: 'user-1', iat: 1700000001 })).toBe(false);
+  });
+
+  it('should deny access with a revoked token', async () => {
+    RevokedToken.isRevoked.mockResolvedValue(true);
+
+    const req = { headers: { authorization: `Bearer ${accessToken()}` } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Access denied',
+      message: 'Invalid or expired token'
+    });
+    expect(console.warn).toHaveBeenCalledWith('Rejected bearer credentials:', 'Token has been revoked');
+  });
+});
+
+describe('Refresh Token Rotation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RevokedToken.isRevoked.mockResolvedValue(false);
+    Session.touch.mockResolvedValue({});
+  });
+
+  it('should start a session that tracks the issued refresh token', async () => {
+    const tokens = await generateTokenPair(user, { userAgent: 'Mozilla/5.0', ip: '203.0.113.7' });
+    const refreshClaims = jwt.decode(tokens.refreshToken);
+    const accessClaims = jwt.decode(tokens.accessToken);
+
+    expect(refreshClaims.type).toBe('refresh');
+    expect(accessClaims.type).toBe('access');
+    expect(accessClaims.sid).toBe(refreshClaims.sid);
+    expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: user._id,
+      refreshTokenId: refreshClaims.jti,
+      userAgent: 'Mozilla/5.0',
+      ip: '203.0.113.7'
+    }));
+  });
+
+  it('should reject access tokens as soon as their session is revoked', async () => {
+    const tokens = await generateTokenPair(user);
+    const { sid } = jwt.decode(tokens.accessToken);
+
+    await expect(verifyToken(tokens.accessToken)).resolves.toHaveProperty('sid', sid);
+    expect(Session.touch).toHaveBeenCalledWith(sid);
+
+    Session.touch.mockResolvedValue(null);
+    await expect(verifyToken(tokens.accessToken)).rejects.toThrow('Session has been revoked');
+  });
+
+  it('should not accept access and refresh tokens in place of each other', async () => {
+    const tokens = await generateTokenPair(user);
+
+    await expect(verifyToken(tokens.accessToken, 'refresh')).rejects.toThrow('Invalid or expired token');
+    await expect(verifyToken(tokens.refreshToken, 'access')).rejects.toThrow('Invalid or expired token');
+    await expect(verifyToken(tokens.refreshToken, 'refresh')).resolves.toHaveProperty('type', 'refresh');
+  });
+
+  it('should not accept two-factor challenges as access tokens', async () => {
+    const challenge = generateMfaChallenge(user);
+
+    await expect(verifyToken(challenge)).rejects.toThrow('Invalid token type');
+    await expect(verifyToken(challenge, 'mfa-challenge')).resolves.toHaveProperty('userId', user._id);
+  });
+
+  it('should rotate the refresh token within the same session', async () => {
+    const tokens = await generateTokenPair(user);
+    const decoded = await verifyToken(tokens.refreshToken, 'refresh');
+    Session.rotate.mockResolvedValue({ _id: decoded.sid });
+
+    const rotated = await rotateTokenPair(user, decoded);
+    const rotatedClaims = jwt.decode(rotated.refreshToken);
+
+    expect(rotatedClaims.sid).toBe(decoded.sid);
+    expect(rotatedClaims.jti).not.toBe(decoded.jti);
+    expect(Session.rotate).toHaveBeenCalledWith(
+      decoded.sid,
+      decoded.jti,
+      rotatedClaims.jti,
+      expect.any(Date),
+      {}
+    );
+  });
+
+  it('should revoke the whole session when a rotated token is reused', async () => {
+    const tokens = await generateTokenPair(user);
+    const decoded = await verifyToken(tokens.refreshToken, 'refresh');
+    Session.rotate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue({ _id: decoded.sid, revokedAt: null });
+
+    await expect(rotateTokenPair(user, decoded)).rejects.toMatchObject({ name: 'TokenReuseError' });
+    expect(Session.revoke).toHaveBeenCalledWith(decoded.sid, 'reuse-detected');
+  });
+
+  it('should refuse to rotate tokens of a revoked session', async () => {
+    const tokens = await generateTokenPair(user);
+    const decoded = await verifyToken(tokens.refreshToken, 'refresh');
+    Session.rotate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue({ _id: decoded.sid, revokedAt: new Date() });
+
+    await expect(rotateTokenPair(user, decoded)).rejects.toThrow('Session has been revoked');
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+});
+
+describe('Email Verification Policy', () => {
+  const req = { user: { userId: 'user-1' } };
+  const mockResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+  const mockVerified = (emailVerified) => {
+    User.findById.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ emailVerified })
+      })
+    });
+  };
+
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+    jest.clearAllMocks();
+  });
+
+  it('should not check the database when no policy is configured', async () => {
+    const next = jest.fn();
+
+    await requireVerifiedEmail(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('should block unverified users when a policy is configured', async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'notes';
+    mockVerified(false);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireVerifiedEmail(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Email Not Verified' }));
+  });
+
+  it('should let verified users through', async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'notes';
+    mockVerified(true);
+    const next = jest.fn();
+
+    await requireVerifiedEmail(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('API Key Authentication', () => {
+  const mockResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should authenticate requests carrying an API key header', async () => {
+    ApiKey.authenticate.mockResolvedValue({
+      _id: 'key-1',
+      scopes: ['notes:read'],
+      user: { _id: 'user-1', username: 'script', email: 'script@example.com', role: 'editor' }
+    });
+    const req = { headers: { 'x-api-key': 'jdn_secret' } };
+    const next = jest.fn();
+
+    await authenticateToken(req, mockResponse(), next);
+
+    expect(ApiKey.authenticate).toHaveBeenCalledWith('jdn_secret');
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ userId: 'user-1', role: 'editor', apiKeyId: 'key-1', scopes: ['notes:read'] });
+  });
+
+  it('should reject unknown or revoked API keys', async () => {
+    ApiKey.authenticate.mockResolvedValue(null);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateToken({ headers: { 'x-api-key': 'jdn_revoked' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ error: 'Access denied', message: 'Invalid or revoked API key' });
+  });
+
+  it('should limit API keys to their scopes but not sessions', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireScope('notes:write')({ user: { userId: 'user-1', scopes: ['notes:read'] } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    requireScope('notes:write')({ user: { userId: 'user-1' } }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject API keys only when they are the credentials in use', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    rejectApiKeys({ headers: { 'x-api-key': 'jdn_key' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    // A bearer token takes precedence, so the session is what authenticates
+    rejectApiKeys({ headers: { authorization: 'Bearer token', 'x-api-key': 'jdn_key' } }, mockResponse(), next);
+    rejectApiKeys({ headers: {} }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should pick the read or write scope by request method', () => {
+    const user = { userId: 'user-1', scopes: ['notes:read'] };
+    const checkScope = requireScopeFor('notes:read', 'notes:write');
+    const next = jest.fn();
+
+    checkScope({ method: 'GET', user }, mockResponse(), next);
+    checkScope({ method: 'HEAD', user }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+
+    const res = mockResponse();
+    checkScope({ method: 'DELETE', user }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} = require('../utils/totp');
+const User = require('../models/User');
+
+// RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32 encoding', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(RFC_SECRET, 20000000000 * 1000)).toBe('353130');
+  });
+
+  it('should accept codes from adjacent time steps only', () => {
+    const time = 1111111109 * 1000;
+    const previous = generateCode(RFC_SECRET, time - 30 * 1000);
+    const stale = generateCode(RFC_SECRET, time - 90 * 1000);
+
+    expect(verifyCode(RFC_SECRET, previous, { time })).toBe(Math.floor(time / 30000) - 1);
+    expect(verifyCode(RFC_SECRET, stale, { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    expect(buildOtpauthUri(RFC_SECRET, 'john@example.com', 'JD Notes')).toBe(
+      `otpauth://totp/JD%20Notes:john%40example.com?secret=${RFC_SECRET}&issuer=JD%20Notes&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('User second factor', () => {
+  const createUser = () => new User({ twoFactorEnabled: true, twoFactorSecret: RFC_SECRET });
+
+  it('should not accept the same code twice', () => {
+    const user = createUser();
+    const code = generateCode(RFC_SECRET);
+
+    expect(user.consumeTwoFactorCode(code)).toBe(true);
+    expect(user.consumeTwoFactorCode(code)).toBe(false);
+  });
+
+  it('should accept each recovery code once', () => {
+    const user = createUser();
+    const [first, second] = user.generateBackupCodes(2);
+
+    expect(user.twoFactorBackupCodes).not.toContain(first);
+    expect(user.consumeTwoFactorCode(first.toUpperCase())).toBe(true);
+    expect(user.consumeTwoFactorCode(first)).toBe(false);
+    expect(user.twoFactorBackupCodes).toHaveLength(1);
+    expect(user.consumeTwoFactorCode(second)).toBe(true);
+  });
+});
@@ -0,0 +1,79 @@
+// Mock the Note model so purging never touches a database
+jest.mock('../models/Note', () => ({
+  purgeTrashed: jest.fn().mockResolvedValue(2)
+}));
+
+const Note = require('../models/Note');
+const { getTrashRetentionDays, getPurgeDate, purgeExpiredTrash } = require('../utils/trash');
+const { scheduleJob, runJob, stopJobs } = require('../utils/scheduler');
+
+describe('Trash Retention', () => {
+  const originalRetention = process.env.TRASH_RETENTION_DAYS;
+
+  afterEach(() => {
+    if (originalRetention === undefined) {
+      delete process.env.TRASH_RETENTION_DAYS;
+    } else {
+      process.env.TRASH_RETENTION_DAYS = originalRetention;
+    }
+    jest.clearAllMocks();
+  });
+
+  it('should keep trashed notes for 30 days unless configured otherwise', () => {
+    delete process.env.TRASH_RETENTION_DAYS;
+    expect(getTrashRetentionDays()).toBe(30);
+
+    process.env.TRASH_RETENTION_DAYS = '7';
+    expect(getTrashRetentionDays()).toBe(7);
+    expect(getPurgeDate('2025-07-01T00:00:00.000Z').toISOString()).toBe('2025-07-08T00:00:00.000Z');
+
+    process.env.TRASH_RETENTION_DAYS = 'forever';
+    expect(getTrashRetentionDays()).toBe(30);
+  });
+
+  it('should purge notes trashed before the retention cutoff', async () => {
+    process.env.TRASH_RETENTION_DAYS = '10';
+
+    const purged = await purgeExpiredTrash(new Date('2025-07-26T00:00:00.000Z'));
+
+    expect(purged).toBe(2);
+    expect(Note.purgeTrashed).toHaveBeenCalledWith(new Date('2025-07-16T00:00:00.000Z'));
+  });
+});
+
+describe('Scheduler', () => {
+  afterEach(() => {
+    stopJobs();
+  });
+
+  it('should run jobs on demand and skip overlapping runs', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    scheduleJob('slow', 60 * 60 * 1000, task);
+
+    const first = runJob('slow');
+    const second = await runJob('slow');
+    finish('done');
+
+    expect(await first).toBe('done');
+    expect(second).toBeUndefined();
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log failures without throwing', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    scheduleJob('broken', 60 * 60 * 1000, () => Promise.reject(new Error('Database unavailable')));
+
+    await expect(runJob('broken')).resolves.toBeUndefined();
+    expect(consoleSpy).toHaveBeenCalledWith('Scheduled job "broken" failed:', 'Database unavailable');
+
+    consoleSpy.mockRestore();
+  });
+
+  it('should reject duplicate and unknown jobs', async () => {
+    scheduleJob('once', 1000, jest.fn());
+
+    expect(() => scheduleJob('once', 1000, jest.fn())).toThrow('Job already scheduled: once');
+    await expect(runJob('missing')).rejects.toThrow('Unknown job: missing');
+  });
+});
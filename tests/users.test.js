@@ -0,0 +1,176 @@
+const request = require('supertest');
+
+// Mock the database connection first
+jest.mock('../config/database', () => ({
+  connectToDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock User model before importing the routes
+jest.mock('../models/User');
+const User = require('../models/User');
+
+// Authenticate every request as an admin unless a test overrides it
+const mockAdminId = '507f1f77bcf86cd799439001';
+jest.mock('../utils/auth', () => ({
+  ...jest.requireActual('../utils/auth'),
+  authenticateToken: jest.fn((req, res, next) => {
+    req.user = { userId: mockAdminId, role: 'admin' };
+    next();
+  }),
+  revokeAllUserTokens: jest.fn().mockResolvedValue()
+}));
+
+const { authenticateToken, revokeAllUserTokens } = require('../utils/auth');
+const { HTTP_STATUS } = require('../constants/api');
+
+// Import the app after mocks
+const app = require('../server');
+
+const targetId = '507f1f77bcf86cd799439011';
+
+const mockUser = (overrides = {}) => ({
+  _id: targetId,
+  username: 'deacon',
+  email: 'deacon@example.com',
+  firstName: 'Dee',
+  lastName: 'Con',
+  role: 'editor',
+  isActive: true,
+  lastLogin: null,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  ...overrides
+});
+
+describe('User Administration Endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Authorization', () => {
+    it('should forbid non-admin users', async () => {
+      authenticateToken.mockImplementationOnce((req, res, next) => {
+        req.user = { userId: targetId, role: 'editor' };
+        next();
+      });
+
+      const response = await request(app)
+        .get('/api/users')
+        .expect(HTTP_STATUS.FORBIDDEN);
+
+      expect(response.body.error).toBe('Access denied');
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users with pagination', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([mockUser()])
+      };
+
+      User.find.mockReturnValue(mockQuery);
+      User.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/users?role=editor&active=true')
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.users[0]).toHaveProperty('role', 'editor');
+      expect(response.body.users[0]).not.toHaveProperty('password');
+      expect(response.body.pagination.totalUsers).toBe(1);
+      expect(User.find).toHaveBeenCalledWith({ role: 'editor', isActive: true });
+    });
+
+    it('should reject filtering by an unknown role', async () => {
+      const response = await request(app)
+        .get('/api/users?role[$ne]=admin')
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.message).toBe('Role must be one of: admin, editor, viewer');
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/users/:id/deactivate', () => {
+    it('should deactivate a user', async () => {
+      User.findByIdAndUpdate.mockResolvedValue(mockUser({ isActive: false }));
+
+      const response = await request(app)
+        .patch(`/api/users/${targetId}/deactivate`)
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.message).toBe('User deactivated successfully');
+      expect(response.body.user.isActive).toBe(false);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        targetId,
+        { isActive: false },
+        expect.any(Object)
+      );
+      expect(revokeAllUserTokens).toHaveBeenCalledWith(targetId);
+    });
+
+    it('should not allow admins to deactivate themselves', async () => {
+      const response = await request(app)
+        .patch(`/api/users/${mockAdminId}/deactivate`)
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.message).toBe('You cannot change your own role or account status');
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      User.findByIdAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/users/${targetId}/deactivate`)
+        .expect(HTTP_STATUS.NOT_FOUND);
+
+      expect(response.body.error).toBe('User Not Found');
+    });
+  });
+
+  describe('PATCH /api/users/:id/role', () => {
+    it('should promote a user', async () => {
+      User.findByIdAndUpdate.mockResolvedValue(mockUser({ role: 'admin' }));
+
+      const response = await request(app)
+        .patch(`/api/users/${targetId}/role`)
+        .send({ role: 'admin' })
+        .expect(HTTP_STATUS.OK);
+
+      expect(response.body.user.role).toBe('admin');
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        targetId,
+        { role: 'admin' },
+        expect.any(Object)
+      );
+      expect(revokeAllUserTokens).toHaveBeenCalledWith(targetId);
+    });
+
+    it('should reject unknown roles', async () => {
+      const response = await request(app)
+        .patch(`/api/users/${targetId}/role`)
+        .send({ role: 'superuser' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid user ID', async () => {
+      const response = await request(app)
+        .patch('/api/users/invalid-id/role')
+        .send({ role: 'viewer' })
+        .expect(HTTP_STATUS.BAD_REQUEST);
+
+      expect(response.body.message).toBe('Invalid user ID format');
+    });
+  });
+});
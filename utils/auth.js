@@ -1,99 +1,439 @@
 'use strict';
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { HTTP_STATUS } = require('../constants/api');
+const mongoose = require('mongoose');
+const ms = require('ms');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { HTTP_STATUS, API_MESSAGES, DEFAULT_USER_ROLE, EMAIL_VERIFICATION_POLICIES } = require('../constants/api');
 
 // JWT configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || `${JWT_SECRET}-refresh`;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+const PASSWORD_RESET_EXPIRES_IN = process.env.PASSWORD_RESET_EXPIRES_IN || '1h';
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+
+// Header that carries personal API keys, separate from JWT bearer tokens
+const API_KEY_HEADER = 'x-api-key';
+
+// Token types carried in the `type` claim
+const TOKEN_TYPES = Object.freeze({
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+  MFA_CHALLENGE: 'mfa-challenge'
+});
+
+/**
+ * Pick the signing secret for a token type
+ * Refresh tokens use their own secret so they can never pass as access tokens
+ * @param {String} type - Token type
+ * @returns {String} Signing secret
+ */
+const getTokenSecret = (type) => (type === TOKEN_TYPES.REFRESH ? JWT_REFRESH_SECRET : JWT_SECRET);
 
 /**
  * Generate JWT token
+ * Every token gets a unique jti claim so it can be revoked individually
  * @param {Object} payload - Data to encode in token
  * @param {String} expiresIn - Token expiration time
  * @returns {String} JWT token
  */
 const generateToken = (payload, expiresIn = JWT_EXPIRES_IN) => {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn });
+  return jwt.sign(payload, getTokenSecret(payload.type), {
+    expiresIn,
+    jwtid: crypto.randomUUID()
+  });
 };
 
 /**
- * Generate access and refresh tokens for user
+ * Sign an access and refresh token pair bound to a session
  * @param {Object} user - User object
- * @returns {Object} Token pair
+ * @param {String} sessionId - Session the tokens belong to
+ * @returns {Object} Token pair plus the refresh token's jti and expiry
  */
-const generateTokenPair = (user) => {
+const signTokenPair = (user, sessionId) => {
   const payload = {
     userId: user._id,
     username: user.username,
-    email: user.email
+    email: user.email,
+    role: user.role || DEFAULT_USER_ROLE,
+    sid: sessionId,
+    type: TOKEN_TYPES.ACCESS
   };
-  
+
   const accessToken = generateToken(payload, JWT_EXPIRES_IN);
-  const refreshToken = generateToken({ userId: user._id }, JWT_REFRESH_EXPIRES_IN);
-  
+  const refreshToken = generateToken(
+    { userId: user._id, sid: sessionId, type: TOKEN_TYPES.REFRESH },
+    JWT_REFRESH_EXPIRES_IN
+  );
+  const { jti, exp } = jwt.decode(refreshToken);
+
   return {
-    accessToken,
-    refreshToken,
-    expiresIn: JWT_EXPIRES_IN
+    tokens: {
+      accessToken,
+      refreshToken,
+      expiresIn: JWT_EXPIRES_IN
+    },
+    refreshTokenId: jti,
+    refreshExpiresAt: new Date(exp * 1000)
   };
 };
 
 /**
- * Verify JWT token
+ * Describe the client a request came from, for the session list
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP address
+ */
+const getClientContext = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 512) || null,
+  ip: req.ip || (req.connection && req.connection.remoteAddress) || null
+});
+
+/**
+ * Start a new session for user and issue its first token pair
+ * @param {Object} user - User object
+ * @param {Object} context - Client the login came from ({ userAgent, ip })
+ * @returns {Promise<Object>} Token pair
+ */
+const generateTokenPair = async (user, context = {}) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { tokens, refreshTokenId, refreshExpiresAt } = signTokenPair(user, sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenId,
+    userAgent: context.userAgent || null,
+    ip: context.ip || null,
+    expiresAt: refreshExpiresAt
+  });
+
+  return tokens;
+};
+
+/**
+ * Issue a short-lived challenge token proving the password step of a
+ * two-factor login succeeded. It cannot be used as an access token.
+ * @param {Object} user - User object
+ * @returns {String} Challenge token
+ */
+const generateMfaChallenge = (user) => {
+  return generateToken(
+    { userId: user._id, type: TOKEN_TYPES.MFA_CHALLENGE },
+    MFA_CHALLENGE_EXPIRES_IN
+  );
+};
+
+/**
+ * Exchange a verified refresh token for a new token pair in the same session
+ * The presented token is invalidated; presenting it again revokes the session
+ * @param {Object} user - User object
+ * @param {Object} decoded - Decoded refresh token payload
+ * @param {Object} context - Client the refresh came from ({ userAgent, ip })
+ * @returns {Promise<Object>} Token pair
+ */
+const rotateTokenPair = async (user, decoded, context = {}) => {
+  const { tokens, refreshTokenId, refreshExpiresAt } = signTokenPair(user, decoded.sid);
+
+  const session = await Session.rotate(decoded.sid, decoded.jti, refreshTokenId, refreshExpiresAt, context);
+
+  if (!session) {
+    const existing = await Session.findById(decoded.sid);
+
+    if (existing && !existing.revokedAt) {
+      // A token that was already exchanged is being replayed: assume theft
+      await Session.revoke(existing._id, 'reuse-detected');
+
+      const error = new Error('Refresh token reuse detected');
+      error.name = 'TokenReuseError';
+      throw error;
+    }
+
+    throw new Error('Session has been revoked');
+  }
+
+  return tokens;
+};
+
+/**
+ * Verify JWT token and make sure it has not been revoked
  * @param {String} token - JWT token to verify
- * @returns {Object} Decoded token payload
+ * @param {String} type - Expected token type (access or refresh)
+ * @returns {Promise<Object>} Decoded token payload
  */
-const verifyToken = (token) => {
+const verifyToken = async (token, type = TOKEN_TYPES.ACCESS) => {
+  let decoded;
+
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, getTokenSecret(type));
   } catch (error) {
     throw new Error('Invalid or expired token');
   }
+
+  if (decoded.type !== type) {
+    throw new Error('Invalid token type');
+  }
+
+  if (await RevokedToken.isRevoked(decoded)) {
+    throw new Error('Token has been revoked');
+  }
+
+  // Access tokens die with their session so revoking a device takes effect immediately
+  if (type === TOKEN_TYPES.ACCESS && decoded.sid && !(await Session.touch(decoded.sid))) {
+    throw new Error('Session has been revoked');
+  }
+
+  return decoded;
+};
+
+/**
+ * Revoke a single token so it is rejected until it expires
+ * @param {Object} decoded - Decoded token payload
+ * @returns {Promise<void>}
+ */
+const revokeToken = async (decoded) => {
+  // Tokens issued before jti claims existed cannot be revoked individually
+  if (!decoded || !decoded.jti) {
+    return;
+  }
+
+  await RevokedToken.revokeToken(decoded);
+};
+
+/**
+ * Revoke every access and refresh token issued to a user so far
+ * @param {String} userId - User whose tokens are revoked
+ * @returns {Promise<void>}
+ */
+const revokeAllUserTokens = async (userId) => {
+  const lifetimeMs = Math.max(ms(JWT_EXPIRES_IN), ms(JWT_REFRESH_EXPIRES_IN));
+
+  await Promise.all([
+    RevokedToken.revokeAllForUser(userId, lifetimeMs),
+    Session.revokeAllForUser(userId, 'logout-all')
+  ]);
 };
 
 /**
- * Extract token from request headers
+ * End a single session: revoke the access token and the session's refresh tokens
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (decoded) => {
+  await revokeToken(decoded);
+
+  if (decoded.sid) {
+    await Session.revoke(decoded.sid, 'logout');
+  }
+};
+
+/**
+ * Extract credentials from request headers
+ * A bearer token wins when both a bearer token and an API key are sent
  * @param {Object} req - Express request object
- * @returns {String|null} Token or null if not found
+ * @returns {Object|null} { type: 'bearer' | 'api-key', value } or null if not found
  */
 const extractToken = (req) => {
   const authHeader = req.headers.authorization;
   
   if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
+    return { type: 'bearer', value: authHeader.substring(7) };
+  }
+
+  const apiKey = req.headers[API_KEY_HEADER];
+
+  if (apiKey) {
+    return { type: 'api-key', value: apiKey };
   }
   
   return null;
 };
 
+/**
+ * Resolve extracted credentials to the authenticated user
+ * @param {Object} credentials - Result of extractToken
+ * @returns {Promise<Object>} Value for req.user
+ */
+const authenticateCredentials = async (credentials) => {
+  if (credentials.type === 'bearer') {
+    return verifyToken(credentials.value);
+  }
+
+  const apiKey = await ApiKey.authenticate(credentials.value);
+
+  if (!apiKey) {
+    throw new Error('Invalid or revoked API key');
+  }
+
+  return {
+    userId: apiKey.user._id,
+    username: apiKey.user.username,
+    email: apiKey.user.email,
+    role: apiKey.user.role,
+    apiKeyId: apiKey._id,
+    scopes: apiKey.scopes
+  };
+};
+
 /**
  * Authentication middleware
+ * Accepts a JWT access token (Authorization: Bearer) or a personal API key (X-API-Key)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const authenticateToken = async (req, res, next) => {
+  const credentials = extractToken(req);
+
+  if (!credentials) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: 'Access denied',
+      message: API_MESSAGES.TOKEN_MISSING
+    });
+  }
+
   try {
-    const token = extractToken(req);
-    
-    if (!token) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        error: 'Access denied',
-        message: 'No token provided'
-      });
-    }
-    
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    req.user = await authenticateCredentials(credentials);
   } catch (error) {
+    // Revoked sessions, reused or mistyped tokens all look the same to the client
+    console.warn(`Rejected ${credentials.type} credentials:`, error.message);
+
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
       error: 'Access denied',
-      message: error.message
+      message: credentials.type === 'api-key' ? API_MESSAGES.API_KEY_INVALID : API_MESSAGES.TOKEN_INVALID
+    });
+  }
+
+  next();
+};
+
+/**
+ * Scope check for API key requests
+ * JWT sessions act with the user's full rights; API keys only get the scopes they were granted
+ * @param {String} scope - Scope the route requires
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user && req.user.scopes && !req.user.scopes.includes(scope)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Access denied',
+      message: `This API key is missing the ${scope} scope`
     });
   }
+
+  next();
+};
+
+/**
+ * Scope check that depends on the request method
+ * GET and HEAD requests need the read scope; every other method needs the write scope.
+ * Notebooks, categories, tags and series are part of a user's notes, so their
+ * routers use the notes scopes as well.
+ * @param {String} readScope - Scope required to read
+ * @param {String} writeScope - Scope required to write
+ * @returns {Function} Express middleware
+ */
+const requireScopeFor = (readScope, writeScope) => {
+  const canRead = requireScope(readScope);
+  const canWrite = requireScope(writeScope);
+
+  return (req, res, next) => (
+    req.method === 'GET' || req.method === 'HEAD' ? canRead : canWrite
+  )(req, res, next);
+};
+
+/**
+ * Reject requests made with an API key
+ * For account and security endpoints that must only be reached from a signed-in session.
+ * Uses extractToken, so it judges a request by the same credentials authenticateToken reads.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rejectApiKeys = (req, res, next) => {
+  const credentials = extractToken(req);
+
+  if (credentials && credentials.type === 'api-key') {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Access denied',
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Role-based authorization middleware factory
+ * Must run after authenticateToken so req.user is populated
+ * @param {...String} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: 'Access denied',
+      message: 'Authentication required'
+    });
+  }
+
+  // Tokens issued before roles existed carry no role claim
+  const role = req.user.role || DEFAULT_USER_ROLE;
+
+  if (!roles.includes(role)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Access denied',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Get the configured email verification policy
+ * Unknown values fall back to 'none' so a typo cannot lock users out
+ * @returns {String} One of EMAIL_VERIFICATION_POLICIES
+ */
+const getEmailVerificationPolicy = () => {
+  const policy = (process.env.EMAIL_VERIFICATION_POLICY || 'none').toLowerCase();
+  return EMAIL_VERIFICATION_POLICIES.includes(policy) ? policy : 'none';
+};
+
+/**
+ * Middleware that blocks users whose email address is not verified
+ * Only enforced when an email verification policy is configured
+ * Must run after authenticateToken so req.user is populated
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  if (getEmailVerificationPolicy() === 'none') {
+    return next();
+  }
+
+  try {
+    // Checked against the database so a fresh verification applies immediately
+    const user = await User.findById(req.user.userId).select('emailVerified').lean();
+
+    if (!user || !user.emailVerified) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: 'Email Not Verified',
+        message: 'Please verify your email address to perform this action'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
@@ -104,11 +444,10 @@ const authenticateToken = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = extractToken(req);
+    const credentials = extractToken(req);
     
-    if (token) {
-      const decoded = verifyToken(token);
-      req.user = decoded;
+    if (credentials) {
+      req.user = await authenticateCredentials(credentials);
     }
     
     next();
@@ -214,14 +553,31 @@ const checkRateLimit = (identifier) => {
 module.exports = {
   generateToken,
   generateTokenPair,
+  rotateTokenPair,
+  generateMfaChallenge,
   verifyToken,
+  revokeToken,
+  revokeSession,
+  revokeAllUserTokens,
+  getClientContext,
   extractToken,
   authenticateToken,
+  requireScope,
+  requireScopeFor,
+  rejectApiKeys,
+  authorize,
+  requireVerifiedEmail,
+  getEmailVerificationPolicy,
   optionalAuth,
   validatePassword,
   calculatePasswordStrength,
   checkRateLimit,
+  TOKEN_TYPES,
+  API_KEY_HEADER,
   JWT_SECRET,
   JWT_EXPIRES_IN,
-  JWT_REFRESH_EXPIRES_IN
+  JWT_REFRESH_EXPIRES_IN,
+  PASSWORD_RESET_EXPIRES_IN,
+  EMAIL_VERIFICATION_EXPIRES_IN,
+  MFA_CHALLENGE_EXPIRES_IN
 };
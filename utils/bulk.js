@@ -0,0 +1,229 @@
+'use strict';
+
+const {
+  HTTP_STATUS,
+  BULK_ACTIONS,
+  BULK_FILTER_KEYS,
+  PRIORITY_LEVELS,
+  VALIDATION
+} = require('../constants/api');
+const { isValidObjectId } = require('./helpers');
+const { normalizeTagPath } = require('./tags');
+
+/**
+ * Bulk note actions
+ *
+ * An action is planned once per request. The plan holds the MongoDB update
+ * to run against every note that changes, and an apply function that works
+ * out what would change for one note: null when the note already matches,
+ * or an error named BulkActionError when the note cannot take the change.
+ * Checking each note first lets the caller report a result per note and
+ * leave out notes that would break a rule, such as the tag limit.
+ * Plans that point notes at a notebook name it in notebookId, and plans that
+ * set a category name it in category, so the caller can check that the user
+ * has it.
+ */
+
+/**
+ * Create a bulk action error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code to respond with
+ * @returns {Error} Error named BulkActionError
+ */
+const createBulkError = (message, statusCode = HTTP_STATUS.BAD_REQUEST) => {
+  const error = new Error(message);
+  error.name = 'BulkActionError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Normalize the tags of an addTags or removeTags action the way note tags are stored
+ * @param {*} value - A tag or list of tags
+ * @returns {Array<string>} Unique lowercase tags
+ */
+const normalizeTags = (value) => {
+  const tags = (Array.isArray(value) ? value : [value])
+    .filter(tag => typeof tag === 'string')
+    .map(normalizeTagPath)
+    .filter(tag => tag.length > 0 && tag.length <= VALIDATION.NOTE.TAG_MAX_LENGTH);
+
+  if (tags.length === 0) {
+    throw createBulkError('value must be a tag or a list of tags');
+  }
+
+  return [...new Set(tags)];
+};
+
+/**
+ * Plan an action that sets one field to a fixed value
+ * @param {string} field - Note field
+ * @param {*} value - New value
+ * @param {boolean} recordsRevision - Whether changed notes keep a revision
+ * @returns {Object} Action plan
+ */
+const setField = (field, value, recordsRevision) => ({
+  update: { $set: { [field]: value } },
+  apply: note => (note[field] === value ? null : { [field]: value }),
+  recordsRevision
+});
+
+/**
+ * Check a single value against a list of allowed values
+ * @param {*} value - Value from the request
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} label - Field name used in the error message
+ * @returns {string} The value
+ */
+const requireOneOf = (value, allowed, label) => {
+  if (!allowed.includes(value)) {
+    throw createBulkError(`${label} must be one of: ${allowed.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Plan a bulk action
+ * Archiving, trashing and moving keep no revision, as with the single-note endpoints;
+ * the other actions change revisioned fields and keep one per changed note
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {*} value - Action argument (priority, category, tags or notebook)
+ * @returns {Object} Plan with update, apply(note) and recordsRevision
+ */
+const planBulkAction = (action, value) => {
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (action) {
+    case 'archive':
+      return setField('isArchived', true, false);
+    case 'unarchive':
+      return setField('isArchived', false, false);
+    case 'delete': {
+      const deletedAt = new Date();
+      return {
+        update: { $set: { deletedAt } },
+        apply: () => ({ deletedAt }),
+        recordsRevision: false
+      };
+    }
+    case 'setPriority': {
+      const priority = requireOneOf(typeof text === 'string' ? text.toLowerCase() : text, PRIORITY_LEVELS, 'Priority');
+      return setField('priority', priority, true);
+    }
+    case 'setCategory': {
+      if (typeof text !== 'string' || text.length === 0) {
+        throw createBulkError('value must be a category name');
+      }
+      return { ...setField('category', text, true), category: text };
+    }
+    case 'addTags': {
+      const tags = normalizeTags(value);
+      return {
+        update: { $addToSet: { tags: { $each: tags } } },
+        apply: note => {
+          const current = note.tags || [];
+          const added = tags.filter(tag => !current.includes(tag));
+
+          if (added.length === 0) {
+            return null;
+          }
+
+          if (current.length + added.length > VALIDATION.NOTE.MAX_TAGS) {
+            throw createBulkError(
+              `Cannot have more than ${VALIDATION.NOTE.MAX_TAGS} tags`,
+              HTTP_STATUS.UNPROCESSABLE_ENTITY
+            );
+          }
+
+          return { tags: [...current, ...added] };
+        },
+        recordsRevision: true
+      };
+    }
+    case 'removeTags': {
+      const tags = normalizeTags(value);
+      return {
+        update: { $pullAll: { tags } },
+        apply: note => {
+          const current = note.tags || [];
+          const kept = current.filter(tag => !tags.includes(tag));
+          return kept.length === current.length ? null : { tags: kept };
+        },
+        recordsRevision: true
+      };
+    }
+    case 'setNotebook': {
+      const notebookId = value === null || value === '' ? null : value;
+      if (notebookId !== null && !isValidObjectId(notebookId)) {
+        throw createBulkError('value must be a notebook ID, or null for no notebook');
+      }
+      return {
+        update: { $set: { notebook: notebookId } },
+        apply: note => (String(note.notebook || '') === String(notebookId || '') ? null : { notebook: notebookId }),
+        recordsRevision: false,
+        notebookId
+      };
+    }
+    default:
+      throw createBulkError(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+};
+
+/**
+ * Work out which notes a bulk request targets
+ * Exactly one of ids or filter must be given. Filters use the same
+ * parameters as GET /api/notes, so their values are read as strings; any
+ * other key is refused.
+ * @param {*} ids - List of note IDs
+ * @param {*} filter - Query parameters as accepted by getFilterParams
+ * @returns {Object} { ids } with duplicates removed, or { filter }
+ */
+const parseBulkTarget = (ids, filter) => {
+  if ((ids === undefined) === (filter === undefined)) {
+    throw createBulkError('Provide either ids or filter');
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw createBulkError('ids must be a non-empty list of note IDs');
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (uniqueIds.length > VALIDATION.BULK.MAX_NOTES) {
+      throw createBulkError(`Cannot act on more than ${VALIDATION.BULK.MAX_NOTES} notes at once`);
+    }
+
+    return { ids: uniqueIds };
+  }
+
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw createBulkError('filter must be an object with at least one condition');
+  }
+
+  const unknownKeys = Object.keys(filter).filter(key => !BULK_FILTER_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw createBulkError(`Unknown filter ${unknownKeys.length === 1 ? 'key' : 'keys'}: ${unknownKeys.join(', ')}`);
+  }
+
+  // Empty values are left out, so they cannot widen a filter to every note
+  const query = Object.entries(filter).reduce((conditions, [key, condition]) => {
+    const value = Array.isArray(condition) ? condition.join(',') : condition;
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      conditions[key] = String(value);
+    }
+    return conditions;
+  }, {});
+
+  // recursive only changes how notebook is matched
+  if (Object.keys(query).every(key => key === 'recursive')) {
+    throw createBulkError('filter must be an object with at least one condition');
+  }
+
+  return { filter: query };
+};
+
+module.exports = {
+  planBulkAction,
+  parseBulkTarget
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Line-level text diff
+ *
+ * Uses the longest common subsequence of lines, after stripping the lines the
+ * two texts share at the start and end. Very large edits fall back to
+ * replacing the whole changed region so a diff never costs more than
+ * MAX_DIFF_CELLS steps.
+ */
+
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines, treating \r\n and \n alike
+ * @param {String} text - Text to split
+ * @returns {Array<String>} Lines
+ */
+const splitLines = (text) => {
+  if (text === undefined || text === null || text === '') {
+    return [];
+  }
+
+  return String(text).split(/\r?\n/);
+};
+
+/**
+ * Diff the changed middle region of two texts
+ * @param {Array<String>} before - Old lines
+ * @param {Array<String>} after - New lines
+ * @returns {Array<Object>} Operations in order ('equal', 'removed' or 'added')
+ */
+const diffRegion = (before, after) => {
+  const rows = before.length;
+  const cols = after.length;
+
+  if (rows === 0 || cols === 0 || (rows + 1) * (cols + 1) > MAX_DIFF_CELLS) {
+    return [
+      ...before.map(value => ({ type: 'removed', value })),
+      ...after.map(value => ({ type: 'added', value }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      operations.push({ type: 'equal', value: before[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'removed', value: before[i] });
+      i++;
+    } else {
+      operations.push({ type: 'added', value: after[j] });
+      j++;
+    }
+  }
+
+  while (i < rows) {
+    operations.push({ type: 'removed', value: before[i++] });
+  }
+
+  while (j < cols) {
+    operations.push({ type: 'added', value: after[j++] });
+  }
+
+  return operations;
+};
+
+/**
+ * Compare two texts line by line
+ * @param {String} oldText - Previous text
+ * @param {String} newText - Current text
+ * @returns {Object} Changes with line numbers, plus added/removed/unchanged counts
+ */
+const diffLines = (oldText, newText) => {
+  const before = splitLines(oldText);
+  const after = splitLines(newText);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const operations = [
+    ...before.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...diffRegion(before.slice(start, endBefore), after.slice(start, endAfter)),
+    ...before.slice(endBefore).map(value => ({ type: 'equal', value }))
+  ];
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  let oldLine = 0;
+  let newLine = 0;
+
+  const changes = operations.map(({ type, value }) => {
+    if (type === 'equal') {
+      stats.unchanged++;
+      return { type, value, oldLine: ++oldLine, newLine: ++newLine };
+    }
+
+    if (type === 'removed') {
+      stats.removed++;
+      return { type, value, oldLine: ++oldLine, newLine: null };
+    }
+
+    stats.added++;
+    return { type, value, oldLine: null, newLine: ++newLine };
+  });
+
+  return { changes, ...stats };
+};
+
+module.exports = {
+  diffLines
+};
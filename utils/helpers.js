@@ -1,6 +1,15 @@
 'use strict';
 
-const { VALIDATION } = require('../constants/api');
+const crypto = require('crypto');
+const {
+  HTTP_STATUS,
+  API_MESSAGES,
+  VALIDATION,
+  SERMON_FIELDS,
+  PRAYER_FIELDS
+} = require('../constants/api');
+const { normalizeTagPath, tagsWithDescendants } = require('./tags');
+const { scriptureFilter } = require('./scripture');
 
 /**
  * Sanitize and validate pagination parameters
@@ -44,9 +53,11 @@ const getSortParams = (sortBy = 'createdAt', sortOrder = 'desc') => {
  * Build filter object for MongoDB queries
  * @param {Object} query - Query parameters
  * @returns {Object} MongoDB filter object
+ * @throws {Error} ScriptureError if the scripture filter is not a reference
  */
 const getFilterParams = (query) => {
-  const filter = { isArchived: query.archived === 'true' };
+  // Notes in the trash only appear in the trash listing
+  const filter = { isArchived: query.archived === 'true', deletedAt: null };
 
   // Category filter
   if (query.category) {
@@ -63,18 +74,38 @@ const getFilterParams = (query) => {
     filter.priority = query.priority;
   }
 
-  // Tags filter
+  // Favorite and pinned filters
+  if (query.favorite !== undefined) {
+    filter.isFavorite = query.favorite === 'true';
+  }
+
+  if (query.pinned !== undefined) {
+    filter.isPinned = query.pinned === 'true';
+  }
+
+  // Tags filter; a tag also matches its descendants (books matches books/romans)
   if (query.tags) {
     const tagArray = query.tags
       .split(',')
-      .map(tag => tag.trim())
+      .map(normalizeTagPath)
       .filter(tag => tag.length > 0);
     
     if (tagArray.length > 0) {
-      filter.tags = { $in: tagArray };
+      filter.tags = { $in: tagsWithDescendants(tagArray) };
     }
   }
 
+  // Overdue filter; notes without a due date are never overdue
+  if (query.overdue !== undefined) {
+    const overdue = { $lt: new Date() };
+    filter.dueAt = query.overdue === 'true' ? overdue : { $not: overdue };
+  }
+
+  // Scripture filter; matches notes referencing any verse in the range (Romans 8 matches Romans 8:28)
+  if (query.scripture) {
+    filter.scripture = scriptureFilter(query.scripture);
+  }
+
   // Search filter
   if (query.search && query.search.trim()) {
     const searchTerm = query.search.trim();
@@ -131,6 +162,39 @@ const createErrorResponse = (message = 'An error occurred', statusCode = 500, de
   return response;
 };
 
+/**
+ * Send 400 for a Mongoose ValidationError, listing the failed fields as details
+ * @param {Object} res - Express response object
+ * @param {Object} error - Validation error
+ * @returns {Object} Express response
+ */
+const sendValidationError = (res, error) => {
+  const validationErrors = Object.values(error.errors).map(err => err.message);
+  return res.status(HTTP_STATUS.BAD_REQUEST).json(
+    createErrorResponse(API_MESSAGES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST, validationErrors)
+  );
+};
+
+/**
+ * Send 400 for a malformed ID in the URL
+ * @param {Object} res - Express response object
+ * @param {string} entity - What the ID refers to, such as 'notebook'
+ * @returns {Object} Express response
+ */
+const sendInvalidId = (res, entity) => res.status(HTTP_STATUS.BAD_REQUEST).json(
+  createErrorResponse(`Invalid ${entity} ID format`, HTTP_STATUS.BAD_REQUEST)
+);
+
+/**
+ * Send 404 for something the user does not have
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message, such as API_MESSAGES.NOTEBOOK_NOT_FOUND
+ * @returns {Object} Express response
+ */
+const sendNotFound = (res, message) => res.status(HTTP_STATUS.NOT_FOUND).json(
+  createErrorResponse(message, HTTP_STATUS.NOT_FOUND)
+);
+
 /**
  * Validate and sanitize note data
  * @param {Object} noteData - Note data to validate
@@ -165,7 +229,7 @@ const validateNoteData = (noteData) => {
   // Tags validation and sanitization
   if (noteData.tags && Array.isArray(noteData.tags)) {
     sanitized.tags = noteData.tags
-      .map(tag => tag.toString().toLowerCase().trim())
+      .map(tag => normalizeTagPath(tag))
       .filter(tag => tag.length > 0 && tag.length <= VALIDATION.NOTE.TAG_MAX_LENGTH)
       .slice(0, VALIDATION.NOTE.MAX_TAGS); // Limit number of tags
   }
@@ -180,9 +244,51 @@ const validateNoteData = (noteData) => {
     sanitized.isArchived = noteData.isArchived;
   }
 
+  // Due date; null clears it
+  if (noteData.dueAt !== undefined) {
+    sanitized.dueAt = noteData.dueAt;
+  }
+
+  // Reminder times; whether a reminder fired is tracked by the note, not set by clients
+  if (Array.isArray(noteData.reminders)) {
+    sanitized.reminders = noteData.reminders.map(reminder => ({
+      remindAt: reminder && typeof reminder === 'object' ? reminder.remindAt : reminder
+    }));
+  }
+
+  // Sermon and prayer request metadata; only the known fields are kept and null clears them
+  [['sermon', SERMON_FIELDS], ['prayer', PRAYER_FIELDS]].forEach(([name, fields]) => {
+    const value = noteData[name];
+
+    if (value === null) {
+      sanitized[name] = null;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      sanitized[name] = fields.reduce((metadata, field) => {
+        if (value[field] !== undefined) {
+          metadata[field] = value[field];
+        }
+        return metadata;
+      }, {});
+    }
+  });
+
   return sanitized;
 };
 
+/**
+ * Copy the value of a note field, so that later changes to the note leave the copy alone
+ * Arrays are copied and sub-documents such as reminders, sermon and prayer become plain objects
+ * @param {*} value - Field value
+ * @returns {*} Copy of the value
+ */
+const copyFieldValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(copyFieldValue);
+  }
+
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+};
+
 /**
  * Check if a value is a valid MongoDB ObjectId
  * @param {string} id - ID to validate
@@ -192,6 +298,33 @@ const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
+/**
+ * Build the entity tag for a version of a note
+ * @param {Object} note - Note document or plain object with _id and __v
+ * @returns {string} Quoted strong ETag
+ */
+const createNoteETag = (note) => `"${note._id}-${note.__v || 0}"`;
+
+/**
+ * Check an If-Match or If-None-Match header against an entity tag
+ * Weak validators (W/"...") compare equal to their strong form
+ * @param {string} header - Header value, possibly a comma separated list or *
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} True if the header names the entity tag
+ */
+const etagMatches = (header, etag) => {
+  if (!header) {
+    return false;
+  }
+
+  const strip = value => value.trim().replace(/^W\//, '');
+
+  return header.split(',').some(candidate => {
+    const value = candidate.trim();
+    return value === '*' || strip(value) === strip(etag);
+  });
+};
+
 /**
  * Sanitize user input to prevent XSS and injection attacks
  * @param {string} input - Input string to sanitize
@@ -221,7 +354,7 @@ const validateEmail = (email) => {
 };
 
 /**
- * Generate a random string for tokens/IDs
+ * Generate a cryptographically secure random string for tokens/IDs
  * @param {number} length - Length of random string
  * @returns {string} Random string
  */
@@ -229,20 +362,36 @@ const generateRandomString = (length = 32) => {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let result = '';
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(crypto.randomInt(chars.length));
   }
   return result;
 };
 
+/**
+ * Hash a secret token for storage so a database leak does not expose usable tokens
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 module.exports = {
   getPaginationParams,
   getSortParams,
   getFilterParams,
   createApiResponse,
   createErrorResponse,
+  sendValidationError,
+  sendInvalidId,
+  sendNotFound,
   validateNoteData,
+  copyFieldValue,
   isValidObjectId,
+  createNoteETag,
+  etagMatches,
   sanitizeInput,
   validateEmail,
-  generateRandomString
+  generateRandomString,
+  hashToken
 };
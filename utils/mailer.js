@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail delivery
+ *
+ * Messages are handed to a transport: any object with an async
+ * `send(message)` method. The built-in transports log to the console or
+ * write each message to a file, which is enough for development and tests.
+ * A real provider (SMTP, SES, ...) can be plugged in with `setTransport`.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'JD Notes <no-reply@jdnotes.local>';
+
+/**
+ * Transport that prints messages to the console
+ * Bodies carry password reset and verification links, so they are only
+ * printed in development and test; elsewhere the log shows the recipient and
+ * subject alone.
+ * @returns {Object} Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    const environment = process.env.NODE_ENV || 'development';
+    const body = ['development', 'test'].includes(environment)
+      ? message.text
+      : '[body hidden outside development]';
+
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${body}`);
+  }
+});
+
+/**
+ * Transport that writes every message to a JSON file in a directory
+ * @param {String} directory - Directory the messages are written to
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = (directory = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail')) => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@_-]/g, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  }
+});
+
+/**
+ * Pick the transport configured through MAIL_TRANSPORT
+ * @returns {Object} Mail transport
+ */
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport();
+    case 'console':
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = createDefaultTransport();
+
+/**
+ * Replace the transport used to deliver mail
+ * @param {Object} nextTransport - Object with an async send(message) method
+ */
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+
+  transport = nextTransport;
+};
+
+/**
+ * Get the transport currently used to deliver mail
+ * @returns {Object} Mail transport
+ */
+const getTransport = () => transport;
+
+/**
+ * Send an email
+ * @param {Object} options - Message options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.subject - Subject line
+ * @param {String} options.text - Plain text body
+ * @returns {Promise<Object>} The message that was sent
+ */
+const sendMail = async ({ to, subject, text }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires a recipient, subject and text');
+  }
+
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    date: new Date().toISOString()
+  };
+
+  await transport.send(message);
+
+  return message;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+const { HTTP_STATUS } = require('../constants/api');
+
+/**
+ * Notebook hierarchy helpers
+ *
+ * A user has few enough notebooks that the whole hierarchy is loaded at once
+ * (only _id and parent for lookups) and walked in memory.
+ */
+
+/**
+ * Create a notebook error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code to respond with
+ * @returns {Error} Error named NotebookError
+ */
+const createNotebookError = (message, statusCode = HTTP_STATUS.BAD_REQUEST) => {
+  const error = new Error(message);
+  error.name = 'NotebookError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Group notebooks by the ID of their parent
+ * @param {Array<Object>} notebooks - Notebooks with _id and parent
+ * @returns {Map<string, Array<Object>>} Children keyed by parent ID ('' for top level)
+ */
+const groupByParent = (notebooks) => notebooks.reduce((children, notebook) => {
+  const key = notebook.parent ? String(notebook.parent) : '';
+  children.set(key, [...(children.get(key) || []), notebook]);
+  return children;
+}, new Map());
+
+/**
+ * Collect the IDs of a notebook and all notebooks nested inside it
+ * @param {Array<Object>} notebooks - All of a user's notebooks, with _id and parent
+ * @param {string} rootId - Notebook at the top of the subtree
+ * @returns {Array|null} IDs with the root first, or null if rootId is not among the notebooks
+ */
+const collectDescendantIds = (notebooks, rootId) => {
+  const root = notebooks.find(notebook => String(notebook._id) === String(rootId));
+  if (!root) {
+    return null;
+  }
+
+  const children = groupByParent(notebooks);
+  const ids = [];
+  const pending = [root];
+
+  while (pending.length > 0) {
+    const notebook = pending.shift();
+    ids.push(notebook._id);
+    pending.push(...(children.get(String(notebook._id)) || []));
+  }
+
+  return ids;
+};
+
+/**
+ * Add note counts to notebooks and nest them under their parents
+ * noteCount counts the notes directly in a notebook; totalNoteCount also
+ * counts the notes in every notebook nested inside it
+ * @param {Array<Object>} notebooks - All of a user's notebooks
+ * @param {Map<string, number>} noteCounts - Note counts keyed by notebook ID
+ * @returns {Object} { notebooks: flat list with counts, tree: top-level notebooks with children }
+ */
+const buildNotebookTree = (notebooks, noteCounts) => {
+  const children = groupByParent(notebooks);
+
+  const toNode = (notebook) => {
+    const id = String(notebook._id);
+    const nested = (children.get(id) || []).map(toNode);
+
+    return {
+      ...notebook,
+      noteCount: noteCounts.get(id) || 0,
+      totalNoteCount: nested.reduce((total, child) => total + child.totalNoteCount, noteCounts.get(id) || 0),
+      children: nested
+    };
+  };
+
+  const tree = (children.get('') || []).map(toNode);
+
+  const flatten = nodes => nodes.flatMap(({ children: nested, ...node }) => [node, ...flatten(nested)]);
+
+  return { notebooks: flatten(tree), tree };
+};
+
+module.exports = {
+  createNotebookError,
+  collectDescendantIds,
+  buildNotebookTree
+};
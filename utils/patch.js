@@ -0,0 +1,317 @@
+'use strict';
+
+const { HTTP_STATUS } = require('../constants/api');
+
+/**
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902)
+ *
+ * Both functions return a new document and never modify their input.
+ * Problems are reported as errors named PatchError whose statusCode says
+ * whether the patch was malformed (400), could not be applied (422) or
+ * failed a `test` operation (409).
+ */
+
+const JSON_PATCH_OPERATIONS = Object.freeze(['add', 'remove', 'replace', 'move', 'copy', 'test']);
+
+// Member names that would reach an object's prototype
+const UNSAFE_KEYS = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Create a patch error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code to respond with
+ * @returns {Error} Error named PatchError
+ */
+const createPatchError = (message, statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY) => {
+  const error = new Error(message);
+  error.name = 'PatchError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check for a JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - JSON value
+ * @returns {*} Copy
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Apply a JSON Merge Patch
+ * Objects are merged recursively, null removes a member and anything else replaces it
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched document
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (UNSAFE_KEYS.includes(key)) {
+      return;
+    }
+
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped reference tokens
+ * @param {string} pointer - JSON Pointer such as /tags/0
+ * @returns {Array<string>} Reference tokens
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw createPatchError(`Invalid JSON Pointer: ${pointer}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (pointer === '') {
+    return [];
+  }
+
+  const tokens = pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (tokens.some(token => UNSAFE_KEYS.includes(token))) {
+    throw createPatchError(`Invalid JSON Pointer: ${pointer}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return tokens;
+};
+
+/**
+ * Resolve an array index token
+ * @param {Array} array - Array being addressed
+ * @param {string} token - Reference token
+ * @param {boolean} allowEnd - Whether "-" and the length (append position) are valid
+ * @returns {number} Index
+ */
+const toIndex = (array, token, allowEnd) => {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw createPatchError(`Invalid array index: ${token}`);
+  }
+
+  const index = Number(token);
+  if (index > array.length || (index === array.length && !allowEnd)) {
+    throw createPatchError(`Array index out of bounds: ${token}`);
+  }
+
+  return index;
+};
+
+/**
+ * Find the container a pointer refers into
+ * @param {*} document - Document root
+ * @param {Array<string>} tokens - Reference tokens (at least one)
+ * @returns {Object} Parent container and the final token
+ */
+const resolveParent = (document, tokens) => {
+  let parent = document;
+
+  tokens.slice(0, -1).forEach(token => {
+    if (Array.isArray(parent)) {
+      parent = parent[toIndex(parent, token, false)];
+    } else if (isPlainObject(parent) && Object.prototype.hasOwnProperty.call(parent, token)) {
+      parent = parent[token];
+    } else {
+      throw createPatchError(`Path not found: /${tokens.join('/')}`);
+    }
+  });
+
+  if (!Array.isArray(parent) && !isPlainObject(parent)) {
+    throw createPatchError(`Path not found: /${tokens.join('/')}`);
+  }
+
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Read the value a pointer refers to
+ * @param {*} document - Document root
+ * @param {Array<string>} tokens - Reference tokens
+ * @returns {*} Value
+ */
+const getValue = (document, tokens) => {
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const { parent, key } = resolveParent(document, tokens);
+
+  if (Array.isArray(parent)) {
+    return parent[toIndex(parent, key, false)];
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw createPatchError(`Path not found: /${tokens.join('/')}`);
+  }
+
+  return parent[key];
+};
+
+/**
+ * Add a value, inserting into arrays and replacing object members
+ * @param {*} document - Document root
+ * @param {Array<string>} tokens - Reference tokens
+ * @param {*} value - Value to add
+ * @returns {*} Document root (a new root when the pointer is empty)
+ */
+const addValue = (document, tokens, value) => {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, tokens);
+
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+
+  return document;
+};
+
+/**
+ * Remove the value a pointer refers to
+ * @param {*} document - Document root
+ * @param {Array<string>} tokens - Reference tokens
+ * @returns {*} Document root
+ */
+const removeValue = (document, tokens) => {
+  if (tokens.length === 0) {
+    throw createPatchError('Cannot remove the whole document');
+  }
+
+  const { parent, key } = resolveParent(document, tokens);
+
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, key, false), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+    delete parent[key];
+  } else {
+    throw createPatchError(`Path not found: /${tokens.join('/')}`);
+  }
+
+  return document;
+};
+
+/**
+ * Compare two JSON values structurally, as required by the test operation
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const isEqual = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+
+  return a === b;
+};
+
+/**
+ * Check that a patch is a list of well-formed operations
+ * @param {*} operations - Request body
+ */
+const validateJsonPatch = (operations) => {
+  if (!Array.isArray(operations)) {
+    throw createPatchError('JSON Patch must be an array of operations', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      throw createPatchError(
+        `Operation ${index} must have an op of: ${JSON_PATCH_OPERATIONS.join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    parsePointer(operation.path);
+
+    if (['move', 'copy'].includes(operation.op)) {
+      parsePointer(operation.from);
+    }
+
+    if (['add', 'replace', 'test'].includes(operation.op) && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+      throw createPatchError(`Operation ${index} (${operation.op}) requires a value`, HTTP_STATUS.BAD_REQUEST);
+    }
+  });
+};
+
+/**
+ * Apply a JSON Patch
+ * Operations are applied in order; if any fails, the whole patch fails
+ * @param {*} document - Document to patch
+ * @param {Array<Object>} operations - JSON Patch operations
+ * @returns {*} Patched document
+ */
+const applyJsonPatch = (document, operations) => {
+  validateJsonPatch(operations);
+
+  return operations.reduce((current, operation) => {
+    const path = parsePointer(operation.path);
+
+    switch (operation.op) {
+      case 'add':
+        return addValue(current, path, clone(operation.value));
+      case 'remove':
+        return removeValue(current, path);
+      case 'replace':
+        getValue(current, path);
+        return addValue(path.length ? removeValue(current, path) : current, path, clone(operation.value));
+      case 'move': {
+        const from = parsePointer(operation.from);
+        if (operation.path.startsWith(`${operation.from}/`)) {
+          throw createPatchError('Cannot move a value into one of its children');
+        }
+        const value = getValue(current, from);
+        return addValue(removeValue(current, from), path, value);
+      }
+      case 'copy':
+        return addValue(current, path, clone(getValue(current, parsePointer(operation.from))));
+      case 'test':
+        if (!isEqual(getValue(current, path), operation.value)) {
+          throw createPatchError(`Test failed at ${operation.path}`, HTTP_STATUS.CONFLICT);
+        }
+        return current;
+      default:
+        return current;
+    }
+  }, clone(document));
+};
+
+module.exports = {
+  applyMergePatch,
+  applyJsonPatch,
+  validateJsonPatch,
+  parsePointer
+};
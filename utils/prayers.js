@@ -0,0 +1,70 @@
+'use strict';
+
+const { PRAYER_STATUSES } = require('../constants/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count the whole days a prayer request stayed open
+ * A request is open until it is answered or closed; one still open counts up to now.
+ * @param {Object} prayer - Prayer request of a note
+ * @param {Date} now - Current time
+ * @returns {number} Days open
+ */
+const getDaysOpen = (prayer, now = new Date()) => {
+  const end = prayer.answeredAt || prayer.closedAt || now;
+  return Math.max(0, Math.floor((new Date(end) - new Date(prayer.openedAt)) / DAY_MS));
+};
+
+/**
+ * Group prayer request notes by status
+ * Requests still open or ongoing come longest open first; answered and closed
+ * requests come most recently settled first.
+ * @param {Array<Object>} notes - Notes with _id, title, category and prayer
+ * @param {Date} now - Current time
+ * @returns {Object} For every status in PRAYER_STATUSES, its count, averageDaysOpen
+ *   (null without requests) and requests; each request has id, title, category,
+ *   the prayer fields and daysOpen
+ */
+const groupPrayersByStatus = (notes, now = new Date()) => {
+  const groups = Object.fromEntries(PRAYER_STATUSES.map(status => [status, []]));
+
+  notes.forEach(note => {
+    const { prayer } = note;
+    groups[prayer.status].push({
+      id: note._id,
+      title: note.title,
+      category: note.category,
+      requester: prayer.requester,
+      status: prayer.status,
+      openedAt: prayer.openedAt,
+      answeredAt: prayer.answeredAt,
+      closedAt: prayer.closedAt,
+      followUpAt: prayer.followUpAt,
+      testimony: prayer.testimony,
+      daysOpen: getDaysOpen(prayer, now)
+    });
+  });
+
+  const settledAt = request => new Date(request.answeredAt || request.closedAt || 0);
+
+  return Object.fromEntries(PRAYER_STATUSES.map(status => {
+    const requests = groups[status].sort((a, b) => (
+      status === 'answered' || status === 'closed'
+        ? settledAt(b) - settledAt(a)
+        : new Date(a.openedAt) - new Date(b.openedAt)
+    ));
+    const totalDays = requests.reduce((sum, request) => sum + request.daysOpen, 0);
+
+    return [status, {
+      count: requests.length,
+      averageDaysOpen: requests.length > 0 ? Math.round((totalDays / requests.length) * 10) / 10 : null,
+      requests
+    }];
+  }));
+};
+
+module.exports = {
+  getDaysOpen,
+  groupPrayersByStatus
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+const ms = require('ms');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+/**
+ * Note reminders
+ *
+ * A job hands every reminder whose time has come to a notifier: any object
+ * with an async `notify(reminder)` method. Each reminder is marked as fired
+ * before it is handed over, so it goes out at most once, even after a restart
+ * or with the job running in several processes. The built-in notifiers log to
+ * the console or email the note's owner; others can be plugged in with
+ * `setNotifier`.
+ */
+
+/**
+ * Notifier that prints reminders to the console
+ * @returns {Object} Reminder notifier
+ */
+const createConsoleNotifier = () => ({
+  name: 'console',
+  notify: async (reminder) => {
+    const due = reminder.dueAt ? ` (due ${new Date(reminder.dueAt).toISOString()})` : '';
+    console.log(`⏰ Reminder for ${reminder.owner}: ${reminder.title}${due}`);
+  }
+});
+
+/**
+ * Notifier that emails reminders to the owner of the note
+ * Reminders of deleted or deactivated accounts are dropped.
+ * @returns {Object} Reminder notifier
+ */
+const createEmailNotifier = () => ({
+  name: 'email',
+  notify: async (reminder) => {
+    const user = await User.findById(reminder.owner).select('email isActive').lean();
+
+    if (!user || !user.isActive) {
+      return;
+    }
+
+    const due = reminder.dueAt ? `It is due on ${new Date(reminder.dueAt).toUTCString()}.` : '';
+
+    await sendMail({
+      to: user.email,
+      subject: `Reminder: ${reminder.title}`,
+      text: `This is your reminder for the note "${reminder.title}". ${due}`.trim()
+    });
+  }
+});
+
+/**
+ * Pick the notifier configured through REMINDER_NOTIFIER
+ * Outside production it defaults to the console; production has to choose
+ * one, so reminders are never quietly logged instead of sent. It is only
+ * read when reminders are sent, so a missing setting never stops the server.
+ * @returns {Object} Reminder notifier
+ * @throws {Error} If REMINDER_NOTIFIER is unknown, or missing in production
+ */
+const createDefaultNotifier = () => {
+  const name = process.env.REMINDER_NOTIFIER
+    || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+  switch (name) {
+    case 'email':
+      return createEmailNotifier();
+    case 'console':
+      return createConsoleNotifier();
+    case null:
+      throw new Error('REMINDER_NOTIFIER must be set to console or email in production');
+    default:
+      throw new Error(`Unknown REMINDER_NOTIFIER "${name}"; use console or email`);
+  }
+};
+
+// Picked on first use; see getNotifier
+let notifier = null;
+
+/**
+ * Replace the notifier reminders are sent to
+ * @param {Object} nextNotifier - Object with an async notify(reminder) method
+ */
+const setNotifier = (nextNotifier) => {
+  if (!nextNotifier || typeof nextNotifier.notify !== 'function') {
+    throw new Error('Reminder notifier must implement notify(reminder)');
+  }
+
+  notifier = nextNotifier;
+};
+
+/**
+ * Get the notifier reminders are sent to
+ * @returns {Object} Reminder notifier
+ * @throws {Error} If no notifier was set and REMINDER_NOTIFIER is unusable
+ */
+const getNotifier = () => {
+  if (!notifier) {
+    notifier = createDefaultNotifier();
+  }
+
+  return notifier;
+};
+
+/**
+ * Read how often the reminder job runs
+ * @returns {number} Interval in milliseconds
+ */
+const getReminderInterval = () => ms(process.env.REMINDER_INTERVAL || '1m') || ms('1m');
+
+/**
+ * Send every reminder that is due and has not fired yet
+ * Archived notes and notes in the trash are left out. A reminder that another
+ * run already marked as fired is skipped. A reminder whose notifier fails
+ * stays fired and is logged rather than sent twice. Without a usable notifier
+ * nothing is claimed or sent; the run is logged and skipped.
+ * @param {Date} now - Current time
+ * @param {number} batchSize - Most notes handled per run; the rest wait for the next run
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async (now = new Date(), batchSize = 500) => {
+  let activeNotifier;
+
+  try {
+    activeNotifier = getNotifier();
+  } catch (error) {
+    console.error('Reminders skipped:', error.message);
+    return 0;
+  }
+
+  const notes = await Note.find({
+    deletedAt: null,
+    isArchived: false,
+    reminders: { $elemMatch: { firedAt: null, remindAt: { $lte: now } } }
+  })
+    .select('owner title dueAt reminders')
+    .limit(batchSize)
+    .lean();
+
+  let sent = 0;
+
+  for (const note of notes) {
+    const due = note.reminders.filter(reminder => !reminder.firedAt && new Date(reminder.remindAt) <= now);
+
+    for (const { remindAt } of due) {
+      // Claim the reminder; the note only matches while nobody else has
+      const { modifiedCount } = await Note.updateOne(
+        { _id: note._id, reminders: { $elemMatch: { remindAt, firedAt: null } } },
+        { $set: { 'reminders.$.firedAt': now }, $inc: { __v: 1 } },
+        { timestamps: false }
+      );
+
+      if (modifiedCount === 0) {
+        continue;
+      }
+
+      try {
+        await activeNotifier.notify({
+          noteId: note._id,
+          owner: note.owner,
+          title: note.title,
+          dueAt: note.dueAt || null,
+          remindAt
+        });
+        sent += 1;
+      } catch (error) {
+        console.error(`Failed to send reminder for note ${note._id}:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  setNotifier,
+  getNotifier,
+  createConsoleNotifier,
+  createEmailNotifier,
+  getReminderInterval,
+  sendDueReminders
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const { getTrashPurgeInterval, purgeExpiredTrash } = require('./trash');
+const { getReminderInterval, sendDueReminders } = require('./reminders');
+
+/**
+ * In-process job scheduler
+ *
+ * Runs recurring maintenance tasks on an interval while the server is up.
+ * A run is skipped if the previous one is still going, and failures are
+ * logged without stopping the job. Serverless deployments, where no process
+ * stays up, run the same tasks from the npm scripts instead.
+ */
+
+const jobs = new Map();
+
+/**
+ * Run a job now unless it is already running
+ * @param {string} name - Job name
+ * @returns {Promise<*>} Task result, or undefined if the run was skipped
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    return undefined;
+  }
+
+  job.running = true;
+
+  try {
+    return await job.task();
+  } catch (error) {
+    console.error(`Scheduled job "${name}" failed:`, error.message);
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Register a task to run every interval
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @param {Function} task - Async function to run
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  const job = { task, running: false, timer: null };
+  jobs.set(name, job);
+
+  job.timer = setInterval(() => runJob(name), intervalMs);
+  // Never keep the process alive just for maintenance
+  job.timer.unref();
+};
+
+/**
+ * Stop and remove every scheduled job
+ */
+const stopJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
+
+/**
+ * Schedule the application's maintenance jobs
+ */
+const startScheduledJobs = () => {
+  scheduleJob('purge-trash', getTrashPurgeInterval(), async () => {
+    const purged = await purgeExpiredTrash();
+
+    if (purged > 0) {
+      console.log(`🗑️  Purged ${purged} notes from the trash`);
+    }
+
+    return purged;
+  });
+
+  scheduleJob('send-reminders', getReminderInterval(), () => sendDueReminders());
+};
+
+module.exports = {
+  scheduleJob,
+  runJob,
+  stopJobs,
+  startScheduledJobs
+};
@@ -0,0 +1,355 @@
+'use strict';
+
+const { HTTP_STATUS, VALIDATION } = require('../constants/api');
+const { BIBLE_BOOKS } = require('../constants/scripture');
+
+/**
+ * Scripture reference helpers
+ *
+ * References such as "Rom 8:28", "Romans 5:3-4" or "John 3:16-4:2" are parsed
+ * into ranges within one book. Besides chapter and verse, each end of a range
+ * is encoded as a single number, chapter * 1000 + verse, so that two ranges of
+ * the same book overlap when each one starts before the other ends. A
+ * reference to whole chapters runs from verse 0 of the first to verse 999 of
+ * the last.
+ */
+
+const VERSE_SCALE = 1000;
+const WHOLE_CHAPTER_END = VERSE_SCALE - 1;
+
+const NUMBER_WORDS = { i: '1', ii: '2', iii: '3', first: '1', second: '2', third: '3', '1st': '1', '2nd': '2', '3rd': '3' };
+
+/**
+ * Reduce a book name or abbreviation to its lookup key ('1 Cor.' and 'I cor' become '1cor')
+ * @param {string} name - Book name as written
+ * @returns {string} Lookup key
+ */
+const bookKey = (name) => name
+  .toLowerCase()
+  .replace(/\./g, '')
+  .trim()
+  .replace(/^(iii|ii|i|first|second|third|1st|2nd|3rd)\s+/, (prefix, word) => NUMBER_WORDS[word])
+  .replace(/\s+/g, '');
+
+// Every book, with its canonical number (1 for Genesis), keyed by name and abbreviations
+const BOOKS_BY_KEY = new Map(BIBLE_BOOKS.flatMap((book, index) => {
+  const entry = { ...book, number: index + 1 };
+  return [book.name, ...book.abbreviations].map(alias => [bookKey(alias), entry]);
+}));
+
+const BOOK = '(?:(?:[123](?:st|nd|rd)?\\s*|(?:I{1,3}|First|Second|Third)\\s+))?[A-Za-z]+(?:\\s+of\\s+(?:Songs|Solomon))?\\.?';
+const DASH = '\\s*[-\u2013\u2014]\\s*';
+const CHAPTER_VERSE = `(\\d{1,3})(?:\\s*:\\s*(\\d{1,3}))?`;
+
+// Book, chapter[:verse], then optionally -verse, -chapter or -chapter:verse
+const REFERENCE_PATTERN = new RegExp(
+  `\\b(${BOOK})\\s*${CHAPTER_VERSE}(?:${DASH}${CHAPTER_VERSE})?(?![\\d:])`,
+  'gi'
+);
+
+// Further references to the same book: "Romans 5:3-4, 8; 8:28". A number
+// followed by a book name ("Romans 5:3, 2 Corinthians 4") starts a new reference.
+const CONTINUATION_PATTERN = new RegExp(
+  `\\s*([,;])\\s*${CHAPTER_VERSE}(?:${DASH}${CHAPTER_VERSE})?(?![\\d:]|\\s*[A-Za-z]+\\.?\\s*\\d)`,
+  'y'
+);
+
+/**
+ * Create a scripture error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code to respond with
+ * @returns {Error} Error named ScriptureError
+ */
+const createScriptureError = (message, statusCode = HTTP_STATUS.BAD_REQUEST) => {
+  const error = new Error(message);
+  error.name = 'ScriptureError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Look up a book by its name or one of its abbreviations
+ * @param {string} name - Book name as written
+ * @returns {Object|null} Book with name, chapters, abbreviations and number, or null if unknown
+ */
+const findBook = (name) => BOOKS_BY_KEY.get(bookKey(String(name))) || null;
+
+/**
+ * Format a range the way it is shown to users ("Romans 8", "Romans 5:3-4", "John 3:16-4:2")
+ * @param {Object} range - Range with book, chapter, verse, endChapter and endVerse
+ * @returns {string} Reference text
+ */
+const formatReference = ({ book, chapter, verse, endChapter, endVerse }) => {
+  if (verse === null) {
+    return chapter === endChapter ? `${book} ${chapter}` : `${book} ${chapter}-${endChapter}`;
+  }
+
+  if (chapter !== endChapter) {
+    return `${book} ${chapter}:${verse}-${endChapter}:${endVerse}`;
+  }
+
+  return verse === endVerse ? `${book} ${chapter}:${verse}` : `${book} ${chapter}:${verse}-${endVerse}`;
+};
+
+/**
+ * Build a range from the numbers of a reference
+ * In a book of one chapter, numbers without a colon are verses ("Jude 3").
+ * @param {Object} book - Book from findBook
+ * @param {string} chapter - First chapter
+ * @param {string} [verse] - First verse
+ * @param {string} [to] - Last chapter, or last verse if verse is given and toVerse is not
+ * @param {string} [toVerse] - Last verse
+ * @returns {Object|null} Range, or null if it does not exist in the book
+ */
+const createRange = (book, chapter, verse, to, toVerse) => {
+  if (book.chapters === 1 && verse === undefined && toVerse === undefined) {
+    return createRange(book, '1', chapter, to);
+  }
+
+  const start = { chapter: Number(chapter), verse: verse === undefined ? null : Number(verse) };
+  let end = { ...start };
+
+  if (toVerse !== undefined) {
+    end = { chapter: Number(to), verse: Number(toVerse) };
+  } else if (to !== undefined) {
+    end = start.verse === null ? { chapter: Number(to), verse: null } : { chapter: start.chapter, verse: Number(to) };
+  }
+
+  // "Romans 8-9:5" starts at the first verse of chapter 8
+  if (start.verse === null && end.verse !== null) {
+    start.verse = 1;
+  }
+
+  const range = {
+    book: book.name,
+    bookNumber: book.number,
+    chapter: start.chapter,
+    verse: start.verse,
+    endChapter: end.chapter,
+    endVerse: end.verse,
+    start: start.chapter * VERSE_SCALE + (start.verse === null ? 0 : start.verse),
+    end: end.chapter * VERSE_SCALE + (end.verse === null ? WHOLE_CHAPTER_END : end.verse)
+  };
+
+  const exists = [start, end].every(({ chapter: c, verse: v }) => c >= 1 && c <= book.chapters && v !== 0)
+    && range.start <= range.end;
+
+  return exists ? { ...range, reference: formatReference(range) } : null;
+};
+
+/**
+ * Build the range covering a whole book
+ * @param {Object} book - Book from findBook
+ * @returns {Object} Range from the first to the last chapter
+ */
+const createBookRange = (book) => {
+  const range = {
+    book: book.name,
+    bookNumber: book.number,
+    chapter: 1,
+    verse: null,
+    endChapter: book.chapters,
+    endVerse: null,
+    start: 0,
+    end: book.chapters * VERSE_SCALE + WHOLE_CHAPTER_END
+  };
+
+  // "Jude 1" would read as the first verse of Jude, so a book of one chapter is named alone
+  return { ...range, reference: book.chapters === 1 ? book.name : formatReference(range) };
+};
+
+/**
+ * Combine lists of ranges into distinct ranges in canonical order
+ * @param {...Array<Object>} lists - Ranges
+ * @returns {Array<Object>} Ranges without duplicates, at most MAX_SCRIPTURE_REFERENCES
+ */
+const mergeScriptureRanges = (...lists) => [...new Map(lists.flat().map(range => [range.reference, range])).values()]
+  .sort((a, b) => a.bookNumber - b.bookNumber || a.start - b.start || a.end - b.end)
+  .slice(0, VALIDATION.NOTE.MAX_SCRIPTURE_REFERENCES);
+
+/**
+ * Find the scripture references in a text
+ * A reference needs at least a chapter, so a bare "John" is not one. In notes
+ * (strict mode) the book must also be capitalized, so that words such as
+ * "job 3" or "ex 2" are not taken for references.
+ * @param {string} text - Text to search
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Require capitalized book names
+ * @returns {Array<Object>} Distinct ranges in canonical order, each with book,
+ *   bookNumber, chapter, verse, endChapter, endVerse, start, end and reference
+ *   (verse and endVerse are null for whole chapters)
+ */
+const parseScriptureReferences = (text, { strict = true } = {}) => {
+  const pattern = new RegExp(REFERENCE_PATTERN.source, REFERENCE_PATTERN.flags);
+  const continuation = new RegExp(CONTINUATION_PATTERN.source, CONTINUATION_PATTERN.flags);
+  const source = typeof text === 'string' ? text : '';
+  const ranges = new Map();
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const [, bookText, chapter, verse, to, toVerse] = match;
+    const book = findBook(bookText);
+
+    if (!book || (strict && !/^[\dA-Z]/.test(bookText))) {
+      // Not a book: a real reference may start within the match ("Read 1 Cor 13")
+      pattern.lastIndex = match.index + 1;
+      continue;
+    }
+
+    let range = createRange(book, chapter, verse, to, toVerse);
+    continuation.lastIndex = pattern.lastIndex;
+
+    while (range) {
+      ranges.set(range.reference, range);
+
+      const next = continuation.exec(source);
+      if (!next) {
+        break;
+      }
+
+      const [, separator, first, firstVerse, second, secondVerse] = next;
+
+      // After a verse, ", 8" is another verse of the same chapter; otherwise it is a chapter
+      range = separator === ',' && firstVerse === undefined && range.verse !== null
+        ? createRange(book, String(range.endChapter), first, second, secondVerse)
+        : createRange(book, first, firstVerse, second, secondVerse);
+      pattern.lastIndex = continuation.lastIndex;
+    }
+  }
+
+  return mergeScriptureRanges([...ranges.values()]);
+};
+
+/**
+ * Parse passages given on their own, such as a query or a sermon's main text,
+ * where a book name alone stands for the whole book and case does not matter
+ * ("romans 8", "Jude")
+ * @param {*} value - Passages as written
+ * @returns {Array<Object>} Ranges, empty if the value holds no reference
+ */
+const parsePassages = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  const ranges = parseScriptureReferences(text, { strict: false });
+
+  if (ranges.length > 0) {
+    return ranges;
+  }
+
+  const book = text.length > 0 ? findBook(text) : null;
+  return book ? [createBookRange(book)] : [];
+};
+
+/**
+ * Parse the scripture references of a query
+ * @param {*} value - Query value
+ * @returns {Array<Object>} Ranges, at least one
+ * @throws {Error} ScriptureError if the value holds no reference
+ */
+const parseScriptureQuery = (value) => {
+  const ranges = parsePassages(value);
+
+  if (ranges.length === 0) {
+    throw createScriptureError(`"${typeof value === 'string' ? value.trim() : ''}" is not a valid scripture reference`);
+  }
+
+  return ranges;
+};
+
+/**
+ * Normalize a single passage ("rom 8:28" becomes "Romans 8:28")
+ * @param {*} value - Passage as written
+ * @returns {string|null} Reference of the first passage in canonical order, or null if there is none
+ */
+const normalizePassage = (value) => {
+  const [range] = parsePassages(value);
+  return range ? range.reference : null;
+};
+
+/**
+ * Build the MongoDB condition matching notes with a reference that overlaps the query
+ * @param {*} value - Query value, such as "Romans 8" or "John 3:16; Rom 5"
+ * @returns {Object} $elemMatch condition for the scripture field
+ * @throws {Error} ScriptureError if the value holds no reference
+ */
+const scriptureFilter = (value) => {
+  const conditions = parseScriptureQuery(value).map(({ book, start, end }) => ({
+    book,
+    start: { $lte: end },
+    end: { $gte: start }
+  }));
+
+  return { $elemMatch: conditions.length === 1 ? conditions[0] : { $or: conditions } };
+};
+
+/**
+ * Group notes by the books and chapters they reference
+ * A note is listed under every chapter its references cover, so a note on
+ * John 3:16-4:2 appears under John 3 and John 4. Notes keep their order.
+ * @param {Array<Object>} notes - Notes with _id, title, category, createdAt and scripture
+ * @returns {Array<Object>} Books in canonical order, each with book, bookNumber, noteCount
+ *   and chapters; each chapter has chapter, noteCount and notes, and each note has id,
+ *   title, category, createdAt and the references that fall in the chapter
+ */
+const buildScriptureIndex = (notes) => {
+  const books = new Map();
+
+  notes.forEach(note => {
+    const id = String(note._id);
+
+    note.scripture.forEach(range => {
+      if (!books.has(range.book)) {
+        books.set(range.book, { book: range.book, bookNumber: range.bookNumber, noteIds: new Set(), chapters: new Map() });
+      }
+
+      const book = books.get(range.book);
+      book.noteIds.add(id);
+
+      for (let chapter = range.chapter; chapter <= range.endChapter; chapter += 1) {
+        if (!book.chapters.has(chapter)) {
+          book.chapters.set(chapter, new Map());
+        }
+
+        const chapterNotes = book.chapters.get(chapter);
+        if (!chapterNotes.has(id)) {
+          chapterNotes.set(id, {
+            id: note._id,
+            title: note.title,
+            category: note.category,
+            createdAt: note.createdAt,
+            references: []
+          });
+        }
+
+        chapterNotes.get(id).references.push(range.reference);
+      }
+    });
+  });
+
+  return [...books.values()]
+    .sort((a, b) => a.bookNumber - b.bookNumber)
+    .map(({ book, bookNumber, noteIds, chapters }) => ({
+      book,
+      bookNumber,
+      noteCount: noteIds.size,
+      chapters: [...chapters.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([chapter, chapterNotes]) => ({
+          chapter,
+          noteCount: chapterNotes.size,
+          notes: [...chapterNotes.values()]
+        }))
+    }));
+};
+
+module.exports = {
+  createScriptureError,
+  findBook,
+  formatReference,
+  parseScriptureReferences,
+  parsePassages,
+  mergeScriptureRanges,
+  parseScriptureQuery,
+  normalizePassage,
+  scriptureFilter,
+  buildScriptureIndex
+};
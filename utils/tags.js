@@ -0,0 +1,141 @@
+'use strict';
+
+const { HTTP_STATUS, VALIDATION } = require('../constants/api');
+
+/**
+ * Tag helpers
+ *
+ * Tags are stored on each note rather than in a collection of their own, so
+ * renaming, merging or deleting a tag rewrites the tag list of every note
+ * that carries it.
+ *
+ * A tag can be a path of `/`-separated segments, such as `books/romans`.
+ * `books` is then the parent of `books/romans`: filtering by `books` also
+ * matches its descendants, and renaming it renames them too. The parent does
+ * not have to be used on any note itself.
+ */
+
+const TAG_SEPARATOR = '/';
+
+/**
+ * Create a tag error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code to respond with
+ * @returns {Error} Error named TagError
+ */
+const createTagError = (message, statusCode = HTTP_STATUS.BAD_REQUEST) => {
+  const error = new Error(message);
+  error.name = 'TagError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Normalize a tag the way tags are stored: lowercase, with every path segment
+ * trimmed and empty segments dropped (' Books / Romans/ ' becomes 'books/romans')
+ * @param {*} value - Tag
+ * @returns {string} Normalized tag, empty if nothing is left
+ */
+const normalizeTagPath = (value) => String(value)
+  .toLowerCase()
+  .split(TAG_SEPARATOR)
+  .map(segment => segment.trim())
+  .filter(segment => segment.length > 0)
+  .join(TAG_SEPARATOR);
+
+/**
+ * Normalize a tag from a request, rejecting empty or overlong tags
+ * @param {*} value - Tag from the request
+ * @param {string} label - Field name used in the error message
+ * @returns {string} Normalized tag
+ */
+const normalizeTag = (value, label = 'tag') => {
+  const tag = typeof value === 'string' ? normalizeTagPath(value) : '';
+
+  if (tag.length === 0 || tag.length > VALIDATION.NOTE.TAG_MAX_LENGTH) {
+    throw createTagError(`${label} must be a tag of 1-${VALIDATION.NOTE.TAG_MAX_LENGTH} characters`);
+  }
+
+  return tag;
+};
+
+/**
+ * Check whether a tag is another tag or one of its descendants
+ * @param {string} tag - Tag to check
+ * @param {string} ancestor - Possible ancestor
+ * @returns {boolean} True if tag is ancestor or nested under it
+ */
+const isWithinTag = (tag, ancestor) => tag === ancestor || tag.startsWith(`${ancestor}${TAG_SEPARATOR}`);
+
+/**
+ * Build the values of a MongoDB $in condition matching tags and their descendants
+ * The descendant patterns are anchored prefixes, so they can use the tags index.
+ * @param {Array<string>} tags - Normalized tags
+ * @returns {Array<string|RegExp>} Each tag followed by a pattern for its descendants
+ */
+const tagsWithDescendants = (tags) => tags.flatMap(tag => [
+  tag,
+  new RegExp(`^${tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}${TAG_SEPARATOR}`)
+]);
+
+/**
+ * Move a tag and its descendants under a new name ('books/romans' renamed
+ * from 'books' to 'library' becomes 'library/romans'); other tags are kept
+ * @param {string} tag - Tag to rename
+ * @param {string} from - Renamed tag
+ * @param {string} to - New name
+ * @returns {string} Renamed tag
+ */
+const renameTagPath = (tag, from, to) => (isWithinTag(tag, from) ? `${to}${tag.slice(from.length)}` : tag);
+
+/**
+ * Rewrite a note's tag list, keeping the order and dropping duplicates
+ * @param {Array<string>} tags - Current tags of the note
+ * @param {Function} rewrite - Returns the new tag for a tag, or null to remove it
+ * @returns {Array<string>} New tag list
+ */
+const rewriteTags = (tags, rewrite) => [...new Set(tags.map(rewrite).filter(Boolean))];
+
+/**
+ * Nest tags by their paths
+ * Parents that no note uses are added with the default fields.
+ * @param {Array<Object>} entries - Objects with a tag field, plus any data to keep
+ * @param {Object} defaults - Fields for parents that are not among the entries
+ * @returns {Array<Object>} Top-level nodes, each with name (last segment), tag and children, sorted by name
+ */
+const buildTagTree = (entries, defaults = {}) => {
+  const nodes = new Map();
+  const roots = [];
+
+  const nodeFor = (tag) => {
+    if (!nodes.has(tag)) {
+      const cut = tag.lastIndexOf(TAG_SEPARATOR);
+      const node = { name: tag.slice(cut + 1), tag, ...defaults, children: [] };
+
+      nodes.set(tag, node);
+      (cut === -1 ? roots : nodeFor(tag.slice(0, cut)).children).push(node);
+    }
+
+    return nodes.get(tag);
+  };
+
+  entries.forEach(entry => Object.assign(nodeFor(entry.tag), entry));
+
+  const sortByName = list => list
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(node => sortByName(node.children));
+  sortByName(roots);
+
+  return roots;
+};
+
+module.exports = {
+  createTagError,
+  normalizeTagPath,
+  normalizeTag,
+  isWithinTag,
+  tagsWithDescendants,
+  renameTagPath,
+  rewriteTags,
+  buildTagTree
+};
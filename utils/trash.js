@@ -0,0 +1,52 @@
+'use strict';
+
+const ms = require('ms');
+const Note = require('../models/Note');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Trash retention configuration
+ * Trashed notes are kept for TRASH_RETENTION_DAYS and then purged by a job
+ * that runs every TRASH_PURGE_INTERVAL
+ */
+
+/**
+ * Read the retention period, falling back to the default for invalid values
+ * @returns {number} Days a trashed note is kept
+ */
+const getTrashRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Read how often the purge job runs
+ * @returns {number} Interval in milliseconds
+ */
+const getTrashPurgeInterval = () => ms(process.env.TRASH_PURGE_INTERVAL || '1h') || ms('1h');
+
+/**
+ * Get the date a trashed note will be purged
+ * @param {Date} deletedAt - When the note was moved to the trash
+ * @returns {Date} Purge date
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * DAY_MS);
+
+/**
+ * Permanently delete notes that have been in the trash longer than the retention period
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of notes purged
+ */
+const purgeExpiredTrash = (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+  return Note.purgeTrashed(cutoff);
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getTrashPurgeInterval,
+  getPurgeDate,
+  purgeExpiredTrash
+};